@@ -2,6 +2,11 @@ require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
+const rateLimit = require("./middleware/rateLimit");
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+const { trackRequest, bindContext } = require("./middleware/requestContext");
+const { logger } = require("./services/logger");
+const { getTransport } = require("./services/mailer");
 
 // Routers
 const authRoutes = require("./routes/authRoutes");
@@ -9,12 +14,46 @@ const userRoutes = require("./routes/userRoutes");
 const dashboardRoutes = require("./routes/dashboardRoutes");
 const feedbackRoutes = require("./routes/feedbackRoutes");
 const onboardingRoutes = require("./routes/onboardingRoutes");
+const portfolioRoutes = require("./routes/portfolioRoutes");
+const alertRoutes = require("./routes/alertRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const marketRoutes = require("./routes/marketRoutes");
+const assetRoutes = require("./routes/assetRoutes");
+const insightRoutes = require("./routes/insightRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const adviceRoutes = require("./routes/adviceRoutes");
+const watchlistRoutes = require("./routes/watchlistRoutes");
+const newsRoutes = require("./routes/newsRoutes");
+const memeRoutes = require("./routes/memeRoutes");
+const docsRoutes = require("./routes/docsRoutes");
+const metricsRoutes = require("./routes/metricsRoutes");
+
+// Background workers
+const { startAlertWorker } = require("./services/alertService");
+const { startHistoryWorker } = require("./services/historyService");
+const { startNewsWorker } = require("./services/news");
+const { startMemeWorker } = require("./services/memes");
+const { seedDefaultAssets } = require("./services/assetRegistry");
+const {
+  ensureAdmins,
+  normalizeStoredEmails,
+} = require("./services/accountService");
+const { ensureFeedbackIndexes } = require("./services/feedbackService");
 
 const app = express();
 
 // ===== Basic Middlewares =====
+// Request id, access log and per-route metrics (first, so every request counts)
+app.use(trackRequest);
 app.use(cors());
 app.use(express.json());
+app.use(bindContext);
+// Client IPs come from X-Forwarded-For when running behind a proxy
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || true);
+}
+// Broad per-IP ceiling; tighter limits live on the routes that need them
+app.use(rateLimit({ name: "global", max: 300, windowMs: 60 * 1000 }));
 
 // ===== Basic health-check route =====
 app.get("/", (req, res) => {
@@ -27,23 +66,68 @@ app.use("/user", userRoutes);
 app.use("/dashboard", dashboardRoutes);
 app.use("/feedback", feedbackRoutes);
 app.use("/onboarding", onboardingRoutes);
+app.use("/portfolio", portfolioRoutes);
+app.use("/alerts", alertRoutes);
+app.use("/notifications", notificationRoutes);
+app.use("/market", marketRoutes);
+app.use("/assets", assetRoutes);
+app.use("/insights", insightRoutes);
+app.use("/advice", adviceRoutes);
+app.use("/watchlists", watchlistRoutes);
+app.use("/news", newsRoutes);
+app.use("/memes", memeRoutes);
+app.use("/admin", adminRoutes);
+
+// ===== API document (/openapi.json) and interactive docs (/docs) =====
+app.use(docsRoutes);
+
+// ===== Prometheus metrics (/metrics) =====
+app.use(metricsRoutes);
+
+// ===== Errors =====
+// Every failure (unknown route, validation, thrown AppError, crash) ends
+// here and is answered as { ok: false, error: { code, message, details? } }
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // ===== Server startup & MongoDB connection =====
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI || "";
 
 if (!MONGO_URI) {
-  console.error("❌ No MONGO_URI found in .env");
+  logger.error("No MONGO_URI found in .env");
+}
+
+// Tokens cannot be signed or verified without a secret, so refuse to start
+if (!process.env.JWT_SECRET) {
+  logger.error("No JWT_SECRET found in .env");
+  process.exit(1);
+}
+
+// Same for a mail setup that cannot send (or would log reset links)
+try {
+  getTransport();
+} catch (err) {
+  logger.error(err.message);
+  process.exit(1);
 }
 
 mongoose
   .connect(MONGO_URI)
-  .then(() => {
-    console.log("✅ Connected to MongoDB");
+  .then(async () => {
+    logger.info("Connected to MongoDB");
+    await seedDefaultAssets();
+    await normalizeStoredEmails();
+    await ensureAdmins();
+    await ensureFeedbackIndexes();
     app.listen(PORT, () => {
-      console.log(`✅ Server listening on port ${PORT}`);
+      logger.info("Server listening", { port: Number(PORT) });
     });
+    startAlertWorker();
+    startHistoryWorker();
+    startNewsWorker();
+    startMemeWorker();
   })
   .catch((err) => {
-    console.error("❌ MongoDB connection error:", err.message);
+    logger.error("MongoDB connection error", { err });
   });
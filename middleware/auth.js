@@ -1,42 +1,85 @@
 // server/middleware/auth.js
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("../services/tokenService");
+const User = require("../models/User");
+const { unauthorized, forbidden } = require("../services/errors");
+const { createLogger } = require("../services/logger");
+
+const log = createLogger({ component: "auth" });
 
 /**
- * Authentication middleware:
+ * Authentication middleware (the only JWT check in the app):
  * - Extracts Bearer token from Authorization header
- * - Verifies the JWT
- * - Attaches req.userId for downstream handlers
+ * - Verifies it as an access token
+ * - Rejects disabled accounts and tokens issued before the last
+ *   password change (a stolen token dies with the old password)
+ * - Attaches req.userId and req.userRole for downstream handlers
  */
-function auth(req, res, next) {
-  try {
-    const header = req.headers.authorization || "";
-    const token = header.startsWith("Bearer ")
-      ? header.replace("Bearer ", "")
-      : null;
-
-    if (!token) {
-      return res.status(401).json({ error: "No token provided" });
-    }
+async function auth(req, res, next) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ")
+    ? header.slice("Bearer ".length)
+    : null;
 
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "devsecret"
-    );
+  if (!token) {
+    return next(unauthorized("No token provided"));
+  }
 
-    // our tokens look like { id: <mongoUserId> }
-    req.userId = decoded.id || decoded.userId;
+  let decoded;
+  try {
+    // our access tokens look like { id: <mongoUserId>, type: "access", role, iat }
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    log.warn("invalid access token", { error: err.message });
+    return next(unauthorized("Invalid or expired token", "INVALID_TOKEN"));
+  }
 
-    if (!req.userId) {
-      return res
-        .status(401)
-        .json({ error: "Token is missing user id" });
+  try {
+    const user = await User.findById(decoded.id)
+      .select("role disabled passwordChangedAt")
+      .lean();
+    if (!user) {
+      return next(unauthorized("Invalid or expired token", "INVALID_TOKEN"));
+    }
+    if (user.disabled) {
+      return next(
+        forbidden("This account has been disabled", "ACCOUNT_DISABLED")
+      );
+    }
+    // iat has second precision: tokens issued in the same second as the
+    // change (the ones handed out by the change itself) stay valid
+    if (
+      user.passwordChangedAt &&
+      decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+    ) {
+      return next(
+        unauthorized(
+          "Token was issued before the last password change",
+          "INVALID_TOKEN"
+        )
+      );
     }
 
+    req.userId = decoded.id;
+    // the stored role wins: role changes apply without a new token
+    req.userRole = user.role || "user";
     next();
   } catch (err) {
-    console.error("Auth error:", err.message);
-    return res.status(401).json({ error: "Invalid or expired token" });
+    next(err);
   }
 }
 
+/**
+ * Same check for endpoints used by EventSource, which cannot send headers:
+ * also accepts the token as ?access_token=<token>.
+ */
+auth.allowQueryToken = function (req, res, next) {
+  if (
+    !req.headers.authorization &&
+    typeof req.query.access_token === "string"
+  ) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  return auth(req, res, next);
+};
+
 module.exports = auth;
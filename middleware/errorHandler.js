@@ -0,0 +1,86 @@
+// server/middleware/errorHandler.js
+const { AppError } = require("../services/errors");
+const { createLogger, loggedPath } = require("../services/logger");
+
+const log = createLogger({ component: "http" });
+
+/**
+ * Wraps an async route handler so a thrown error / rejected promise
+ * reaches the error handler (Express 4 does not do this by itself).
+ */
+function asyncHandler(fn) {
+  return function (req, res, next) {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+// Turns anything thrown into an AppError
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  // express.json() body problems
+  if (err.type === "entity.parse.failed") {
+    return new AppError(400, "INVALID_JSON", "Request body is not valid JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError(413, "PAYLOAD_TOO_LARGE", "Request body is too large");
+  }
+
+  // Mongoose schema validation / casting
+  if (err.name === "ValidationError" && err.errors) {
+    const details = Object.values(err.errors).map((e) => ({
+      field: `body.${e.path}`,
+      message: e.message,
+    }));
+    return new AppError(400, "VALIDATION_ERROR", "Invalid data", { details });
+  }
+  if (err.name === "CastError") {
+    return new AppError(400, "VALIDATION_ERROR", `Invalid ${err.path}`, {
+      details: [{ field: err.path, message: "has an invalid format" }],
+    });
+  }
+  // Mongo unique index
+  if (err.code === 11000) {
+    return new AppError(409, "CONFLICT", "Resource already exists");
+  }
+
+  return new AppError(500, "INTERNAL_ERROR", "Something went wrong");
+}
+
+/**
+ * Central error handler: every error becomes
+ * { ok: false, error: { code, message, details? } }
+ * Unexpected errors are logged and answered with a generic 500.
+ * (Express recognizes error handlers by their 4 arguments.)
+ */
+function errorHandler(err, req, res, next) {
+  // a streaming response (SSE) cannot switch to JSON anymore
+  if (res.headersSent) return next(err);
+
+  const appErr = toAppError(err);
+  if (appErr.status >= 500) {
+    log.error("unhandled error", {
+      method: req.method,
+      path: loggedPath(req),
+      err,
+    });
+  }
+
+  if (appErr.headers) res.set(appErr.headers);
+
+  const error = { code: appErr.code, message: appErr.message };
+  if (appErr.details) error.details = appErr.details;
+
+  return res.status(appErr.status).json({ ok: false, error });
+}
+
+// Unknown routes get the same envelope
+function notFoundHandler(req, res, next) {
+  next(new AppError(404, "NOT_FOUND", "Route not found"));
+}
+
+module.exports = {
+  asyncHandler,
+  errorHandler,
+  notFoundHandler,
+};
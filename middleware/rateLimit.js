@@ -0,0 +1,58 @@
+// server/middleware/rateLimit.js
+const { limitFor, consume } = require("../services/rateLimiter");
+const { tooManyRequests } = require("../services/errors");
+const { createLogger } = require("../services/logger");
+
+const log = createLogger({ component: "rateLimit" });
+
+/**
+ * Rate limiting middleware factory.
+ * - name: limit name, also the RATE_LIMIT_<NAME> override (see limitFor)
+ * - max / windowMs: default limit
+ * - by: "ip" (default) or "user" (needs auth before it; falls back to ip)
+ *
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers and
+ * answers 429 with Retry-After once the limit is used up.
+ * RATE_LIMIT=off disables every limiter. If the store is unreachable,
+ * requests are let through (see getRateLimitStore).
+ */
+function rateLimit({ name, max, windowMs, by = "ip" }) {
+  const limit = limitFor(name, { max, windowMs });
+
+  return async function (req, res, next) {
+    if (process.env.RATE_LIMIT === "off") return next();
+
+    const who =
+      by === "user" && req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+      result = await consume(`${name}:${who}`, limit);
+    } catch (err) {
+      log.warn("rate limit store unavailable", {
+        limit: name,
+        error: err.message,
+      });
+      return next();
+    }
+
+    res.set({
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.retryAfterSec),
+    });
+
+    if (!result.allowed) {
+      return next(
+        tooManyRequests(
+          `Too many requests, try again in ${result.retryAfterSec}s`,
+          result.retryAfterSec
+        )
+      );
+    }
+
+    next();
+  };
+}
+
+module.exports = rateLimit;
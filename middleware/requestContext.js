@@ -0,0 +1,78 @@
+// server/middleware/requestContext.js
+const crypto = require("crypto");
+const { runWithContext } = require("../services/requestContext");
+const { recordHttpRequest } = require("../services/metrics");
+const { createLogger, loggedPath } = require("../services/logger");
+
+const log = createLogger({ component: "http" });
+
+// Ids accepted from the caller (X-Request-Id); anything else gets a new one
+const VALID_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Gives every request an id (the caller's X-Request-Id when it looks
+ * sane, otherwise a UUID), echoes it in the X-Request-Id response header
+ * and, once the response is sent, writes an access log line and records
+ * the route's latency / status metrics.
+ * Mount it first so failed and unmatched requests are counted too.
+ */
+function trackRequest(req, res, next) {
+  const started = process.hrtime.bigint();
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  // Express restores req.baseUrl once a router is left (e.g. on error),
+  // so remember the full route pattern when a route is matched
+  let route = null;
+  let matched = null;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value?.path !== undefined) matched = `${req.baseUrl}${value.path}`;
+    },
+  });
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    recordHttpRequest({
+      method: req.method,
+      route: matched || "unmatched",
+      status: res.statusCode,
+      durationMs,
+    });
+
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: loggedPath(req),
+      route: matched,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.userId,
+    };
+    if (res.statusCode >= 500) log.error("request failed", fields);
+    else log.info("request", fields);
+  });
+
+  next();
+}
+
+/**
+ * Runs the rest of the request inside its context, so logs and upstream
+ * calls made while handling it carry the request id (see
+ * services/requestContext). Mount it after the body parser, which does
+ * not keep the async context.
+ */
+function bindContext(req, res, next) {
+  runWithContext({ requestId: req.id }, next);
+}
+
+module.exports = {
+  trackRequest,
+  bindContext,
+};
@@ -0,0 +1,24 @@
+// server/middleware/requireRole.js
+const { forbidden } = require("../services/errors");
+
+/**
+ * Authorization guard (use after the auth middleware):
+ * allows only users who have one of `roles`.
+ *   router.use(auth, requireRole("admin"))
+ * auth reads the role from the stored user, so a role change applies
+ * to the very next request.
+ */
+function requireRole(...roles) {
+  const middleware = function (req, res, next) {
+    if (!roles.includes(req.userRole)) {
+      return next(forbidden("Insufficient permissions"));
+    }
+    next();
+  };
+
+  // read by the API document
+  middleware.roles = roles;
+  return middleware;
+}
+
+module.exports = requireRole;
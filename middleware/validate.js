@@ -0,0 +1,305 @@
+// server/middleware/validate.js
+const { validationError, errorEnvelope } = require("../services/errors");
+const { createLogger, loggedPath } = require("../services/logger");
+
+const log = createLogger({ component: "validate" });
+
+// Request schemas are a small subset of JSON Schema (the same objects end
+// up in the OpenAPI document):
+//   type: "string" | "number" | "integer" | "boolean" | "array" | "object"
+//   string:  minLength, maxLength, pattern, format, enum,
+//            lowercase (trimmed and lowercased before the other checks)
+//   number:  minimum, maximum, exclusiveMinimum, enum
+//   array:   items, minItems, maxItems
+//   object:  properties, required, additionalProperties (false = reject extras)
+//   any:     default, nullable, description
+// Formats: "email", "date-time", "objectId".
+
+const FORMATS = {
+  email: {
+    test: (v) => v.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    message: "must be a valid email address",
+  },
+  "date-time": {
+    test: (v) => !isNaN(new Date(v).getTime()),
+    message: "must be a valid date",
+  },
+  objectId: {
+    test: (v) => /^[a-f0-9]{24}$/i.test(v),
+    message: "must be a valid id",
+  },
+};
+
+function typeName(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Query strings and path params are always strings: convert them first
+function coerce(schema, value) {
+  if (typeof value !== "string") return value;
+
+  switch (schema.type) {
+    case "number":
+    case "integer": {
+      const n = Number(value);
+      return value.trim() !== "" && Number.isFinite(n) ? n : value;
+    }
+    case "boolean":
+      if (value === "true" || value === "1") return true;
+      if (value === "false" || value === "0") return false;
+      return value;
+    case "array":
+      // ?assets=BTC,ETH
+      return value === "" ? [] : value.split(",").map((v) => v.trim());
+    default:
+      return value;
+  }
+}
+
+/**
+ * Checks `value` against `schema`; problems are pushed to `errors` as
+ * { field, message }. Returns the value with defaults applied
+ * (and coerced when `options.coerce` is set).
+ */
+function check(schema, value, field, options, errors) {
+  if (value === null) {
+    if (!schema.nullable) errors.push({ field, message: "must not be null" });
+    return value;
+  }
+  if (options.coerce) value = coerce(schema, value);
+
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (schema.lowercase) value = value.trim().toLowerCase();
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail(
+          schema.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${schema.minLength} characters`
+        );
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return fail(schema.patternMessage || "has an invalid format");
+      }
+      if (schema.format && FORMATS[schema.format]) {
+        const format = FORMATS[schema.format];
+        if (!format.test(value)) return fail(format.message);
+      }
+      break;
+
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fail("must be a number");
+      }
+      if (schema.type === "integer" && !Number.isInteger(value)) {
+        return fail("must be an integer");
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return fail(`must be at least ${schema.minimum}`);
+      }
+      if (
+        schema.exclusiveMinimum !== undefined &&
+        value <= schema.exclusiveMinimum
+      ) {
+        return fail(`must be greater than ${schema.exclusiveMinimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return fail(`must be at most ${schema.maximum}`);
+      }
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") return fail("must be a boolean");
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(
+          schema.minItems === 1
+            ? "must not be empty"
+            : `must have at least ${schema.minItems} items`
+        );
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value = value.map((item, i) =>
+          check(schema.items, item, `${field}[${i}]`, options, errors)
+        );
+      }
+      break;
+
+    case "object":
+      if (typeName(value) !== "object") return fail("must be an object");
+      value = checkProperties(schema, value, field, options, errors);
+      break;
+
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(", ")}`);
+  }
+  return value;
+}
+
+function checkProperties(schema, value, field, options, errors) {
+  const result = { ...value };
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push({ field: `${field}.${name}`, message: "is required" });
+    }
+  }
+
+  for (const [name, propSchema] of Object.entries(properties)) {
+    if (result[name] === undefined) {
+      if (propSchema.default !== undefined) {
+        result[name] = structuredClone(propSchema.default);
+      }
+      continue;
+    }
+    result[name] = check(
+      propSchema,
+      result[name],
+      `${field}.${name}`,
+      options,
+      errors
+    );
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const name of Object.keys(value)) {
+      if (!properties[name]) {
+        errors.push({ field: `${field}.${name}`, message: "is not allowed" });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validates a value against a schema outside of a request
+ * (also used to check responses against the API document).
+ * Returns { value, errors } with errors = [] when valid.
+ */
+function validateSchema(
+  schema,
+  value,
+  { field = "value", coerce = false } = {}
+) {
+  const errors = [];
+  const result = check(schema, value, field, { coerce }, errors);
+  return { value: result, errors };
+}
+
+// API_CONTRACT_CHECK=log|strict compares every response with its
+// documented schema: "log" reports mismatches, "strict" also turns them
+// into a 500 so a drifting route fails loudly (development / CI)
+function contractMode() {
+  const mode = process.env.API_CONTRACT_CHECK;
+  return mode === "log" || mode === "strict" ? mode : null;
+}
+
+// Wraps res.json to check the body about to be sent
+function checkResponses(req, res, schemas, mode) {
+  const json = res.json.bind(res);
+
+  res.json = function (body) {
+    res.json = json;
+
+    let schema = null;
+    if (res.statusCode >= 400) schema = errorEnvelope;
+    else if (res.statusCode === (schemas.status || 200)) {
+      schema = schemas.response;
+    }
+    if (!schema) return json(body);
+
+    // compare what the client receives (ids and dates as strings)
+    const sent = JSON.parse(JSON.stringify(body));
+    const { errors } = validateSchema(schema, sent, { field: "response" });
+    if (errors.length === 0) return json(body);
+
+    log.error("response does not match the API document", {
+      method: req.method,
+      path: loggedPath(req),
+      errors: errors.map((e) => `${e.field} ${e.message}`),
+    });
+    if (mode !== "strict") return json(body);
+
+    res.status(500);
+    return json({
+      ok: false,
+      error: {
+        code: "RESPONSE_CONTRACT",
+        message: "Response does not match the API document",
+        details: errors,
+      },
+    });
+  };
+}
+
+/**
+ * Request validation middleware, also the API description of a route.
+ *   router.post("/", validate({ body, query, params, response }), handler)
+ * Each input part is an object schema; query and params are coerced from
+ * strings. Valid (coerced, defaulted) values replace req.body/query/params,
+ * otherwise the request fails with a VALIDATION_ERROR listing every field.
+ * Documentation-only keys:
+ *   summary, description  shown in the API document
+ *   response              schema of the success body
+ *   status                success status (default 200)
+ *   contentType           success content type (default application/json)
+ * The schemas stay attached to the middleware (`.schemas`) for
+ * services/openapi.js.
+ */
+function validate(schemas) {
+  const middleware = function (req, res, next) {
+    const mode = contractMode();
+    if (mode) checkResponses(req, res, schemas, mode);
+
+    const errors = [];
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+
+      const input = req[part] === undefined ? {} : req[part];
+      const value = check(
+        { type: "object", ...schemas[part] },
+        input,
+        part,
+        { coerce: part !== "body" },
+        errors
+      );
+      if (errors.length === 0) req[part] = value;
+    }
+
+    if (errors.length > 0) return next(validationError(errors));
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+module.exports = {
+  validate,
+  validateSchema,
+};
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// AccountToken schema: single-use token sent by email
+// (email verification, password reset). Only a SHA-256 hash is stored.
+const accountTokenSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: {
+      type: String,
+      enum: ["verify_email", "reset_password"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    email: { type: String, default: "" }, // address the token was sent to
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTokenSchema.index({ userId: 1, type: 1 });
+// Mongo drops tokens once they can no longer be used
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AccountToken", accountTokenSchema);
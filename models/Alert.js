@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Alert schema: a price condition the background worker checks
+const alertSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    asset: { type: String, required: true, uppercase: true, trim: true }, // ticker, e.g. "BTC"
+
+    // "above"/"below" compare the USD price with `threshold`,
+    // "change_up"/"change_down" compare the 24h % change with `threshold` (e.g. 5 = 5%)
+    condition: {
+      type: String,
+      enum: ["above", "below", "change_up", "change_down"],
+      required: true,
+    },
+    threshold: { type: Number, required: true, min: 0 },
+
+    // What happens after firing:
+    // "never"    -> alert is deactivated
+    // "crossing" -> re-armed once the condition is false again
+    rearm: { type: String, enum: ["never", "crossing"], default: "crossing" },
+    cooldownMinutes: { type: Number, default: 0, min: 0 }, // min gap between two firings
+
+    active: { type: Boolean, default: true }, // user can pause an alert
+    armed: { type: Boolean, default: true }, // false between firing and re-arm
+    lastTriggeredAt: { type: Date, default: null },
+    lastValue: { type: Number, default: null }, // last price/change seen by the worker
+  },
+  {
+    timestamps: true,
+  }
+);
+
+alertSchema.index({ active: 1 });
+alertSchema.index({ userId: 1 });
+
+module.exports = mongoose.model("Alert", alertSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Asset schema: one coin the app knows about (prices, news matching, onboarding)
+const assetSchema = new Schema(
+  {
+    symbol: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    }, // ticker, e.g. "BTC"
+    coingeckoId: { type: String, required: true, trim: true }, // e.g. "bitcoin"
+    name: { type: String, required: true, trim: true }, // e.g. "Bitcoin"
+    aliases: [String], // extra words that identify the coin in headlines, e.g. "xbt"
+    tags: [String], // free-form grouping, e.g. "layer1", "meme"
+    active: { type: Boolean, default: true }, // inactive assets are hidden everywhere
+    order: { type: Number, default: 0 }, // display order (lowest first)
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Asset", assetSchema);
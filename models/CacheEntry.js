@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Shared cache entry (used when CACHE_STORE=mongo)
+const cacheEntrySchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true }, // fresh until
+    staleUntil: { type: Date, required: true }, // may still be served while revalidating
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Mongo removes entries once they are too old to be served at all
+cacheEntrySchema.index({ staleUntil: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("CacheEntry", cacheEntrySchema);
@@ -10,10 +10,25 @@ const feedbackSchema = new Schema(
       required: true, // which specific item was voted on
     },
     vote: { type: Number, enum: [1, -1], required: true }, // 1=like, -1=dislike
+
+    // Snapshot of the voted item, filled server-side (used for news ranking)
+    context: {
+      title: String,
+      source: String,
+      assets: [String],
+    },
   },
   {
     timestamps: true,
+    // built at startup by ensureFeedbackIndexes(), once older duplicate
+    // votes are removed (the unique index cannot be built over them)
+    autoIndex: false,
   }
 );
 
+// one vote per user per item; a new vote replaces the old one
+feedbackSchema.index({ userId: 1, section: 1, itemId: 1 }, { unique: true });
+// aggregate queries
+feedbackSchema.index({ section: 1, createdAt: 1 });
+
 module.exports = mongoose.model("Feedback", feedbackSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Insight schema: one AI insight shown to a user, with what it was based on
+const insightSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, required: true },
+    sentiment: {
+      type: String,
+      enum: ["bullish", "bearish", "neutral"],
+      required: true,
+    },
+    fromModel: { type: Boolean, required: true }, // false = canned fallback
+    provider: { type: String, default: null }, // set when a model was called
+    model: { type: String, default: null },
+
+    // Prompt inputs (used to decide whether an insight can be reused)
+    inputs: {
+      assets: [String],
+      investorType: String,
+    },
+
+    // Headlines the model said it used
+    citations: [
+      {
+        _id: false,
+        title: String,
+        source: String,
+        url: String,
+      },
+    ],
+
+    // Prices at generation time, rows as fetched (USD)
+    prices: [
+      {
+        _id: false,
+        symbol: String, // CoinGecko id
+        price: Number,
+        currency: String,
+        change24h: Number,
+        marketCap: Number,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+insightSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Insight", insightSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// InsightUsage schema: model calls a user made on one UTC day
+// (the daily insight budget, reserved with $inc before every call)
+const insightUsageSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  day: { type: Date, required: true }, // 00:00 UTC
+  calls: { type: Number, default: 0 },
+});
+
+insightUsageSchema.index({ userId: 1, day: 1 }, { unique: true });
+// older days are no longer needed
+insightUsageSchema.index({ day: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+module.exports = mongoose.model("InsightUsage", insightUsageSchema);
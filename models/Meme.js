@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Meme schema: one curated meme, ingested from a subreddit or submitted
+// by a user (see services/memes)
+const memeSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    url: { type: String, required: true }, // image url
+    urlKey: { type: String, required: true }, // url without query/fragment, used to dedupe
+    postLink: { type: String, default: undefined }, // reddit post, when ingested
+    subreddit: { type: String, default: null },
+    author: { type: String, default: "" },
+    origin: { type: String, enum: ["reddit", "user"], required: true },
+
+    // Submitter of a user meme (null for ingested ones)
+    userId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Ingested memes that pass the safety filter are approved right away;
+    // submissions wait in the moderation queue
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    rejectReason: { type: String, default: "" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One meme per image whatever its status: a rejected image cannot be
+// submitted again nor come back through ingestion
+memeSchema.index({ urlKey: 1 }, { unique: true });
+memeSchema.index({ postLink: 1 }, { unique: true, sparse: true });
+memeSchema.index({ status: 1, createdAt: -1 }); // approved pool / moderation queue
+memeSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Meme", memeSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// MemeView schema: a meme shown to a user, so it is not shown again
+const memeViewSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  memeId: { type: Schema.Types.ObjectId, ref: "Meme", required: true },
+  seenAt: { type: Date, default: Date.now },
+});
+
+memeViewSchema.index({ userId: 1, memeId: 1 }, { unique: true });
+memeViewSchema.index({ userId: 1, seenAt: 1 });
+
+module.exports = mongoose.model("MemeView", memeViewSchema);
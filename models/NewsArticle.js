@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// NewsArticle schema: one ingested headline (see services/news)
+const newsArticleSchema = new Schema(
+  {
+    url: { type: String, required: true }, // canonical link, also the id used for votes
+    title: { type: String, required: true },
+    source: { type: String, default: "" }, // outlet name, e.g. "CoinDesk"
+    provider: { type: String, required: true }, // where it was ingested from: "cryptocompare" / "rss"
+    snippet: { type: String, default: "" }, // start of the body, plain text
+    imageUrl: { type: String, default: null },
+    publishedAt: { type: Date, required: true },
+    assets: [String], // tickers mentioned in the title/snippet
+
+    // Lexicon score in [-1, 1] (see services/news/sentiment.js)
+    sentiment: {
+      score: { type: Number, default: 0 },
+      label: {
+        type: String,
+        enum: ["bullish", "bearish", "neutral"],
+        default: "neutral",
+      },
+    },
+
+    // Normalized title words, compared to spot the same story elsewhere
+    titleTokens: [String],
+    // Near-identical headlines from other sources folded into this one
+    alsoReportedBy: [{ _id: false, source: String, url: String }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+newsArticleSchema.index({ url: 1 }, { unique: true });
+newsArticleSchema.index({ "alsoReportedBy.url": 1 });
+// main query path: newest first, optionally by asset / source
+newsArticleSchema.index({ publishedAt: -1 });
+newsArticleSchema.index({ assets: 1, publishedAt: -1 });
+newsArticleSchema.index({ source: 1, publishedAt: -1 });
+
+module.exports = mongoose.model("NewsArticle", newsArticleSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Notification schema: per-user inbox entry (e.g. a triggered alert)
+const notificationSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, required: true }, // e.g. "alert"
+    title: { type: String, required: true },
+    body: { type: String, default: "" },
+    data: { type: Schema.Types.Mixed, default: {} }, // extra payload (alertId, price...)
+    read: { type: Boolean, default: false },
+    readAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
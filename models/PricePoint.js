@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// PricePoint schema: one historical USD price sample for an asset
+const pricePointSchema = new Schema({
+  asset: { type: String, required: true, uppercase: true }, // ticker, e.g. "BTC"
+  ts: { type: Date, required: true }, // sample time
+  price: { type: Number, required: true }, // USD
+  source: { type: String, default: "" }, // provider that produced the sample
+});
+
+// one sample per asset per timestamp, also the main query path
+pricePointSchema.index({ asset: 1, ts: 1 }, { unique: true });
+
+module.exports = mongoose.model("PricePoint", pricePointSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Fixed-window counter (used when RATE_LIMIT_STORE=mongo)
+const rateLimitCounterSchema = new Schema({
+  key: { type: String, required: true, unique: true }, // e.g. "login:ip:1.2.3.4"
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }, // end of the current window
+});
+
+// Mongo removes counters once their window is over
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// RefreshToken schema: server-side record of an issued refresh token.
+// Only a SHA-256 hash of the token is stored.
+const refreshTokenSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true }, // all rotations of one login share a family
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedByHash: { type: String, default: null }, // set when rotated
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Mongo drops records once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Site-wide setting edited by admins (see services/settings.js).
+// Only overridden settings are stored; missing keys use their default.
+const settingSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: Schema.Types.Mixed },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Setting", settingSchema);
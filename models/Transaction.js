@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Transaction schema: one portfolio movement of a single asset
+const transactionSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    asset: { type: String, required: true, uppercase: true, trim: true }, // ticker, e.g. "BTC"
+    type: {
+      type: String,
+      enum: ["buy", "sell", "transfer_in", "transfer_out"],
+      required: true,
+    },
+    quantity: { type: Number, required: true, min: 0 }, // always positive, direction comes from type
+    price: { type: Number, default: 0, min: 0 }, // USD per unit (cost basis for transfer_in)
+    fee: { type: Number, default: 0, min: 0 }, // USD
+    timestamp: { type: Date, default: Date.now }, // when the trade happened
+    note: { type: String, default: "" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transactionSchema.index({ userId: 1, timestamp: 1 });
+
+module.exports = mongoose.model("Transaction", transactionSchema);
@@ -5,15 +5,54 @@ const { Schema } = mongoose;
 const userSchema = new Schema(
   {
     name: { type: String, required: true }, // full name
-    email: { type: String, required: true, unique: true }, // unique email
+    // unique email, stored lowercased (see normalizeStoredEmails)
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
     password: { type: String, required: true }, // hashed password
+    role: { type: String, enum: ["user", "admin"], default: "user" },
+    disabled: { type: Boolean, default: false }, // disabled accounts cannot log in
+    disabledAt: { type: Date, default: null },
+    disabledReason: { type: String, default: "" },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    passwordChangedAt: { type: Date, default: null },
 
     // Saved onboarding preferences
     preferences: {
       cryptoAssets: [String], // list of assets user cares about
-      investorType: String, // "low"/"medium"/"high" etc.
+      investorType: String, // risk tier: "conservative"/"moderate"/"growth"/"aggressive"
       contentTypes: [String], // what kind of content they want (news, signals...)
+      currency: { type: String, default: "USD" }, // display currency for prices/portfolio
+    },
+
+    // Latest scored risk questionnaire (see services/riskProfile.js)
+    riskProfile: {
+      tier: String,
+      score: Number,
+      maxScore: Number,
+      horizon: String,
+      maxDrawdown: Number, // % drawdown the user can tolerate
+      questionnaireVersion: Number,
+      answers: { type: Schema.Types.Mixed }, // { questionId: optionId }
+      assessedAt: Date,
     },
+
+    // Every past questionnaire result, oldest first
+    riskHistory: [
+      {
+        _id: false,
+        tier: String,
+        score: Number,
+        questionnaireVersion: Number,
+        answers: { type: Schema.Types.Mixed },
+        assessedAt: Date,
+      },
+    ],
   },
   {
     timestamps: true, // auto-add createdAt/updatedAt
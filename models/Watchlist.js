@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Watchlist schema: a named, ordered list of assets (a user can have several)
+const watchlistSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 50 }, // e.g. "long-term"
+    assets: [{ type: String, uppercase: true, trim: true }], // tickers, in display order
+    position: { type: Number, default: 0 }, // order of the user's lists
+
+    // Set while the list is shared read-only via link (see /watchlists/:id/share)
+    shareToken: { type: String, default: undefined },
+    sharedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+watchlistSchema.index({ userId: 1, position: 1 });
+// list names are unique per user
+watchlistSchema.index({ userId: 1, name: 1 }, { unique: true });
+watchlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model("Watchlist", watchlistSchema);
@@ -0,0 +1,344 @@
+// server/routes/adminRoutes.js
+const express = require("express");
+const User = require("../models/User");
+const auth = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const {
+  AppError,
+  badRequest,
+  conflict,
+  notFound,
+} = require("../services/errors");
+const { revokeAllForUser } = require("../services/tokenService");
+const {
+  statsBySection,
+  statsByItem,
+  toStatsFilters,
+} = require("../services/feedbackService");
+const { getHealth } = require("../services/providerHealth");
+const { getProviderChain } = require("../services/marketData");
+const { getFxProviderChain } = require("../services/fx");
+const { getNewsSources, ingestNews } = require("../services/news");
+const { ingestMemes } = require("../services/memes");
+const { allowedSubreddits } = require("../services/memes/safety");
+const { getProvider } = require("../services/insight");
+const {
+  listSettings,
+  setSetting,
+  resetSetting,
+} = require("../services/settings");
+
+const router = express.Router();
+
+router.use(auth, requireRole("admin"));
+
+const ROLES = ["user", "admin"];
+
+// Fields an admin sees for a user (never the password hash)
+const USER_FIELDS =
+  "name email role disabled disabledAt disabledReason emailVerified preferences riskProfile.tier createdAt updatedAt";
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// -------------------- USERS --------------------
+
+/**
+ * GET /admin/users
+ * Query:
+ *  - q: search in name/email (case-insensitive)
+ *  - role: "user" | "admin"
+ *  - disabled: true | false
+ *  - page (default 1), limit (default 20, max 100)
+ * Returns: { ok, items, total, page, limit, pages }
+ */
+router.get(
+  "/users",
+  validate({
+    query: {
+      properties: {
+        q: { type: "string" },
+        role: { type: "string", enum: ROLES },
+        disabled: { type: "boolean" },
+        ...schemas.paginationQuery(),
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { q, role, disabled, page, limit } = req.query;
+    const filter = {};
+
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (disabled !== undefined) filter.disabled = disabled;
+
+    const [items, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    return res.json({
+      ok: true,
+      items,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    });
+  })
+);
+
+/**
+ * GET /admin/users/:id
+ * Returns: { ok, user }
+ */
+router.get(
+  "/users/:id",
+  validate({ params: schemas.idParams }),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id).select(USER_FIELDS).lean();
+    if (!user) {
+      throw notFound("User");
+    }
+
+    return res.json({ ok: true, user });
+  })
+);
+
+/**
+ * PATCH /admin/users/:id
+ * Body: any of { role, disabled, reason }
+ *  - disabling logs the user out everywhere (auth refuses their access
+ *    token at once, refreshing fails too)
+ *  - admins cannot demote or disable themselves
+ * Returns: { ok, user }
+ */
+router.patch(
+  "/users/:id",
+  validate({
+    params: schemas.idParams,
+    body: {
+      properties: {
+        role: { type: "string", enum: ROLES },
+        disabled: { type: "boolean" },
+        reason: { type: "string", maxLength: 500 },
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { role, disabled, reason } = req.body;
+
+    if (id === req.userId && (role === "user" || disabled === true)) {
+      throw badRequest(
+        "You cannot demote or disable your own account",
+        "SELF_MODIFICATION"
+      );
+    }
+
+    const update = {};
+    if (role !== undefined) update.role = role;
+    if (disabled !== undefined) {
+      update.disabled = disabled;
+      update.disabledAt = disabled ? new Date() : null;
+      update.disabledReason = disabled ? reason || "" : "";
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { $set: update },
+      { new: true, runValidators: true }
+    )
+      .select(USER_FIELDS)
+      .lean();
+    if (!user) {
+      throw notFound("User");
+    }
+
+    if (disabled === true) {
+      await revokeAllForUser(user._id);
+    }
+
+    return res.json({ ok: true, user });
+  })
+);
+
+// -------------------- FEEDBACK --------------------
+
+/**
+ * GET /admin/feedback
+ * Query: section?, from?, to?
+ * Overview of the votes; see /feedback/stats/* for the detailed views.
+ * Returns: { ok, sections, topItems, bottomItems }
+ *  - topItems / bottomItems: 10 best / worst liked items with 3+ votes
+ */
+router.get(
+  "/feedback",
+  validate({ query: { properties: schemas.statsQuery } }),
+  asyncHandler(async (req, res) => {
+    const filters = toStatsFilters(req.query);
+
+    const [sections, items] = await Promise.all([
+      statsBySection(filters),
+      statsByItem({ ...filters, minVotes: 3, limit: 200 }),
+    ]);
+
+    const byRatio = [...items].sort((a, b) => b.likeRatio - a.likeRatio);
+
+    return res.json({
+      ok: true,
+      sections,
+      topItems: byRatio.slice(0, 10),
+      bottomItems: byRatio.slice(-10).reverse(),
+    });
+  })
+);
+
+// -------------------- PROVIDER HEALTH --------------------
+
+/**
+ * GET /admin/health
+ * Returns: { ok, providers, configured }
+ *  - providers: outcome of recent upstream calls since the server started
+ *    [{ kind, name, status, successes, failures, consecutiveFailures,
+ *       lastSuccessAt, lastFailureAt, lastError, avgLatencyMs }]
+ *  - configured: { marketData: [names in failover order], fx: [same],
+ *                  news: [sources read on each ingestion],
+ *                  memes: [subreddits memes are ingested from],
+ *                  insight: { provider, model } | null }
+ */
+router.get(
+  "/health",
+  asyncHandler(async (req, res) => {
+    const insight = await getProvider();
+
+    return res.json({
+      ok: true,
+      providers: getHealth(),
+      configured: {
+        marketData: getProviderChain().map((p) => p.name),
+        fx: getFxProviderChain().map((p) => p.name),
+        news: getNewsSources().map((s) => s.name),
+        memes: allowedSubreddits(),
+        insight: insight
+          ? { provider: insight.name, model: insight.model }
+          : null,
+      },
+    });
+  })
+);
+
+// -------------------- NEWS --------------------
+
+/**
+ * POST /admin/news/ingest
+ * Reads every news source now instead of waiting for the worker.
+ * Returns: { ok, fetched, added, merged }
+ */
+router.post(
+  "/news/ingest",
+  asyncHandler(async (req, res) => {
+    const result = await ingestNews();
+    if (!result) {
+      throw conflict("News ingestion is already running", "INGEST_RUNNING");
+    }
+
+    return res.json({ ok: true, ...result });
+  })
+);
+
+// -------------------- MEMES --------------------
+// (the moderation queue is under /memes/queue)
+
+/**
+ * POST /admin/memes/ingest
+ * Reads the allowed subreddits now instead of waiting for the worker.
+ * Returns: { ok, fetched, added, rejected, duplicates }
+ */
+router.post(
+  "/memes/ingest",
+  asyncHandler(async (req, res) => {
+    const result = await ingestMemes();
+    if (!result) {
+      throw conflict("Meme ingestion is already running", "INGEST_RUNNING");
+    }
+
+    return res.json({ ok: true, ...result });
+  })
+);
+
+// -------------------- SETTINGS --------------------
+
+const settingParams = {
+  properties: { key: { type: "string", minLength: 1 } },
+  required: ["key"],
+};
+
+/**
+ * GET /admin/settings
+ * Returns: { ok, settings: [{ key, value, default, isDefault, description,
+ *                             updatedAt, updatedBy }] }
+ */
+router.get(
+  "/settings",
+  asyncHandler(async (req, res) => {
+    return res.json({ ok: true, settings: await listSettings() });
+  })
+);
+
+/**
+ * PUT /admin/settings/:key
+ * Body: { value }
+ *  - defaultAssets: ["BTC", "ETH"]
+ *  - openrouterModel: "mistralai/mistral-7b-instruct"
+ * Returns: { ok, key, value }
+ */
+router.put(
+  "/settings/:key",
+  validate({
+    params: settingParams,
+    body: { properties: { value: {} }, required: ["value"] },
+  }),
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    const { value, error } = await setSetting(key, req.body.value, req.userId);
+    if (error) {
+      throw badRequest(error, "INVALID_SETTING");
+    }
+
+    return res.json({ ok: true, key, value });
+  })
+);
+
+/**
+ * DELETE /admin/settings/:key
+ * Restores the default value.
+ * Returns: { ok, key, value }
+ */
+router.delete(
+  "/settings/:key",
+  validate({ params: settingParams }),
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    const { value, error } = await resetSetting(key);
+    if (error) {
+      throw new AppError(404, "NOT_FOUND", error);
+    }
+
+    return res.json({ ok: true, key, value });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,128 @@
+// server/routes/adviceRoutes.js
+const express = require("express");
+const User = require("../models/User");
+const Transaction = require("../models/Transaction");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound } = require("../services/errors");
+const { resolveSymbols } = require("../services/assetRegistry");
+const { computePositions } = require("../services/portfolioService");
+const { getAllocationAdvice } = require("../services/allocationService");
+
+const router = express.Router();
+
+router.use(auth);
+
+const assetList = { ...schemas.tickerList, minItems: 1 };
+
+// [{ asset, quantity }] -> { [ticker]: quantity }
+function toHoldings(list) {
+  const holdings = {};
+  for (const h of list) {
+    const ticker = h.asset.toUpperCase();
+    holdings[ticker] = (holdings[ticker] || 0) + h.quantity;
+  }
+  return holdings;
+}
+
+// Shared response for both routes
+async function sendAdvice(req, res, options) {
+  const user = await User.findById(req.userId).select("-password").lean();
+  if (!user) {
+    throw notFound("User");
+  }
+
+  const advice = await getAllocationAdvice(user, options);
+  return res.json({ ok: true, ...advice });
+}
+
+/**
+ * GET /advice/allocation
+ * Query: assets (optional comma-separated tickers, default: the user's assets)
+ * Returns: { ok, tier, assets, target, statistics, warnings }
+ *  - target: { allocations: [{ asset, pct }], cashPct, expectedVolatility }
+ *  - statistics: { lookback, volatility: { [asset]: % }, correlation: matrix }
+ */
+router.get(
+  "/allocation",
+  validate({ query: { properties: { assets: assetList } } }),
+  asyncHandler(async (req, res) => {
+    const assets =
+      req.query.assets &&
+      (await resolveSymbols(req.query.assets, "query.assets"));
+
+    return sendAdvice(req, res, { assets });
+  })
+);
+
+/**
+ * POST /advice/allocation
+ * Body (all optional):
+ *  - assets: ["BTC", "ETH"] (default: the user's assets)
+ *  - holdings: [{ asset, quantity }] current holdings
+ *  - fromPortfolio: true to use the holdings of GET /portfolio instead
+ *  - cash: USD available outside crypto (default 0)
+ *  - driftThreshold: percentage points of drift tolerated (default ADVICE_DRIFT_PCT or 5)
+ * Returns the GET response plus, when holdings are known:
+ *  - rebalance: { driftThreshold, totalValue, positions, cash, trades,
+ *    rebalanceNeeded, cashLimited }
+ *    trades: [{ asset, side: "buy" | "sell", quantity, value, price }]
+ *    cashLimited: buys were scaled down to the cash available
+ *  - pricesMeta
+ */
+router.post(
+  "/allocation",
+  validate({
+    body: {
+      properties: {
+        assets: assetList,
+        holdings: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              asset: { type: "string", minLength: 1 },
+              quantity: { type: "number", minimum: 0 },
+            },
+            required: ["asset", "quantity"],
+          },
+        },
+        fromPortfolio: { type: "boolean" },
+        cash: { type: "number", minimum: 0 },
+        driftThreshold: { type: "number", minimum: 0, maximum: 100 },
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const body = req.body;
+
+    const assets =
+      body.assets && (await resolveSymbols(body.assets, "body.assets"));
+
+    let holdings;
+    if (body.fromPortfolio) {
+      const transactions = await Transaction.find({
+        userId: req.userId,
+      }).lean();
+      holdings = {};
+      for (const [asset, pos] of Object.entries(
+        computePositions(transactions)
+      )) {
+        if (pos.quantity > 0) holdings[asset] = pos.quantity;
+      }
+    } else if (body.holdings !== undefined) {
+      holdings = toHoldings(body.holdings);
+    }
+
+    return sendAdvice(req, res, {
+      assets,
+      holdings,
+      cash: body.cash,
+      driftThreshold: body.driftThreshold,
+    });
+  })
+);
+
+module.exports = router;
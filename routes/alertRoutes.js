@@ -0,0 +1,147 @@
+// server/routes/alertRoutes.js
+const express = require("express");
+const Alert = require("../models/Alert");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound } = require("../services/errors");
+const { resolveSymbols } = require("../services/assetRegistry");
+
+const router = express.Router();
+
+router.use(auth);
+
+const CONDITIONS = ["above", "below", "change_up", "change_down"];
+const REARM_MODES = ["never", "crossing"];
+
+// Editable alert fields; POST needs asset/condition/threshold
+const alertFields = {
+  asset: { type: "string", minLength: 1 },
+  condition: { type: "string", enum: CONDITIONS },
+  threshold: { type: "number", minimum: 0 },
+  rearm: { type: "string", enum: REARM_MODES },
+  cooldownMinutes: { type: "number", minimum: 0 },
+};
+
+/**
+ * GET /alerts
+ * Returns: { ok, alerts }
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const alerts = await Alert.find({ userId: req.userId })
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json({ ok: true, alerts });
+  })
+);
+
+/**
+ * POST /alerts
+ * Body: { asset, condition, threshold, rearm?, cooldownMinutes? }
+ *  - "BTC above 70k"       -> { asset: "BTC", condition: "above", threshold: 70000 }
+ *  - "ETH drops 5% in 24h" -> { asset: "ETH", condition: "change_down", threshold: 5 }
+ * Returns: { ok, alert }
+ */
+router.post(
+  "/",
+  validate({
+    body: {
+      properties: alertFields,
+      required: ["asset", "condition", "threshold"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const body = req.body;
+    // Alerts can only watch assets from the registry
+    const [asset] = await resolveSymbols([body.asset], "body.asset");
+
+    const alert = await Alert.create({
+      userId: req.userId,
+      asset,
+      condition: body.condition,
+      threshold: body.threshold,
+      rearm: body.rearm,
+      cooldownMinutes: body.cooldownMinutes,
+    });
+
+    return res.status(201).json({ ok: true, alert });
+  })
+);
+
+/**
+ * PATCH /alerts/:id
+ * Body: any of { asset, condition, threshold, rearm, cooldownMinutes, active }
+ * Changing the condition re-arms the alert.
+ * Returns: { ok, alert }
+ */
+router.patch(
+  "/:id",
+  validate({
+    params: schemas.idParams,
+    body: {
+      properties: { ...alertFields, active: { type: "boolean" } },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const body = { ...req.body };
+    if (body.asset !== undefined) {
+      [body.asset] = await resolveSymbols([body.asset], "body.asset");
+    }
+
+    const update = {};
+    for (const field of [
+      "asset",
+      "condition",
+      "threshold",
+      "rearm",
+      "cooldownMinutes",
+      "active",
+    ]) {
+      if (body[field] !== undefined) update[field] = body[field];
+    }
+    if (
+      update.asset !== undefined ||
+      update.condition !== undefined ||
+      update.threshold !== undefined ||
+      update.active === true
+    ) {
+      update.armed = true;
+    }
+
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!alert) {
+      throw notFound("Alert");
+    }
+
+    return res.json({ ok: true, alert });
+  })
+);
+
+/**
+ * DELETE /alerts/:id
+ * Returns: { ok }
+ */
+router.delete(
+  "/:id",
+  validate({ params: schemas.idParams }),
+  asyncHandler(async (req, res) => {
+    const result = await Alert.deleteOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (result.deletedCount === 0) {
+      throw notFound("Alert");
+    }
+
+    return res.json({ ok: true });
+  })
+);
+
+module.exports = router;
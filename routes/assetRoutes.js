@@ -0,0 +1,190 @@
+// server/routes/assetRoutes.js
+const express = require("express");
+const Asset = require("../models/Asset");
+const auth = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { conflict, notFound } = require("../services/errors");
+const { getAssets, invalidateAssets } = require("../services/assetRegistry");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  "coingeckoId",
+  "name",
+  "aliases",
+  "tags",
+  "active",
+  "order",
+];
+
+// Public shape of an asset (no internal fields / matcher)
+function toPublic(asset) {
+  return {
+    symbol: asset.symbol,
+    coingeckoId: asset.coingeckoId,
+    name: asset.name,
+    aliases: asset.aliases || [],
+    tags: asset.tags || [],
+    active: asset.active !== false,
+    order: asset.order || 0,
+  };
+}
+
+const stringList = { type: "array", items: { type: "string" } };
+const nonEmpty = {
+  type: "string",
+  minLength: 1,
+  pattern: "\\S",
+  patternMessage: "must not be blank",
+};
+
+// Editable asset fields; POST additionally needs symbol/coingeckoId/name
+const assetFields = {
+  coingeckoId: nonEmpty,
+  name: nonEmpty,
+  aliases: stringList,
+  tags: stringList,
+  active: { type: "boolean" },
+  order: { type: "number" },
+};
+
+const symbolParams = {
+  properties: { symbol: { type: "string", minLength: 1 } },
+  required: ["symbol"],
+};
+
+/**
+ * GET /assets
+ * Public list of active assets (used by onboarding and the frontend).
+ * Returns: { ok, assets }
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const assets = await getAssets();
+    return res.json({ ok: true, assets: assets.map(toPublic) });
+  })
+);
+
+// ===== Admin only below =====
+
+/**
+ * GET /assets/all
+ * Every asset including inactive ones.
+ * Returns: { ok, assets }
+ */
+router.get(
+  "/all",
+  auth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const assets = await Asset.find().sort({ order: 1, symbol: 1 }).lean();
+    return res.json({ ok: true, assets: assets.map(toPublic) });
+  })
+);
+
+/**
+ * POST /assets
+ * Body: { symbol, coingeckoId, name, aliases?, tags?, active?, order? }
+ * Returns: { ok, asset }
+ */
+router.post(
+  "/",
+  auth,
+  requireRole("admin"),
+  validate({
+    body: {
+      properties: {
+        symbol: {
+          type: "string",
+          pattern: "^[A-Za-z0-9]{1,15}$",
+          patternMessage: "must be 1-15 letters/digits",
+        },
+        ...assetFields,
+      },
+      required: ["symbol", "coingeckoId", "name"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const body = req.body;
+
+    const symbol = body.symbol.toUpperCase();
+    if (await Asset.exists({ symbol })) {
+      throw conflict("Asset already exists", "ASSET_EXISTS");
+    }
+
+    const fields = { symbol };
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) fields[field] = body[field];
+    }
+    fields.aliases = (fields.aliases || []).map((a) => a.toLowerCase());
+
+    const asset = await Asset.create(fields);
+    invalidateAssets();
+
+    return res.status(201).json({ ok: true, asset: toPublic(asset) });
+  })
+);
+
+/**
+ * PATCH /assets/:symbol
+ * Body: any of { coingeckoId, name, aliases, tags, active, order }
+ * Returns: { ok, asset }
+ */
+router.patch(
+  "/:symbol",
+  auth,
+  requireRole("admin"),
+  validate({ params: symbolParams, body: { properties: assetFields } }),
+  asyncHandler(async (req, res) => {
+    const body = req.body;
+
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) update[field] = body[field];
+    }
+    if (update.aliases) {
+      update.aliases = update.aliases.map((a) => a.toLowerCase());
+    }
+
+    const asset = await Asset.findOneAndUpdate(
+      { symbol: req.params.symbol.toUpperCase() },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!asset) {
+      throw notFound("Asset");
+    }
+    invalidateAssets();
+
+    return res.json({ ok: true, asset: toPublic(asset) });
+  })
+);
+
+/**
+ * DELETE /assets/:symbol
+ * Removes an asset from the registry. Prefer PATCH { active: false }
+ * to hide an asset while keeping its history.
+ * Returns: { ok }
+ */
+router.delete(
+  "/:symbol",
+  auth,
+  requireRole("admin"),
+  validate({ params: symbolParams }),
+  asyncHandler(async (req, res) => {
+    const result = await Asset.deleteOne({
+      symbol: req.params.symbol.toUpperCase(),
+    });
+    if (result.deletedCount === 0) {
+      throw notFound("Asset");
+    }
+    invalidateAssets();
+
+    return res.json({ ok: true });
+  })
+);
+
+module.exports = router;
@@ -1,44 +1,142 @@
 const express = require("express");
-const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const auth = require("../middleware/auth");
+const rateLimit = require("../middleware/rateLimit");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { logger } = require("../services/logger");
+const {
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  badRequest,
+  tooManyRequests,
+} = require("../services/errors");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+} = require("../services/tokenService");
+const {
+  normalizeEmail,
+  assertStrongPassword,
+  hashPassword,
+  checkPassword,
+  findAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  verifyEmail,
+} = require("../services/accountService");
+const {
+  checkLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../services/loginGuard");
 
 const router = express.Router();
 
-/**
- * Generates a JWT token with a consistent format: { id: <mongoId> }
- */
-function createToken(userId) {
-  return jwt.sign(
-    { id: userId }, // Important: keep field name consistent as "id"
-    process.env.JWT_SECRET || "devsecret",
-    { expiresIn: "7d" }
+// Per-IP limits on the endpoints that hash passwords or send email
+const loginLimit = rateLimit({ name: "login", max: 10, windowMs: 60 * 1000 });
+const signupLimit = rateLimit({
+  name: "signup",
+  max: 5,
+  windowMs: 60 * 60 * 1000,
+});
+const emailLimit = rateLimit({
+  name: "email",
+  max: 5,
+  windowMs: 15 * 60 * 1000,
+});
+
+const tokenBody = {
+  properties: { token: { type: "string", minLength: 1 } },
+  required: ["token"],
+};
+const refreshTokenBody = {
+  properties: {
+    refreshToken: { type: "string", minLength: 1 },
+    all: { type: "boolean" },
+  },
+  required: ["refreshToken"],
+};
+
+const sessionResponse = schemas.okResponse({
+  ...schemas.tokens,
+  user: schemas.user,
+});
+
+// Client info stored with refresh tokens (helps when reviewing sessions)
+function clientMeta(req) {
+  return {
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip || "",
+  };
+}
+
+// User fields returned after signup/login
+function toAuthUser(user) {
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    role: user.role,
+    preferences: user.preferences,
+  };
+}
+
+function loginLocked(retryAfterSec) {
+  return tooManyRequests(
+    `Too many failed logins, try again in ${retryAfterSec}s`,
+    retryAfterSec,
+    "LOGIN_LOCKED"
   );
 }
 
 /**
  * SIGNUP - Create a new user
  * Body: { name, email, password }
- * Returns: { ok, token, user }
+ * A verification link is emailed to the new address.
+ * Returns: { ok, token, refreshToken, expiresIn, user }
  */
-router.post("/signup", async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
+router.post(
+  "/signup",
+  signupLimit,
+  validate({
+    summary: "Create an account",
+    response: sessionResponse,
+    body: {
+      properties: {
+        name: schemas.name,
+        email: schemas.email,
+        password: schemas.password,
+      },
+      required: ["name", "email", "password"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { name, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    // Check password strength before touching the database or bcrypt
+    assertStrongPassword(password, email);
 
     // Check if a user with the same email already exists
     const exists = await User.findOne({ email });
     if (exists) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "User already exists" });
+      throw conflict("User already exists", "EMAIL_TAKEN");
     }
 
     // Hash the password before saving
-    const hashed = await bcrypt.hash(password, 10);
+    const hashed = await hashPassword(password);
 
     // Create a new user in the database
     const user = await User.create({
-      name,
+      name: name.trim(),
       email,
       password: hashed,
       preferences: {
@@ -48,73 +146,255 @@ router.post("/signup", async (req, res) => {
       },
     });
 
-    // Generate JWT token
-    const token = createToken(user._id.toString());
+    // A failed email must not fail the signup; it can be re-sent later
+    sendVerificationEmail(user).catch((err) =>
+      logger.error("verification email failed", { err })
+    );
+
+    // Generate access + refresh tokens
+    const tokens = await issueTokens(user, clientMeta(req));
 
     // Send response back to the client
-    return res.json({
-      ok: true,
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        preferences: user.preferences,
-      },
-    });
-  } catch (err) {
-    console.error("❌ /auth/signup error:", err.message);
-    return res
-      .status(500)
-      .json({ ok: false, error: "Signup failed on the server side" });
-  }
-});
+    return res.json({ ok: true, ...tokens, user: toAuthUser(user) });
+  })
+);
 
 /**
  * LOGIN - Authenticate an existing user
  * Body: { email, password }
- * Returns: { ok, token, user }
+ * Repeated failures lock the email for a growing time (see loginGuard);
+ * while locked the answer is 429 LOGIN_LOCKED with Retry-After.
+ * Returns: { ok, token, refreshToken, expiresIn, user }
  */
-router.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+router.post(
+  "/login",
+  loginLimit,
+  validate({
+    summary: "Log in with email and password",
+    response: sessionResponse,
+    body: {
+      properties: {
+        email: { type: "string", minLength: 1 },
+        password: schemas.password,
+      },
+      required: ["email", "password"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
 
-    // Find the user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Invalid email or password" });
+    const lock = await checkLoginLock(email);
+    if (lock.locked) {
+      throw loginLocked(lock.retryAfterSec);
     }
 
-    // Compare the provided password with the stored hash
-    const match = await bcrypt.compare(password, user.password);
+    // Find the user by email and compare the password with the stored hash
+    // (unknown emails are compared too: timing must not reveal accounts)
+    const user = await User.findOne({ email });
+    const match = await checkPassword(user, password);
     if (!match) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Invalid email or password" });
+      const failure = await recordLoginFailure(email);
+      if (failure.locked) {
+        throw loginLocked(failure.retryAfterSec);
+      }
+      throw unauthorized("Invalid email or password", "INVALID_CREDENTIALS");
+    }
+
+    await clearLoginFailures(email);
+
+    // Checked after the password so it does not reveal which accounts exist
+    if (user.disabled) {
+      throw forbidden("This account has been disabled", "ACCOUNT_DISABLED");
     }
 
-    // Generate JWT token
-    const token = createToken(user._id.toString());
+    // Generate access + refresh tokens
+    const tokens = await issueTokens(user, clientMeta(req));
 
     // Send response back to the client
+    return res.json({ ok: true, ...tokens, user: toAuthUser(user) });
+  })
+);
+
+/**
+ * REFRESH - Exchange a refresh token for a new token pair
+ * Body: { refreshToken }
+ * The presented refresh token is revoked (rotation).
+ * Returns: { ok, token, refreshToken, expiresIn }
+ */
+router.post(
+  "/refresh",
+  validate({
+    summary: "Exchange a refresh token for a new token pair",
+    response: schemas.okResponse(schemas.tokens),
+    body: refreshTokenBody,
+  }),
+  asyncHandler(async (req, res) => {
+    const rotated = await rotateRefreshToken(
+      req.body.refreshToken,
+      clientMeta(req)
+    );
+    if (!rotated) {
+      throw unauthorized("Invalid or expired refresh token", "INVALID_TOKEN");
+    }
+
     return res.json({
       ok: true,
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        preferences: user.preferences,
-      },
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn,
     });
-  } catch (err) {
-    console.error("❌ /auth/login error:", err.message);
-    return res
-      .status(500)
-      .json({ ok: false, error: "Login failed on the server side" });
-  }
-});
+  })
+);
+
+/**
+ * LOGOUT - Revoke a refresh token
+ * Body: { refreshToken, all? }
+ *  - all: true also revokes every other session of the same user
+ * Access tokens stay valid until they expire (they are short-lived).
+ * Returns: { ok }
+ */
+router.post(
+  "/logout",
+  validate({
+    summary: "Revoke a refresh token",
+    response: schemas.okResponse(),
+    body: refreshTokenBody,
+  }),
+  asyncHandler(async (req, res) => {
+    const { refreshToken, all } = req.body;
+
+    const userId = await revokeRefreshToken(refreshToken);
+    if (userId && all === true) {
+      await revokeAllForUser(userId);
+    }
+
+    return res.json({ ok: true });
+  })
+);
+
+/**
+ * VERIFY EMAIL - Confirm an address with the emailed token
+ * Body: { token }
+ * Returns: { ok, user }
+ */
+router.post(
+  "/verify-email",
+  validate({
+    summary: "Confirm an email address",
+    response: schemas.okResponse({ user: schemas.user }),
+    body: tokenBody,
+  }),
+  asyncHandler(async (req, res) => {
+    const user = await verifyEmail(req.body.token);
+    if (!user) {
+      throw badRequest("Invalid or expired verification link", "INVALID_TOKEN");
+    }
+
+    return res.json({ ok: true, user });
+  })
+);
+
+/**
+ * RESEND VERIFICATION - Email a fresh verification link (logged in)
+ * Returns: { ok }
+ */
+router.post(
+  "/resend-verification",
+  auth,
+  emailLimit,
+  validate({
+    summary: "Email a fresh verification link",
+    response: schemas.okResponse(),
+  }),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw notFound("User");
+    }
+    if (user.emailVerified) {
+      throw conflict("Email is already verified", "ALREADY_VERIFIED");
+    }
+
+    await sendVerificationEmail(user);
+    return res.json({ ok: true });
+  })
+);
+
+/**
+ * FORGOT PASSWORD - Email a password reset link
+ * Body: { email }
+ * Always answers ok so the endpoint cannot be used to probe for accounts.
+ * Returns: { ok }
+ */
+router.post(
+  "/forgot-password",
+  emailLimit,
+  validate({
+    summary: "Email a password reset link",
+    response: schemas.okResponse(),
+    body: { properties: { email: schemas.email }, required: ["email"] },
+  }),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: normalizeEmail(req.body.email) });
+    if (user) {
+      // not awaited: the response time must not tell whether it exists
+      sendPasswordResetEmail(user).catch((err) =>
+        logger.error("password reset email failed", { err })
+      );
+    }
+
+    return res.json({ ok: true });
+  })
+);
+
+/**
+ * RESET PASSWORD - Set a new password with the emailed token
+ * Body: { token, password }
+ * Every existing session is logged out.
+ * Returns: { ok }
+ */
+router.post(
+  "/reset-password",
+  emailLimit,
+  validate({
+    summary: "Set a new password with an emailed token",
+    response: schemas.okResponse(),
+    body: {
+      properties: {
+        token: { type: "string", minLength: 1 },
+        password: schemas.password,
+      },
+      required: ["token", "password"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const record = await findAccountToken(token, "reset_password");
+    const user = record && (await User.findById(record.userId));
+    if (!user) {
+      throw badRequest("Invalid or expired reset link", "INVALID_TOKEN");
+    }
+
+    // Check the new password before using up the token
+    assertStrongPassword(password, user.email);
+    if (!(await consumeAccountToken(token, "reset_password"))) {
+      throw badRequest("Invalid or expired reset link", "INVALID_TOKEN");
+    }
+
+    user.password = await hashPassword(password);
+    user.passwordChangedAt = new Date();
+    // the link proves the user controls this address
+    if (record.email === user.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllForUser(user._id);
+
+    return res.json({ ok: true });
+  })
+);
 
 module.exports = router;
@@ -1,39 +1,268 @@
 const express = require("express");
 const User = require("../models/User");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound } = require("../services/errors");
 const { getDashboardDataForUser } = require("../services/dashboardService");
+const { findWatchlist } = require("../services/watchlistService");
 const auth = require("../middleware/auth");
+const rateLimit = require("../middleware/rateLimit");
+const { subscribe } = require("../services/liveHub");
+const { logger } = require("../services/logger");
 
 const router = express.Router();
 
+// Every dashboard build can hit the upstream price/news/meme/AI APIs
+const dashboardLimit = rateLimit({
+  name: "dashboard",
+  max: 30,
+  windowMs: 60 * 1000,
+  by: "user",
+});
+
+const nullableNumber = { type: "number", nullable: true };
+
+const dashboardResponse = {
+  type: "object",
+  properties: {
+    user: {
+      type: "object",
+      properties: {
+        id: schemas.objectId,
+        name: { type: "string" },
+        email: { type: "string" },
+        preferences: schemas.preferences,
+      },
+      required: ["id", "name", "email"],
+    },
+    watchlist: {
+      type: "object",
+      nullable: true,
+      properties: {
+        id: schemas.objectId,
+        name: { type: "string" },
+        assets: { type: "array", items: { type: "string" } },
+      },
+      required: ["id", "name", "assets"],
+    },
+    prices: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          symbol: { type: "string", description: "CoinGecko id" },
+          price: { type: "number" },
+          currency: { type: "string" },
+          change24h: nullableNumber,
+          marketCap: nullableNumber,
+        },
+        required: ["symbol", "price", "currency"],
+      },
+    },
+    pricesMeta: {
+      type: "object",
+      properties: {
+        source: { type: "string" },
+        stale: { type: "boolean" },
+        fetchedAt: { ...schemas.dateTime, nullable: true },
+        fx: {
+          type: "object",
+          properties: {
+            currency: { type: "string" },
+            rate: { type: "number" },
+            source: { type: "string", nullable: true },
+            stale: { type: "boolean" },
+            fetchedAt: { ...schemas.dateTime, nullable: true },
+          },
+        },
+      },
+    },
+    news: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          source: { type: "string" },
+          url: { type: "string" },
+          publishedAt: { ...schemas.dateTime, nullable: true },
+          assets: { type: "array", items: { type: "string" } },
+          score: { type: "number" },
+          reason: { type: "string" },
+        },
+        required: ["title", "url"],
+      },
+    },
+    aiInsight: {
+      type: "object",
+      properties: {
+        id: schemas.objectId,
+        text: { type: "string" },
+        sentiment: { type: "string" },
+        citations: {
+          type: "array",
+          description: "headlines the insight is based on",
+          items: {
+            type: "object",
+            properties: {
+              title: { type: "string" },
+              source: { type: "string" },
+              url: { type: "string" },
+            },
+          },
+        },
+        fromModel: { type: "boolean" },
+        model: { type: "string", nullable: true },
+        reused: { type: "boolean" },
+        budgetExhausted: { type: "boolean" },
+      },
+      required: ["text", "sentiment"],
+    },
+    meme: {
+      type: "object",
+      properties: {
+        id: {
+          ...schemas.objectId,
+          nullable: true,
+          description: "itemId for meme feedback (null for the fallback)",
+        },
+        title: { type: "string" },
+        url: { type: "string" },
+        postLink: { type: "string", nullable: true },
+        subreddit: { type: "string", nullable: true },
+      },
+    },
+  },
+  required: [
+    "user",
+    "watchlist",
+    "prices",
+    "pricesMeta",
+    "news",
+    "aiInsight",
+    "meme",
+  ],
+};
+
 /**
  * GET /dashboard
  * Protected route:
  * - Requires valid JWT (auth middleware)
+ * - Rate limited per user (RATE_LIMIT_DASHBOARD, default 30/60s)
  * - Loads the user from DB using req.userId
  * - Calls service layer to assemble dashboard data
+ * Query:
+ *  - watchlist (optional id) scopes prices, news and the insight to
+ *    that watchlist instead of the saved preferences
+ *  - currency (optional) overrides preferences.currency for the prices
  */
-router.get("/", auth, async (req, res) => {
-  try {
+router.get(
+  "/",
+  auth,
+  dashboardLimit,
+  validate({
+    summary: "Prices, news, insight and meme for the user",
+    response: dashboardResponse,
+    query: {
+      properties: { watchlist: schemas.objectId, currency: schemas.currency },
+    },
+  }),
+  asyncHandler(async (req, res) => {
     // Load the user from Mongo by the ID we got from the token
     const user = await User.findById(req.userId).lean();
     if (!user) {
-      return res.status(404).json({ error: "User not found" });
+      throw notFound("User");
     }
 
+    const watchlist = req.query.watchlist
+      ? await findWatchlist(user._id, req.query.watchlist)
+      : undefined;
+
     // Ask service layer for dashboard data (news, prices, AI, meme...)
-    const dashboardData = await getDashboardDataForUser(user);
+    const dashboardData = await getDashboardDataForUser(user, {
+      watchlist,
+      currency: req.query.currency,
+    });
 
     // Return exactly what the frontend expects
     return res.json({
       ...dashboardData,
     });
-  } catch (err) {
-    console.error("❌ /dashboard error:", err.message);
+  })
+);
 
-    return res.status(500).json({
-      error: "Failed to build dashboard",
+/**
+ * GET /dashboard/stream
+ * Server-sent events for live dashboard updates.
+ * Auth: Bearer header, or ?access_token=<token> for EventSource.
+ * Events (each with an id, resend Last-Event-ID to resume; ids from
+ * before a server restart get the latest price tick instead):
+ *  - price: { prices, source, stale, fetchedAt, fx } for the user's assets
+ *           (or the defaultAssets setting), in preferences.currency
+ *           (or ?currency=)
+ *  - news:  { articles } new headlines matching the user's assets
+ *  - alert: a triggered alert notification
+ * A ": ping" comment is sent periodically as heartbeat.
+ * A user has at most LIVE_MAX_STREAMS_PER_USER (default 5) open streams;
+ * opening another one closes the oldest.
+ */
+router.get(
+  "/stream",
+  auth.allowQueryToken,
+  validate({
+    summary: "Live dashboard updates (server-sent events)",
+    description: "Events: price, news, alert (each with an id).",
+    contentType: "text/event-stream",
+    response: { type: "string" },
+    query: {
+      properties: {
+        // EventSource cannot send an Authorization header
+        access_token: { type: "string" },
+        lastEventId: { type: "string" },
+        currency: schemas.currency,
+      },
+    },
+  }),
+  async (req, res, next) => {
+    // registered before any await: a client can leave at any point
+    let closed = false;
+    let unsubscribe = null;
+    req.on("close", () => {
+      closed = true;
+      if (unsubscribe) unsubscribe();
     });
+
+    try {
+      const user = await User.findById(req.userId).lean();
+      if (!user) {
+        throw notFound("User");
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // disable proxy buffering (nginx)
+      });
+      res.flushHeaders();
+      res.write("retry: 5000\n\n");
+
+      unsubscribe = await subscribe({
+        res,
+        userId: user._id,
+        assets: user.preferences?.cryptoAssets || [],
+        currency: req.query.currency || user.preferences?.currency,
+        lastEventId: req.headers["last-event-id"] || req.query.lastEventId,
+      });
+      if (closed) unsubscribe();
+    } catch (err) {
+      // once the event stream is open only closing it is left
+      if (!res.headersSent) return next(err);
+      logger.error("dashboard stream failed", { err });
+      res.end();
+    }
   }
-});
+);
 
 module.exports = router;
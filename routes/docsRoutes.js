@@ -0,0 +1,70 @@
+// server/routes/docsRoutes.js
+const express = require("express");
+const { buildOpenApiDocument } = require("../services/openapi");
+
+const router = express.Router();
+
+// Routers covered by the API document (mount paths as in index.js)
+const DOCUMENTED = [
+  { prefix: "/auth", router: require("./authRoutes"), tag: "Auth" },
+  { prefix: "/user", router: require("./userRoutes"), tag: "User" },
+  {
+    prefix: "/onboarding",
+    router: require("./onboardingRoutes"),
+    tag: "Onboarding",
+  },
+  {
+    prefix: "/dashboard",
+    router: require("./dashboardRoutes"),
+    tag: "Dashboard",
+  },
+  { prefix: "/feedback", router: require("./feedbackRoutes"), tag: "Feedback" },
+  {
+    prefix: "/watchlists",
+    router: require("./watchlistRoutes"),
+    tag: "Watchlists",
+  },
+  { prefix: "/news", router: require("./newsRoutes"), tag: "News" },
+  { prefix: "/memes", router: require("./memeRoutes"), tag: "Memes" },
+];
+
+// Routes do not change at runtime, so the document is built once
+let document = null;
+
+/**
+ * GET /openapi.json
+ * The OpenAPI 3 document, generated from the routes' validate() schemas.
+ */
+router.get("/openapi.json", (req, res) => {
+  document = document || buildOpenApiDocument(DOCUMENTED);
+  res.json(document);
+});
+
+/**
+ * GET /docs
+ * Interactive docs (Swagger UI, loaded from a CDN) for /openapi.json.
+ */
+router.get("/docs", (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Crypto Advisor API</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: "openapi.json",
+        dom_id: "#swagger-ui",
+        persistAuthorization: true,
+      });
+    </script>
+  </body>
+</html>
+`);
+});
+
+module.exports = router;
@@ -1,72 +1,271 @@
 // server/routes/feedbackRoutes.js
 const express = require("express");
-const jwt = require("jsonwebtoken");
-const Feedback = require("../models/Feedback");
+const auth = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound } = require("../services/errors");
+const { findArticle } = require("../services/news");
+const {
+  SECTIONS,
+  setVote,
+  removeVote,
+  listUserFeedback,
+  statsBySection,
+  statsByItem,
+  statsOverTime,
+  toStatsFilters,
+} = require("../services/feedbackService");
 
 const router = express.Router();
 
-/**
- * Small auth middleware for this router.
- * Expects Authorization: Bearer <token>
- * Sets req.userId if valid.
- */
-router.use((req, res, next) => {
-  const header = req.headers.authorization || "";
-  const [, token] = header.split(" ");
-
-  if (!token) {
-    return res.status(401).json({ ok: false, msg: "No token" });
-  }
-
-  try {
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "devsecret"
-    );
-    req.userId = decoded.userId;
-    next();
-  } catch (err) {
-    console.error("feedbackRoutes auth error:", err);
-    return res.status(401).json({ ok: false, msg: "Invalid token" });
-  }
-});
+router.use(auth);
+
+const BUCKETS = ["day", "week", "month"];
+
+const section = { type: "string", enum: SECTIONS };
+const itemId = { type: "string", minLength: 1 };
+
+const feedback = {
+  type: "object",
+  properties: {
+    _id: schemas.objectId,
+    section: { type: "string" },
+    itemId: { type: "string" },
+    vote: { type: "integer", enum: [1, -1] },
+    context: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        source: { type: "string" },
+        assets: { type: "array", items: { type: "string" } },
+      },
+    },
+    createdAt: schemas.dateTime,
+    updatedAt: schemas.dateTime,
+  },
+  required: ["_id", "section", "itemId", "vote"],
+};
+
+// likes/dislikes of a group of votes
+const voteCounts = {
+  likes: { type: "integer" },
+  dislikes: { type: "integer" },
+  total: { type: "integer" },
+  likeRatio: { type: "number", nullable: true },
+};
+
+function statsRow(properties) {
+  return {
+    type: "object",
+    properties: { ...properties, ...voteCounts },
+    required: [...Object.keys(properties), ...Object.keys(voteCounts)],
+  };
+}
 
 /**
  * POST /feedback
  * Body:
  *  - section ("news", "prices", "insight", "meme")
- *  - itemId (string)
+ *  - itemId (string; the article url for news, the meme id for memes)
  *  - vote (1 for like, -1 for dislike)
  *
- * Stores user feedback for future model training.
+ * Stores user feedback. Voting again on the same item changes the vote.
+ * News votes also keep a snapshot of the article
+ * (title/source/assets) so they can drive the personal news ranking;
+ * meme votes rank memes for everyone.
  */
-router.post("/", async (req, res) => {
-  try {
-    const { section, itemId, vote, userId } = req.body;
-    // basic validation
-    if (
-      !section ||
-      !itemId ||
-      (vote !== 1 && vote !== -1)
-    ) {
-      return res
-        .status(400)
-        .json({ ok: false, msg: "Invalid feedback payload" });
+router.post(
+  "/",
+  validate({
+    summary: "Like or dislike an item",
+    response: schemas.okResponse({ feedback }),
+    body: {
+      properties: {
+        section,
+        itemId,
+        vote: { type: "integer", enum: [1, -1] },
+      },
+      required: ["section", "itemId", "vote"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { section, itemId, vote } = req.body;
+
+    // for news, itemId is the article url
+    let context;
+    if (section === "news") {
+      const article = await findArticle(itemId);
+      if (article) {
+        context = {
+          title: article.title,
+          source: article.source,
+          assets: article.assets,
+        };
+      }
     }
 
-    // save feedback
-    const fb = await Feedback.create({
-      userId,
+    // save (or change) the vote of the authenticated user
+    const fb = await setVote(req.userId, { section, itemId, vote, context });
+
+    res.json({ ok: true, feedback: fb });
+  })
+);
+
+/**
+ * DELETE /feedback?section=<section>&itemId=<itemId>
+ * Undoes the user's vote on an item.
+ * Returns: { ok }
+ */
+router.delete(
+  "/",
+  validate({
+    summary: "Undo a vote",
+    response: schemas.okResponse(),
+    query: {
+      properties: { section, itemId },
+      required: ["section", "itemId"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { section, itemId } = req.query;
+
+    const removed = await removeVote(req.userId, { section, itemId });
+    if (!removed) {
+      throw notFound("Vote");
+    }
+
+    res.json({ ok: true });
+  })
+);
+
+/**
+ * GET /feedback/mine
+ * Query: section?, page (default 1), limit (default 20, max 100)
+ * Returns: { ok, items, total, page, limit, pages }
+ */
+router.get(
+  "/mine",
+  validate({
+    summary: "List my votes",
+    response: schemas.pageResponse(feedback),
+    query: { properties: { section, ...schemas.paginationQuery() } },
+  }),
+  asyncHandler(async (req, res) => {
+    const { section, page, limit } = req.query;
+
+    const result = await listUserFeedback(req.userId, {
       section,
-      itemId,
-      vote,
+      page,
+      limit,
     });
+    res.json({ ok: true, ...result });
+  })
+);
 
-    res.json({ ok: true, feedback: fb });
-  } catch (err) {
-    console.error("feedback error:", err);
-    res.status(500).json({ ok: false, msg: "Server error" });
-  }
-});
+/**
+ * GET /feedback/stats/sections (admin)
+ * Query: from?, to?
+ * Returns: { ok, sections: [{ section, likes, dislikes, total, likeRatio }] }
+ */
+router.get(
+  "/stats/sections",
+  requireRole("admin"),
+  validate({
+    summary: "Vote totals per section (admin)",
+    response: schemas.okResponse({
+      sections: {
+        type: "array",
+        items: statsRow({ section: { type: "string" } }),
+      },
+    }),
+    query: {
+      properties: { from: schemas.statsQuery.from, to: schemas.statsQuery.to },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const sections = await statsBySection(toStatsFilters(req.query));
+    res.json({ ok: true, sections });
+  })
+);
+
+/**
+ * GET /feedback/stats/items (admin)
+ * Query: section?, from?, to?, limit (default 50, max 200), minVotes (default 1)
+ * Returns: { ok, items: [{ section, itemId, title, likes, dislikes, total, likeRatio }] }
+ */
+router.get(
+  "/stats/items",
+  requireRole("admin"),
+  validate({
+    summary: "Most voted items (admin)",
+    response: schemas.okResponse({
+      items: {
+        type: "array",
+        items: statsRow({
+          section: { type: "string" },
+          itemId: { type: "string" },
+          title: { type: "string", nullable: true },
+        }),
+      },
+    }),
+    query: {
+      properties: {
+        ...schemas.statsQuery,
+        limit: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+        minVotes: { type: "integer", minimum: 1, default: 1 },
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { limit, minVotes } = req.query;
+
+    const items = await statsByItem({
+      ...toStatsFilters(req.query),
+      limit,
+      minVotes,
+    });
+    res.json({ ok: true, items });
+  })
+);
+
+/**
+ * GET /feedback/stats/timeline (admin)
+ * Query: section?, from?, to?, bucket ("day" | "week" | "month", default "day")
+ * Returns: { ok, bucket, points: [{ period, section, likes, dislikes, total, likeRatio }] }
+ */
+router.get(
+  "/stats/timeline",
+  requireRole("admin"),
+  validate({
+    summary: "Votes over time (admin)",
+    response: schemas.okResponse({
+      bucket: { type: "string", enum: BUCKETS },
+      points: {
+        type: "array",
+        items: statsRow({
+          period: schemas.dateTime,
+          section: { type: "string" },
+        }),
+      },
+    }),
+    query: {
+      properties: {
+        ...schemas.statsQuery,
+        bucket: { type: "string", enum: BUCKETS, default: "day" },
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { bucket } = req.query;
+
+    const points = await statsOverTime({
+      ...toStatsFilters(req.query),
+      bucket,
+    });
+    res.json({ ok: true, bucket, points });
+  })
+);
 
 module.exports = router;
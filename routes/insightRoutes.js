@@ -0,0 +1,37 @@
+// server/routes/insightRoutes.js
+const express = require("express");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { getBudget, listInsights } = require("../services/insightService");
+
+const router = express.Router();
+
+router.use(auth);
+
+/**
+ * GET /insights
+ * Query: page (default 1), limit (default 20, max 100)
+ * Returns: { ok, items, total, page, limit, pages, budget }
+ *  - each item: { id, text, sentiment, fromModel, model, createdAt, inputs, prices }
+ *  - prices: [{ symbol, price, currency, change24h, marketCap }] in USD,
+ *    as fetched when the insight was generated
+ *  - budget: { limit, used, remaining } model calls for today (UTC)
+ */
+router.get(
+  "/",
+  validate({ query: { properties: schemas.paginationQuery() } }),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const [history, budget] = await Promise.all([
+      listInsights(req.userId, { page, limit }),
+      getBudget(req.userId),
+    ]);
+
+    return res.json({ ok: true, ...history, budget });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+// server/routes/marketRoutes.js
+const express = require("express");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { notFound, fieldError } = require("../services/errors");
+const {
+  RANGES,
+  INTERVALS,
+  MAX_CANDLES,
+  getHistory,
+} = require("../services/historyService");
+const { findAsset } = require("../services/assetRegistry");
+
+const router = express.Router();
+
+router.use(auth);
+
+/**
+ * GET /market/history/:asset
+ * Params: asset ticker, e.g. "BTC"
+ * Query:
+ *  - range: 1d | 7d | 30d | 90d | 1y (default 7d)
+ *  - interval: 1h | 4h | 1d | 1w (default 1h)
+ * Returns: { ok, asset, range, interval, from, to, series: [{ t, price }],
+ *            candles: [{ t, open, high, low, close }], change }
+ *  - t is a unix timestamp in ms, change is the % change over the range
+ */
+router.get(
+  "/history/:asset",
+  validate({
+    params: {
+      properties: { asset: { type: "string", minLength: 1 } },
+      required: ["asset"],
+    },
+    query: {
+      properties: {
+        range: { type: "string", enum: Object.keys(RANGES), default: "7d" },
+        interval: {
+          type: "string",
+          enum: Object.keys(INTERVALS),
+          default: "1h",
+        },
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const asset = req.params.asset.toUpperCase();
+    const { range, interval } = req.query;
+
+    if (!(await findAsset(asset))) {
+      throw notFound("Asset", "UNKNOWN_ASSET");
+    }
+    if (RANGES[range] / INTERVALS[interval] > MAX_CANDLES) {
+      throw fieldError(
+        "query.interval",
+        `gives too many candles, use a larger interval (max ${MAX_CANDLES})`
+      );
+    }
+
+    const history = await getHistory(asset, range, interval);
+    return res.json({ ok: true, ...history });
+  })
+);
+
+module.exports = router;
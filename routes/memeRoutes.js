@@ -0,0 +1,161 @@
+// server/routes/memeRoutes.js
+const express = require("express");
+const auth = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const rateLimit = require("../middleware/rateLimit");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const {
+  submitMeme,
+  listSubmissions,
+  listQueue,
+  reviewMeme,
+} = require("../services/memes");
+
+const router = express.Router();
+
+router.use(auth);
+
+// Every submission lands in the moderation queue
+const submitLimit = rateLimit({
+  name: "memeSubmit",
+  max: 10,
+  windowMs: 60 * 60 * 1000,
+  by: "user",
+});
+
+const STATUSES = ["pending", "approved", "rejected"];
+
+const submission = {
+  type: "object",
+  properties: {
+    id: schemas.objectId,
+    title: { type: "string" },
+    url: { type: "string" },
+    postLink: { type: "string", nullable: true },
+    subreddit: { type: "string", nullable: true },
+    origin: { type: "string", enum: ["reddit", "user"] },
+    status: { type: "string", enum: STATUSES },
+    rejectReason: { type: "string" },
+    createdAt: schemas.dateTime,
+    reviewedAt: { ...schemas.dateTime, nullable: true },
+  },
+  required: ["id", "title", "url", "status"],
+};
+
+/**
+ * POST /memes
+ * Body: { title, url } url must be a direct image link (jpg/png/gif/webp)
+ * Queues the meme for review (at most MEME_MAX_PENDING, default 5, at once).
+ * An image already in the store answers 409 MEME_EXISTS, one a moderator
+ * rejected 400 MEME_REFUSED.
+ * Returns: { ok, meme } with status "pending"
+ */
+router.post(
+  "/",
+  submitLimit,
+  validate({
+    summary: "Submit a meme for review",
+    status: 201,
+    response: schemas.okResponse({ meme: submission }),
+    body: {
+      properties: {
+        title: { ...schemas.name, maxLength: 200 },
+        url: { type: "string", minLength: 1, maxLength: 2000 },
+      },
+      required: ["title", "url"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const meme = await submitMeme(req.userId, {
+      title: req.body.title.trim(),
+      url: req.body.url.trim(),
+    });
+
+    return res.status(201).json({ ok: true, meme });
+  })
+);
+
+/**
+ * GET /memes/mine
+ * Query: page (default 1), limit (default 20, max 100)
+ * Returns: { ok, items, total, page, limit, pages } my submissions, newest first
+ */
+router.get(
+  "/mine",
+  validate({
+    summary: "My submitted memes",
+    response: schemas.pageResponse(submission),
+    query: { properties: schemas.paginationQuery() },
+  }),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await listSubmissions(req.userId, { page, limit });
+    return res.json({ ok: true, ...result });
+  })
+);
+
+// ===== Moderation (admin) =====
+
+/**
+ * GET /memes/queue (admin)
+ * Query: status (default "pending"), page, limit
+ * Returns: { ok, items, total, page, limit, pages } user submissions, newest first
+ */
+router.get(
+  "/queue",
+  requireRole("admin"),
+  validate({
+    summary: "Meme moderation queue (admin)",
+    response: schemas.pageResponse(submission),
+    query: {
+      properties: {
+        status: { type: "string", enum: STATUSES, default: "pending" },
+        ...schemas.paginationQuery(),
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+
+    const result = await listQueue({ status, page, limit });
+    return res.json({ ok: true, ...result });
+  })
+);
+
+/**
+ * PATCH /memes/:id/review (admin)
+ * Body: { status: "approved" | "rejected", reason? }
+ * Only pending user submissions can be reviewed (409 MEME_NOT_PENDING).
+ * The submitter gets a notification.
+ * Returns: { ok, meme }
+ */
+router.patch(
+  "/:id/review",
+  requireRole("admin"),
+  validate({
+    summary: "Approve or reject a meme (admin)",
+    response: schemas.okResponse({ meme: submission }),
+    params: schemas.idParams,
+    body: {
+      properties: {
+        status: { type: "string", enum: ["approved", "rejected"] },
+        reason: { type: "string", maxLength: 500 },
+      },
+      required: ["status"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { status, reason } = req.body;
+
+    const meme = await reviewMeme(req.userId, req.params.id, {
+      status,
+      reason: reason?.trim(),
+    });
+    return res.json({ ok: true, meme });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// server/routes/metricsRoutes.js
+const express = require("express");
+const crypto = require("crypto");
+const { renderMetrics } = require("../services/metrics");
+const { unauthorized } = require("../services/errors");
+
+const router = express.Router();
+
+// Constant-time comparison so the token cannot be guessed byte by byte
+function tokenMatches(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint (text exposition format 0.0.4): request
+ * counts / latencies per route, upstream provider calls per provider,
+ * process uptime and memory.
+ * When METRICS_TOKEN is set, requires "Authorization: Bearer <token>".
+ * With NODE_ENV=production the token is required: without one the
+ * endpoint does not exist (404).
+ */
+router.get("/metrics", (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected && process.env.NODE_ENV === "production") {
+    return next();
+  }
+  if (expected) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ")
+      ? header.slice("Bearer ".length)
+      : "";
+    if (!tokenMatches(token, expected)) {
+      return next(unauthorized("Invalid metrics token"));
+    }
+  }
+
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+module.exports = router;
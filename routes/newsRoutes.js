@@ -0,0 +1,127 @@
+// server/routes/newsRoutes.js
+const express = require("express");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { fieldError } = require("../services/errors");
+const { findAsset } = require("../services/assetRegistry");
+const { listNews, listNewsSources } = require("../services/news");
+
+const router = express.Router();
+
+router.use(auth);
+
+const SENTIMENTS = ["bullish", "bearish", "neutral"];
+
+const article = {
+  type: "object",
+  properties: {
+    id: schemas.objectId,
+    title: { type: "string" },
+    url: { type: "string" },
+    source: { type: "string" },
+    snippet: { type: "string" },
+    imageUrl: { type: "string", nullable: true },
+    publishedAt: schemas.dateTime,
+    assets: { type: "array", items: { type: "string" } },
+    sentiment: {
+      type: "object",
+      properties: {
+        score: { type: "number", description: "-1 (bearish) to 1 (bullish)" },
+        label: { type: "string", enum: SENTIMENTS },
+      },
+      required: ["score", "label"],
+    },
+    alsoReportedBy: {
+      type: "array",
+      description: "Other outlets that ran the same story",
+      items: {
+        type: "object",
+        properties: { source: { type: "string" }, url: { type: "string" } },
+      },
+    },
+  },
+  required: ["id", "title", "url", "source", "publishedAt", "sentiment"],
+};
+
+/**
+ * GET /news
+ * Query: asset?, source?, sentiment?, from?, to?, page (default 1),
+ *        limit (default 20, max 100)
+ *  - asset: ticker, e.g. "BTC"; source: outlet name (see /news/sources)
+ *  - from/to: publish time range (ISO dates)
+ * Returns: { ok, items, total, page, limit, pages } newest first
+ *  - each: { id, title, url, source, snippet, imageUrl, publishedAt,
+ *            assets, sentiment: { score, label }, alsoReportedBy }
+ */
+router.get(
+  "/",
+  validate({
+    summary: "Browse ingested news",
+    response: schemas.pageResponse(article),
+    query: {
+      properties: {
+        asset: { type: "string", minLength: 1 },
+        source: { type: "string", minLength: 1 },
+        sentiment: { type: "string", enum: SENTIMENTS },
+        from: schemas.dateTime,
+        to: schemas.dateTime,
+        ...schemas.paginationQuery(),
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { source, sentiment, from, to, page, limit } = req.query;
+
+    let asset;
+    if (req.query.asset) {
+      asset = req.query.asset.toUpperCase();
+      if (!(await findAsset(asset))) {
+        throw fieldError("query.asset", `unknown asset: ${asset}`);
+      }
+    }
+    if (from && to && new Date(from) > new Date(to)) {
+      throw fieldError("query.from", "must be before query.to");
+    }
+
+    const result = await listNews({
+      asset,
+      source,
+      sentiment,
+      from,
+      to,
+      page,
+      limit,
+    });
+    return res.json({ ok: true, ...result });
+  })
+);
+
+/**
+ * GET /news/sources
+ * Returns: { ok, sources: [{ source, articles }] } most active first
+ */
+router.get(
+  "/sources",
+  validate({
+    summary: "News outlets with stored articles",
+    response: schemas.okResponse({
+      sources: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            source: { type: "string" },
+            articles: { type: "integer" },
+          },
+        },
+      },
+    }),
+  }),
+  asyncHandler(async (req, res) => {
+    return res.json({ ok: true, sources: await listNewsSources() });
+  })
+);
+
+module.exports = router;
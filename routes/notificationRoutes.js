@@ -0,0 +1,88 @@
+// server/routes/notificationRoutes.js
+const express = require("express");
+const Notification = require("../models/Notification");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound } = require("../services/errors");
+
+const router = express.Router();
+
+router.use(auth);
+
+/**
+ * GET /notifications
+ * Query: unread=true (only unread), limit (default 50, max 200)
+ * Returns: { ok, notifications, unreadCount }
+ */
+router.get(
+  "/",
+  validate({
+    query: {
+      properties: {
+        unread: { type: "boolean" },
+        limit: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const filter = { userId: req.userId };
+    if (req.query.unread === true) filter.read = false;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(req.query.limit)
+        .lean(),
+      Notification.countDocuments({ userId: req.userId, read: false }),
+    ]);
+
+    return res.json({ ok: true, notifications, unreadCount });
+  })
+);
+
+/**
+ * PATCH /notifications/:id
+ * Body: { read: boolean }
+ * Returns: { ok, notification }
+ */
+router.patch(
+  "/:id",
+  validate({
+    params: schemas.idParams,
+    body: { properties: { read: { type: "boolean" } }, required: ["read"] },
+  }),
+  asyncHandler(async (req, res) => {
+    const { read } = req.body;
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { $set: { read, readAt: read ? new Date() : null } },
+      { new: true }
+    );
+    if (!notification) {
+      throw notFound("Notification");
+    }
+
+    return res.json({ ok: true, notification });
+  })
+);
+
+/**
+ * POST /notifications/read-all
+ * Marks every unread notification as read.
+ * Returns: { ok, updated }
+ */
+router.post(
+  "/read-all",
+  asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+      { userId: req.userId, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    return res.json({ ok: true, updated: result.modifiedCount });
+  })
+);
+
+module.exports = router;
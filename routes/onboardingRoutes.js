@@ -1,74 +1,257 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound, forbidden, validationError } = require("../services/errors");
+const { resolveSymbols } = require("../services/assetRegistry");
+const {
+  TIERS,
+  INVESTOR_TYPES,
+  CURRENT_VERSION,
+  getQuestionnaire,
+  scoreAnswers,
+  assertAssessedTier,
+} = require("../services/riskProfile");
 
 const router = express.Router();
 
-// --- Authentication middleware (protected route) ---
-function authRequired(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ")
-      ? authHeader.slice("Bearer ".length)
-      : null;
+const questionnaireResponse = schemas.okResponse({
+  questionnaire: {
+    type: "object",
+    properties: {
+      version: { type: "integer" },
+      questions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            text: { type: "string" },
+            options: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: "string" },
+                  label: { type: "string" },
+                },
+                required: ["id", "label"],
+              },
+            },
+          },
+          required: ["id", "text", "options"],
+        },
+      },
+    },
+    required: ["version", "questions"],
+  },
+  tiers: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        label: { type: "string" },
+        horizon: { type: "string" },
+        maxDrawdown: { type: "number" },
+        description: { type: "string" },
+      },
+      required: ["id", "label"],
+    },
+  },
+});
 
-    if (!token) {
-      return res.status(401).json({ ok: false, error: "Missing token" });
+// --- GET /onboarding/questionnaire ---
+// Returns the current risk questionnaire (scoring stays server-side).
+// Query: version (optional, defaults to the current one)
+router.get(
+  "/questionnaire",
+  auth,
+  validate({
+    summary: "Get the risk questionnaire",
+    response: questionnaireResponse,
+    query: {
+      properties: {
+        version: { type: "integer", minimum: 1, default: CURRENT_VERSION },
+      },
+    },
+  }),
+  (req, res) => {
+    const questionnaire = getQuestionnaire(req.query.version);
+    if (!questionnaire) {
+      throw notFound("Questionnaire version");
     }
 
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "devsecret"
-    );
-
-    // Important: we assume the token was created as { id: <userId> }
-    req.authUserId = decoded.id;
-    next();
-  } catch (err) {
-    console.error("authRequired error:", err.message);
-    return res.status(401).json({ ok: false, error: "Invalid token" });
+    return res.json({
+      ok: true,
+      questionnaire: {
+        version: questionnaire.version,
+        questions: questionnaire.questions.map((q) => ({
+          id: q.id,
+          text: q.text,
+          options: q.options.map((o) => ({ id: o.id, label: o.label })),
+        })),
+      },
+      tiers: TIERS.map(({ id, label, horizon, maxDrawdown, description }) => ({
+        id,
+        label,
+        horizon,
+        maxDrawdown,
+        description,
+      })),
+    });
   }
-}
+);
+
+// --- POST /onboarding/questionnaire ---
+// Body: { version, answers: { [questionId]: optionId } }
+// Scores the answers, stores them (with history) and sets
+// preferences.investorType to the resulting tier.
+router.post(
+  "/questionnaire",
+  auth,
+  validate({
+    summary: "Answer the risk questionnaire",
+    description: "Sets preferences.investorType to the resulting risk tier.",
+    response: schemas.okResponse({ riskProfile: schemas.riskProfile }),
+    body: {
+      properties: {
+        version: { type: "integer", minimum: 1, default: CURRENT_VERSION },
+        answers: { type: "object" },
+      },
+      required: ["answers"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { version, answers } = req.body;
+
+    const { profile, errors } = scoreAnswers(version, answers);
+    if (errors) {
+      throw validationError(
+        errors.map((e) => ({ ...e, field: `body.${e.field}` }))
+      );
+    }
+
+    const assessedAt = new Date();
+    const updatedUser = await User.findByIdAndUpdate(
+      req.userId,
+      {
+        $set: {
+          riskProfile: { ...profile, assessedAt },
+          "preferences.investorType": profile.tier,
+        },
+        $push: {
+          riskHistory: {
+            tier: profile.tier,
+            score: profile.score,
+            questionnaireVersion: profile.questionnaireVersion,
+            answers: profile.answers,
+            assessedAt,
+          },
+        },
+      },
+      { new: true }
+    ).select("-password");
+
+    if (!updatedUser) {
+      throw notFound("User");
+    }
+
+    return res.json({ ok: true, riskProfile: updatedUser.riskProfile });
+  })
+);
+
+// --- GET /onboarding/risk-profile ---
+// Returns: { ok, riskProfile, history }
+router.get(
+  "/risk-profile",
+  auth,
+  validate({
+    summary: "Get the risk profile and its history",
+    response: schemas.okResponse({
+      riskProfile: { ...schemas.riskProfile, nullable: true },
+      history: { type: "array", items: schemas.riskProfile },
+    }),
+  }),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId)
+      .select("riskProfile riskHistory")
+      .lean();
+    if (!user) {
+      throw notFound("User");
+    }
+
+    return res.json({
+      ok: true,
+      riskProfile: user.riskProfile || null,
+      history: user.riskHistory || [],
+    });
+  })
+);
 
 // --- PUT /onboarding/:userId ---
 // Goal: update user.preferences in the database
-router.put("/:userId", authRequired, async (req, res) => {
-  try {
+// Body: { cryptoAssets: string[], investorType?: string, contentTypes: string[] }
+// investorType comes from POST /onboarding/questionnaire; when sent here it
+// must be that tier.
+router.put(
+  "/:userId",
+  auth,
+  validate({
+    summary: "Save onboarding preferences",
+    response: schemas.okResponse({ user: schemas.user }),
+    params: {
+      properties: { userId: schemas.objectId },
+      required: ["userId"],
+    },
+    body: {
+      properties: {
+        cryptoAssets: schemas.tickerList,
+        // the assessed risk tier (legacy low/medium/high are mapped, any case)
+        investorType: {
+          type: "string",
+          lowercase: true,
+          enum: INVESTOR_TYPES,
+        },
+        contentTypes: { type: "array", items: { type: "string" } },
+      },
+      required: ["cryptoAssets", "contentTypes"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
     const { userId } = req.params;
 
     // Security check: prevent a user from updating another user's data
-    if (req.authUserId !== userId) {
-      return res.status(403).json({
-        ok: false,
-        error: "You are not allowed to update this user",
-      });
+    if (req.userId !== userId) {
+      throw forbidden("You are not allowed to update this user");
     }
 
-    const { cryptoAssets, investorType, contentTypes } = req.body || {};
-
-    // Basic validation to prevent malformed data
-    if (
-      !Array.isArray(cryptoAssets) ||
-      typeof investorType !== "string" ||
-      !Array.isArray(contentTypes)
-    ) {
-      return res.status(400).json({
-        ok: false,
-        error:
-          "Invalid payload. Expecting { cryptoAssets: string[], investorType: string, contentTypes: string[] }",
-      });
+    const { cryptoAssets, investorType, contentTypes } = req.body;
+
+    // Only assets from the registry can be chosen
+    const symbols = await resolveSymbols(cryptoAssets, "body.cryptoAssets");
+
+    const update = {
+      "preferences.cryptoAssets": symbols,
+      "preferences.contentTypes": contentTypes,
+    };
+    // the questionnaire sets it; a client may only send the same tier
+    if (investorType !== undefined) {
+      const user = await User.findById(userId).select("riskProfile").lean();
+      update["preferences.investorType"] = assertAssessedTier(
+        investorType,
+        user?.riskProfile,
+        "body.investorType"
+      );
     }
 
-    // Update user preferences in the database
+    // Update user preferences in the database (the display currency
+    // is set via POST /user/preferences and kept here)
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      {
-        preferences: {
-          cryptoAssets,
-          investorType,
-          contentTypes,
-        },
-      },
+      { $set: update },
       {
         new: true, // Return the updated document
         runValidators: true,
@@ -76,23 +259,14 @@ router.put("/:userId", authRequired, async (req, res) => {
     ).select("-password"); // Do not return the password field
 
     if (!updatedUser) {
-      return res.status(404).json({
-        ok: false,
-        error: "User not found",
-      });
+      throw notFound("User");
     }
 
     return res.json({
       ok: true,
       user: updatedUser,
     });
-  } catch (err) {
-    console.error("PUT /onboarding error:", err);
-    return res.status(500).json({
-      ok: false,
-      error: "Server error while updating onboarding data",
-    });
-  }
-});
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,171 @@
+// server/routes/portfolioRoutes.js
+const express = require("express");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound, badRequest, fieldError } = require("../services/errors");
+const { resolveSymbols } = require("../services/assetRegistry");
+const {
+  computePositions,
+  getPortfolioForUser,
+} = require("../services/portfolioService");
+
+const router = express.Router();
+
+router.use(auth);
+
+const TX_TYPES = ["buy", "sell", "transfer_in", "transfer_out"];
+
+/**
+ * GET /portfolio
+ * Query: currency (optional, defaults to the user's preferences.currency)
+ * Returns: { ok, currency, holdings, totals, pricesMeta }
+ * Each holding: { asset, quantity, avgCost, costBasis, price, value,
+ *                 unrealizedPnl, realizedPnl, fees, allocation }
+ * Money amounts are in `currency` (pricesMeta.fx has the rate used).
+ */
+router.get(
+  "/",
+  validate({ query: { properties: { currency: schemas.currency } } }),
+  asyncHandler(async (req, res) => {
+    let currency = req.query.currency;
+    if (!currency) {
+      const user = await User.findById(req.userId)
+        .select("preferences.currency")
+        .lean();
+      currency = user?.preferences?.currency;
+    }
+
+    const portfolio = await getPortfolioForUser(req.userId, { currency });
+    return res.json({ ok: true, ...portfolio });
+  })
+);
+
+/**
+ * GET /portfolio/transactions
+ * Query: asset (optional ticker filter)
+ * Returns: { ok, transactions } newest first
+ */
+router.get(
+  "/transactions",
+  validate({ query: { properties: { asset: { type: "string" } } } }),
+  asyncHandler(async (req, res) => {
+    const filter = { userId: req.userId };
+    if (req.query.asset) {
+      filter.asset = req.query.asset.toUpperCase();
+    }
+
+    const transactions = await Transaction.find(filter)
+      .sort({ timestamp: -1 })
+      .lean();
+
+    return res.json({ ok: true, transactions });
+  })
+);
+
+/**
+ * POST /portfolio/transactions
+ * Body: { asset, type, quantity, price?, fee?, timestamp?, note? }
+ *  - asset: a registry ticker (see /assets)
+ *  - type: "buy" | "sell" | "transfer_in" | "transfer_out"
+ *  - price: USD per unit (required for buy/sell)
+ * Returns: { ok, transaction }
+ */
+router.post(
+  "/transactions",
+  validate({
+    body: {
+      properties: {
+        asset: {
+          type: "string",
+          minLength: 1,
+          pattern: "\\S",
+          patternMessage: "must not be blank",
+        },
+        type: { type: "string", enum: TX_TYPES },
+        quantity: { type: "number", exclusiveMinimum: 0 },
+        price: { type: "number", minimum: 0 },
+        fee: { type: "number", minimum: 0 },
+        timestamp: { type: "string", format: "date-time" },
+        note: { type: "string", maxLength: 500 },
+      },
+      required: ["asset", "type", "quantity"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { type, quantity, price, fee, timestamp, note } = req.body;
+
+    if ((type === "buy" || type === "sell") && price === undefined) {
+      throw fieldError("body.price", `is required for a ${type}`);
+    }
+
+    // an unknown ticker would create a position that can never be priced
+    const [asset] = await resolveSymbols([req.body.asset.trim()], "body.asset");
+
+    const tx = new Transaction({
+      userId: req.userId,
+      asset,
+      type,
+      quantity,
+      price: price || 0,
+      fee: fee || 0,
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      note: note || "",
+    });
+
+    // Make sure the history stays consistent (no selling more than held);
+    // throws INSUFFICIENT_QUANTITY otherwise
+    const existing = await Transaction.find({
+      userId: req.userId,
+      asset: tx.asset,
+    }).lean();
+    computePositions([...existing, tx.toObject()]);
+
+    await tx.save();
+    return res.status(201).json({ ok: true, transaction: tx });
+  })
+);
+
+/**
+ * DELETE /portfolio/transactions/:id
+ * Returns: { ok }
+ */
+router.delete(
+  "/transactions/:id",
+  validate({ params: schemas.idParams }),
+  asyncHandler(async (req, res) => {
+    const tx = await Transaction.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (!tx) {
+      throw notFound("Transaction");
+    }
+
+    // Removing an old buy must not leave a later sell uncovered
+    const remaining = await Transaction.find({
+      userId: req.userId,
+      asset: tx.asset,
+      _id: { $ne: tx._id },
+    }).lean();
+    try {
+      computePositions(remaining);
+    } catch (err) {
+      if (err.code === "INSUFFICIENT_QUANTITY") {
+        throw badRequest(
+          "Deleting this transaction would leave a later sell uncovered",
+          "INSUFFICIENT_QUANTITY"
+        );
+      }
+      throw err;
+    }
+
+    await tx.deleteOne();
+    return res.json({ ok: true });
+  })
+);
+
+module.exports = router;
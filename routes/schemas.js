@@ -0,0 +1,147 @@
+// server/routes/schemas.js
+
+// Request schema pieces shared by several routers (see middleware/validate.js)
+const { SECTIONS } = require("../services/feedbackService");
+const { CURRENCIES } = require("../services/fx");
+
+const objectId = { type: "string", format: "objectId" };
+
+// :id path param holding a Mongo id
+const idParams = {
+  properties: { id: objectId },
+  required: ["id"],
+};
+
+// ?page=&limit= with the usual defaults
+function paginationQuery({ limit = 20, maxLimit = 100 } = {}) {
+  return {
+    page: { type: "integer", minimum: 1, default: 1 },
+    limit: { type: "integer", minimum: 1, maximum: maxLimit, default: limit },
+  };
+}
+
+// Account fields (password strength is checked by accountService)
+const name = {
+  type: "string",
+  minLength: 1,
+  maxLength: 100,
+  pattern: "\\S",
+  patternMessage: "must not be blank",
+};
+const email = { type: "string", format: "email" };
+const password = { type: "string", minLength: 1 };
+
+const tickerList = {
+  type: "array",
+  items: { type: "string", minLength: 1 },
+};
+
+// Display currency (prices are converted from USD)
+const currency = { type: "string", enum: CURRENCIES };
+
+// ?section=&from=&to= of the feedback stats
+const statsQuery = {
+  section: { type: "string", enum: SECTIONS },
+  from: { type: "string", format: "date-time" },
+  to: { type: "string", format: "date-time" },
+};
+
+// -------------------- RESPONSES --------------------
+// Success bodies: documented in /openapi.json and compared with the real
+// responses when API_CONTRACT_CHECK is set. Extra fields are allowed,
+// listed ones must keep their type.
+
+const dateTime = { type: "string", format: "date-time" };
+const stringList = { type: "array", items: { type: "string" } };
+
+// { ok: true, ...properties }; every property is required unless
+// `required` says otherwise
+function okResponse(properties = {}, required = Object.keys(properties)) {
+  return {
+    type: "object",
+    properties: { ok: { type: "boolean", enum: [true] }, ...properties },
+    required: ["ok", ...required],
+  };
+}
+
+// ?page=&limit= list responses
+function pageResponse(item) {
+  return okResponse({
+    items: { type: "array", items: item },
+    total: { type: "integer" },
+    page: { type: "integer" },
+    limit: { type: "integer" },
+    pages: { type: "integer" },
+  });
+}
+
+const preferences = {
+  type: "object",
+  properties: {
+    cryptoAssets: stringList,
+    investorType: { type: "string" },
+    contentTypes: stringList,
+    currency: { type: "string" },
+  },
+};
+
+const riskProfile = {
+  type: "object",
+  properties: {
+    tier: { type: "string" },
+    score: { type: "number" },
+    maxScore: { type: "number" },
+    horizon: { type: "string" },
+    maxDrawdown: { type: "number" },
+    questionnaireVersion: { type: "integer" },
+    answers: { type: "object" },
+    assessedAt: dateTime,
+  },
+};
+
+// A stored user as returned to its owner (never the password hash)
+const user = {
+  type: "object",
+  properties: {
+    _id: objectId,
+    name: { type: "string" },
+    email: { type: "string" },
+    role: { type: "string", enum: ["user", "admin"] },
+    emailVerified: { type: "boolean" },
+    emailVerifiedAt: { ...dateTime, nullable: true },
+    preferences,
+    riskProfile,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+  required: ["_id", "name", "email"],
+};
+
+// Access + refresh token pair
+const tokens = {
+  token: { type: "string", description: "JWT access token" },
+  refreshToken: { type: "string" },
+  expiresIn: {
+    type: "string",
+    description: 'Access token lifetime, e.g. "15m"',
+  },
+};
+
+module.exports = {
+  objectId,
+  idParams,
+  paginationQuery,
+  name,
+  email,
+  password,
+  tickerList,
+  currency,
+  statsQuery,
+  dateTime,
+  okResponse,
+  pageResponse,
+  preferences,
+  riskProfile,
+  user,
+  tokens,
+};
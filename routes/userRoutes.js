@@ -1,52 +1,94 @@
 // server/routes/userRoutes.js
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound, conflict, fieldError } = require("../services/errors");
+const { resolveSymbols } = require("../services/assetRegistry");
+const { logger } = require("../services/logger");
+const {
+  INVESTOR_TYPES,
+  assertAssessedTier,
+} = require("../services/riskProfile");
+const { issueTokens, revokeAllForUser } = require("../services/tokenService");
+const {
+  normalizeEmail,
+  assertStrongPassword,
+  hashPassword,
+  sendVerificationEmail,
+  deleteAccount,
+} = require("../services/accountService");
 
 const router = express.Router();
 
-// Middleware to validate JWT from Authorization header
-router.use((req, res, next) => {
-  const authHeader = req.headers.authorization || "";
-  // Expected: "Bearer <token>"
-  const [, token] = authHeader.split(" ");
+router.use(auth);
 
-  if (!token) {
-    return res.status(401).json({ ok: false, msg: "No token" });
+// Throws unless `password` matches the user's current password
+async function assertPassword(user, password, field) {
+  if (!(await bcrypt.compare(password, user.password))) {
+    throw fieldError(field, "is incorrect");
   }
-
-  try {
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "devsecret"
-    );
-    req.userId = decoded.userId;
-    next();
-  } catch (err) {
-    console.error("userRoutes auth error:", err);
-    return res.status(401).json({ ok: false, msg: "Invalid token" });
-  }
-});
+}
 
 /**
  * POST /user/preferences
  * Save onboarding preferences to the user record
+ * Body: { cryptoAssets?, investorType?, contentTypes?, currency? }
+ *  - investorType: optional, must be the risk questionnaire's tier
+ *    (legacy low/medium/high accepted, any case); only the questionnaire
+ *    changes it, kept as it is when omitted
+ *  - currency: display currency, kept as it is when omitted
  */
-router.post("/preferences", async (req, res) => {
-  try {
-    const { cryptoAssets, investorType, contentTypes } = req.body;
+router.post(
+  "/preferences",
+  validate({
+    summary: "Save onboarding preferences",
+    response: schemas.okResponse({ user: schemas.user }),
+    body: {
+      properties: {
+        cryptoAssets: { ...schemas.tickerList, default: [] },
+        investorType: {
+          type: "string",
+          lowercase: true,
+          enum: INVESTOR_TYPES,
+        },
+        contentTypes: {
+          type: "array",
+          items: { type: "string" },
+          default: [],
+        },
+        currency: schemas.currency,
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { cryptoAssets, investorType, contentTypes, currency } = req.body;
+
+    // Only assets from the registry can be chosen
+    const symbols = await resolveSymbols(cryptoAssets, "body.cryptoAssets");
+
+    // dotted paths so fields not sent here (investorType, currency) are kept
+    const update = {
+      "preferences.cryptoAssets": symbols,
+      "preferences.contentTypes": contentTypes,
+    };
+    // the questionnaire sets it; a client may only send the same tier
+    if (investorType !== undefined) {
+      const user = await User.findById(req.userId).select("riskProfile").lean();
+      update["preferences.investorType"] = assertAssessedTier(
+        investorType,
+        user?.riskProfile,
+        "body.investorType"
+      );
+    }
+    if (currency) update["preferences.currency"] = currency;
 
     const updated = await User.findByIdAndUpdate(
       req.userId,
-      {
-        $set: {
-          preferences: {
-            cryptoAssets: cryptoAssets || [],
-            investorType: investorType || "",
-            contentTypes: contentTypes || [],
-          },
-        },
-      },
+      { $set: update },
       { new: true } // return updated document
     ).select("-password"); // do not leak password hash
 
@@ -54,27 +96,168 @@ router.post("/preferences", async (req, res) => {
       ok: true,
       user: updated,
     });
-  } catch (err) {
-    console.error("save preferences error:", err);
-    res.status(500).json({ ok: false, msg: "Server error" });
-  }
-});
+  })
+);
 
 /**
  * GET /user/me
  * Get the user profile (could be used for showing preferences etc.)
  */
-router.get("/me", async (req, res) => {
-  try {
+router.get(
+  "/me",
+  validate({
+    summary: "Get the profile",
+    response: schemas.okResponse({ user: schemas.user }),
+  }),
+  asyncHandler(async (req, res) => {
     const user = await User.findById(req.userId).select("-password");
     if (!user) {
-      return res.status(404).json({ ok: false, msg: "User not found" });
+      throw notFound("User");
     }
     res.json({ ok: true, user });
-  } catch (err) {
-    console.error("get user error:", err);
-    res.status(500).json({ ok: false, msg: "Server error" });
-  }
-});
+  })
+);
+
+/**
+ * PATCH /user/me
+ * Body: { name?, email?, currentPassword? }
+ *  - changing the email needs currentPassword and resets emailVerified
+ *    (a verification link is sent to the new address)
+ * Returns: { ok, user }
+ */
+router.patch(
+  "/me",
+  validate({
+    summary: "Change the name or email",
+    response: schemas.okResponse({ user: schemas.user }),
+    body: {
+      properties: {
+        name: schemas.name,
+        email: schemas.email,
+        currentPassword: schemas.password,
+      },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { name, currentPassword } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw notFound("User");
+    }
+
+    if (name !== undefined) {
+      user.name = name.trim();
+    }
+
+    const email =
+      req.body.email === undefined ? undefined : normalizeEmail(req.body.email);
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      if (currentPassword === undefined) {
+        throw fieldError(
+          "body.currentPassword",
+          "is required to change the email"
+        );
+      }
+      await assertPassword(user, currentPassword, "body.currentPassword");
+
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        throw conflict("Email is already in use", "EMAIL_TAKEN");
+      }
+
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      sendVerificationEmail(user).catch((err) =>
+        logger.error("verification email failed", { err })
+      );
+    }
+
+    const { password, ...safeUser } = user.toObject();
+    res.json({ ok: true, user: safeUser });
+  })
+);
+
+/**
+ * PUT /user/password
+ * Body: { currentPassword, newPassword }
+ * Logs out every other session and returns a fresh token pair.
+ * Returns: { ok, token, refreshToken, expiresIn }
+ */
+router.put(
+  "/password",
+  validate({
+    summary: "Change the password",
+    description: "Logs out every other session.",
+    response: schemas.okResponse(schemas.tokens),
+    body: {
+      properties: {
+        currentPassword: schemas.password,
+        newPassword: schemas.password,
+      },
+      required: ["currentPassword", "newPassword"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw notFound("User");
+    }
+
+    await assertPassword(user, currentPassword, "body.currentPassword");
+    assertStrongPassword(newPassword, user.email, "body.newPassword");
+
+    user.password = await hashPassword(newPassword);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    await revokeAllForUser(user._id);
+    const tokens = await issueTokens(user, {
+      userAgent: req.headers["user-agent"] || "",
+      ip: req.ip || "",
+    });
+
+    res.json({ ok: true, ...tokens });
+  })
+);
+
+/**
+ * DELETE /user/me
+ * Body: { password }
+ * Deletes the account and everything it owns (feedback, transactions,
+ * alerts, notifications, sessions, insights, watchlists, submitted
+ * memes and meme views).
+ * Returns: { ok }
+ */
+router.delete(
+  "/me",
+  validate({
+    summary: "Delete the account and everything it owns",
+    response: schemas.okResponse(),
+    body: {
+      properties: { password: schemas.password },
+      required: ["password"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw notFound("User");
+    }
+
+    await assertPassword(user, req.body.password, "body.password");
+
+    await deleteAccount(user._id);
+    res.json({ ok: true });
+  })
+);
 
 module.exports = router;
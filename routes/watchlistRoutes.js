@@ -0,0 +1,246 @@
+// server/routes/watchlistRoutes.js
+const express = require("express");
+const auth = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const schemas = require("./schemas");
+const { notFound } = require("../services/errors");
+const { resolveSymbols } = require("../services/assetRegistry");
+const {
+  listWatchlists,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  reorderWatchlists,
+  shareWatchlist,
+  unshareWatchlist,
+  getSharedWatchlist,
+} = require("../services/watchlistService");
+
+const router = express.Router();
+
+const name = { ...schemas.name, maxLength: 50 };
+const assets = { ...schemas.tickerList, maxItems: 50 };
+
+const watchlist = {
+  type: "object",
+  properties: {
+    id: schemas.objectId,
+    name: { type: "string" },
+    assets: { type: "array", items: { type: "string" } },
+    position: { type: "integer" },
+    shareUrl: { type: "string", nullable: true },
+    sharedAt: { ...schemas.dateTime, nullable: true },
+    createdAt: schemas.dateTime,
+    updatedAt: schemas.dateTime,
+  },
+  required: ["id", "name", "assets", "position", "shareUrl"],
+};
+const watchlistResponse = schemas.okResponse({ watchlist });
+const watchlistsResponse = schemas.okResponse({
+  watchlists: { type: "array", items: watchlist },
+});
+
+const nullableNumber = { type: "number", nullable: true };
+
+/**
+ * GET /watchlists/shared/:token
+ * Public, read-only view of a shared list (no login needed).
+ * Query: currency (optional, default USD)
+ * Returns: { ok, watchlist: { name, updatedAt, pricesMeta,
+ *            assets: [{ asset, price, currency, change24h, marketCap }] } }
+ */
+router.get(
+  "/shared/:token",
+  validate({
+    summary: "View a shared watchlist",
+    response: schemas.okResponse({
+      watchlist: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          updatedAt: schemas.dateTime,
+          assets: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                asset: { type: "string" },
+                price: nullableNumber,
+                currency: { type: "string" },
+                change24h: nullableNumber,
+                marketCap: nullableNumber,
+              },
+              required: ["asset", "price", "currency", "change24h"],
+            },
+          },
+          pricesMeta: { type: "object" },
+        },
+        required: ["name", "assets"],
+      },
+    }),
+    params: {
+      properties: { token: { type: "string", minLength: 1 } },
+      required: ["token"],
+    },
+    query: { properties: { currency: schemas.currency } },
+  }),
+  asyncHandler(async (req, res) => {
+    const shared = await getSharedWatchlist(req.params.token, {
+      currency: req.query.currency,
+    });
+    if (!shared) {
+      throw notFound("Watchlist");
+    }
+
+    return res.json({ ok: true, watchlist: shared });
+  })
+);
+
+// ===== Owner only below =====
+
+router.use(auth);
+
+/**
+ * GET /watchlists
+ * Returns: { ok, watchlists } in the user's order
+ *  - each: { id, name, assets, position, shareUrl, sharedAt, createdAt, updatedAt }
+ */
+router.get(
+  "/",
+  validate({ summary: "List my watchlists", response: watchlistsResponse }),
+  asyncHandler(async (req, res) => {
+    return res.json({ ok: true, watchlists: await listWatchlists(req.userId) });
+  })
+);
+
+/**
+ * POST /watchlists
+ * Body: { name, assets? } (assets in display order)
+ * Returns: { ok, watchlist }
+ */
+router.post(
+  "/",
+  validate({
+    summary: "Create a watchlist",
+    status: 201,
+    response: watchlistResponse,
+    body: {
+      properties: { name, assets: { ...assets, default: [] } },
+      required: ["name"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const created = await createWatchlist(req.userId, {
+      name: req.body.name.trim(),
+      assets: await resolveSymbols(req.body.assets, "body.assets"),
+    });
+
+    return res.status(201).json({ ok: true, watchlist: created });
+  })
+);
+
+/**
+ * PUT /watchlists/order
+ * Body: { ids } every watchlist id of the user, in the new order
+ * Returns: { ok, watchlists }
+ */
+router.put(
+  "/order",
+  validate({
+    summary: "Reorder my watchlists",
+    response: watchlistsResponse,
+    body: {
+      properties: { ids: { type: "array", items: schemas.objectId } },
+      required: ["ids"],
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const watchlists = await reorderWatchlists(req.userId, req.body.ids);
+    return res.json({ ok: true, watchlists });
+  })
+);
+
+/**
+ * PATCH /watchlists/:id
+ * Body: any of { name, assets }
+ *  - assets replaces the list; its order is the display order
+ * Returns: { ok, watchlist }
+ */
+router.patch(
+  "/:id",
+  validate({
+    summary: "Rename a watchlist or change its assets",
+    response: watchlistResponse,
+    params: schemas.idParams,
+    body: { properties: { name, assets } },
+  }),
+  asyncHandler(async (req, res) => {
+    const { name, assets } = req.body;
+
+    const updated = await updateWatchlist(req.userId, req.params.id, {
+      name: name === undefined ? undefined : name.trim(),
+      assets:
+        assets === undefined
+          ? undefined
+          : await resolveSymbols(assets, "body.assets"),
+    });
+
+    return res.json({ ok: true, watchlist: updated });
+  })
+);
+
+/**
+ * DELETE /watchlists/:id
+ * Returns: { ok }
+ */
+router.delete(
+  "/:id",
+  validate({
+    summary: "Delete a watchlist",
+    response: schemas.okResponse(),
+    params: schemas.idParams,
+  }),
+  asyncHandler(async (req, res) => {
+    await deleteWatchlist(req.userId, req.params.id);
+    return res.json({ ok: true });
+  })
+);
+
+/**
+ * POST /watchlists/:id/share
+ * Creates the read-only link (watchlist.shareUrl); sharing again keeps it.
+ * Returns: { ok, watchlist }
+ */
+router.post(
+  "/:id/share",
+  validate({
+    summary: "Share a watchlist read-only via link",
+    response: watchlistResponse,
+    params: schemas.idParams,
+  }),
+  asyncHandler(async (req, res) => {
+    const shared = await shareWatchlist(req.userId, req.params.id);
+    return res.json({ ok: true, watchlist: shared });
+  })
+);
+
+/**
+ * DELETE /watchlists/:id/share
+ * Revokes the link; sharing later creates a new one.
+ * Returns: { ok, watchlist }
+ */
+router.delete(
+  "/:id/share",
+  validate({
+    summary: "Stop sharing a watchlist",
+    response: watchlistResponse,
+    params: schemas.idParams,
+  }),
+  asyncHandler(async (req, res) => {
+    const unshared = await unshareWatchlist(req.userId, req.params.id);
+    return res.json({ ok: true, watchlist: unshared });
+  })
+);
+
+module.exports = router;
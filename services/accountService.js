@@ -0,0 +1,284 @@
+// server/services/accountService.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const AccountToken = require("../models/AccountToken");
+const Feedback = require("../models/Feedback");
+const Transaction = require("../models/Transaction");
+const Alert = require("../models/Alert");
+const Notification = require("../models/Notification");
+const RefreshToken = require("../models/RefreshToken");
+const Insight = require("../models/Insight");
+const InsightUsage = require("../models/InsightUsage");
+const Watchlist = require("../models/Watchlist");
+const Meme = require("../models/Meme");
+const MemeView = require("../models/MemeView");
+const { hashToken } = require("./tokenService");
+const { sendMail, appUrl } = require("./mailer");
+const { fieldError } = require("./errors");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "accounts" });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long emailed links stay valid
+const TOKEN_TTL_MS = {
+  verify_email: (Number(process.env.VERIFY_EMAIL_TTL_HOURS) || 48) * HOUR_MS,
+  reset_password: (Number(process.env.RESET_PASSWORD_TTL_MIN) || 30) * 60000,
+};
+
+const BCRYPT_ROUNDS = 10;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+
+// Collections holding per-user data, removed with the account.
+// Add new user-owned models here.
+const OWNED_MODELS = [
+  Feedback,
+  Transaction,
+  Alert,
+  Notification,
+  RefreshToken,
+  Insight,
+  InsightUsage,
+  AccountToken,
+  Watchlist,
+  Meme, // submissions only; ingested memes have no userId
+  MemeView,
+];
+
+// -------------------- VALIDATION --------------------
+
+function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+/**
+ * Password strength rules (PASSWORD_MIN_LENGTH, default 8):
+ * long enough, at most 72 bytes, at least one letter and one digit,
+ * and not the email address itself.
+ * Throws a VALIDATION_ERROR for `field` when the password is too weak.
+ */
+function assertStrongPassword(password, email = "", field = "body.password") {
+  const minLength = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+  let problem = null;
+  if (password.length < minLength) {
+    problem = `must be at least ${minLength} characters`;
+  } else if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    problem = `must be at most ${PASSWORD_MAX_BYTES} bytes`;
+  } else if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    problem = "must contain at least one letter and one digit";
+  } else if (email && password.toLowerCase() === email.toLowerCase()) {
+    problem = "must not be your email address";
+  }
+
+  if (problem) throw fieldError(field, problem);
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Hash compared against when no account matches, so that an unknown
+// email takes as long to refuse as a wrong password
+let dummyHash = null;
+
+/**
+ * Does `password` match `user`'s (null: no such account) stored hash?
+ */
+async function checkPassword(user, password) {
+  if (!user) {
+    dummyHash =
+      dummyHash || hashPassword(crypto.randomBytes(16).toString("hex"));
+    await bcrypt.compare(password, await dummyHash);
+    return false;
+  }
+  return bcrypt.compare(password, user.password);
+}
+
+// -------------------- EMAILED TOKENS --------------------
+
+/**
+ * Creates a single-use token of `type` for the user.
+ * Older unused tokens of the same type are invalidated.
+ * Returns the raw token (only its hash is stored).
+ */
+async function createAccountToken(user, type) {
+  await AccountToken.deleteMany({ userId: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AccountToken.create({
+    userId: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+  });
+  return token;
+}
+
+// Query matching a token that can still be used
+function usableTokenQuery(token, type) {
+  return {
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+}
+
+/**
+ * Looks a token up without using it.
+ * Returns its record or null when it is unknown, expired or already used.
+ */
+async function findAccountToken(token, type) {
+  if (typeof token !== "string" || !token) return null;
+  return AccountToken.findOne(usableTokenQuery(token, type)).lean();
+}
+
+/**
+ * Marks a token as used and returns its record,
+ * or null when it is unknown, expired or already used.
+ */
+async function consumeAccountToken(token, type) {
+  if (typeof token !== "string" || !token) return null;
+
+  return AccountToken.findOneAndUpdate(
+    usableTokenQuery(token, type),
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAccountToken(user, "verify_email");
+  const link = appUrl("/verify-email", { token });
+
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you did not create an account, ignore this email.`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createAccountToken(user, "reset_password");
+  const link = appUrl("/reset-password", { token });
+  const minutes = Math.round(TOKEN_TTL_MS.reset_password / 60000);
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. Open this link within ${minutes} minutes to choose a new one:\n${link}\n\nIf it was not you, ignore this email; your password stays unchanged.`,
+  });
+}
+
+/**
+ * Verifies the user's email from an emailed token.
+ * The token only counts for the address it was sent to.
+ * Returns the updated user or null.
+ */
+async function verifyEmail(token) {
+  const record = await consumeAccountToken(token, "verify_email");
+  if (!record) return null;
+
+  return User.findOneAndUpdate(
+    { _id: record.userId, email: record.email },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  ).select("-password");
+}
+
+// -------------------- EMAIL MIGRATION --------------------
+
+/**
+ * One-off startup step: lowercases emails stored as typed before
+ * addresses were normalized, so those accounts can log in again.
+ * An account whose lowercased email already belongs to another account
+ * is left unchanged and reported (an admin has to merge or rename it).
+ * Returns { updated, collisions: [{ userId, email, conflictsWith }] }.
+ */
+async function normalizeStoredEmails() {
+  const users = await User.find({
+    $expr: { $ne: ["$email", { $toLower: { $trim: { input: "$email" } } }] },
+  })
+    .select("email")
+    .lean();
+
+  let updated = 0;
+  const collisions = [];
+  for (const user of users) {
+    const email = normalizeEmail(user.email);
+    const taken = await User.findOne({ email, _id: { $ne: user._id } })
+      .select("_id")
+      .lean();
+    if (taken) {
+      collisions.push({
+        userId: user._id,
+        email: user.email,
+        conflictsWith: taken._id,
+      });
+      continue;
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { email } });
+    updated += 1;
+  }
+
+  if (updated > 0) {
+    log.info("lowercased stored emails", { updated });
+  }
+  for (const collision of collisions) {
+    log.warn("email collides with another account, left unchanged", collision);
+  }
+  return { updated, collisions };
+}
+
+// -------------------- ROLES --------------------
+
+/**
+ * Promotes the accounts listed in ADMIN_EMAILS (comma separated) to admin.
+ * Bootstraps the first admins; later ones are managed through /admin.
+ */
+async function ensureAdmins() {
+  const emails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map(normalizeEmail)
+    .filter(Boolean);
+  if (emails.length === 0) return;
+
+  const { modifiedCount } = await User.updateMany(
+    { email: { $in: emails }, role: { $ne: "admin" } },
+    { $set: { role: "admin" } }
+  );
+  if (modifiedCount > 0) {
+    log.info("promoted accounts from ADMIN_EMAILS", { count: modifiedCount });
+  }
+}
+
+// -------------------- ACCOUNT DELETION --------------------
+
+/**
+ * Deletes the user and everything they own (see OWNED_MODELS).
+ */
+async function deleteAccount(userId) {
+  await Promise.all(OWNED_MODELS.map((Model) => Model.deleteMany({ userId })));
+  await User.deleteOne({ _id: userId });
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizeStoredEmails,
+  assertStrongPassword,
+  hashPassword,
+  checkPassword,
+  findAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  verifyEmail,
+  ensureAdmins,
+  deleteAccount,
+};
@@ -0,0 +1,179 @@
+// server/services/alertService.js
+const Alert = require("../models/Alert");
+const Notification = require("../models/Notification");
+const { fetchPricesCached } = require("./dashboardService");
+const { getAssets, pricesByTicker } = require("./assetRegistry");
+const { publishToUser } = require("./liveHub");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "alerts" });
+
+// -------------------- CONDITION CHECK --------------------
+
+// Value the alert condition looks at (USD price or 24h % change)
+function observedValue(alert, row) {
+  if (alert.condition === "above" || alert.condition === "below") {
+    return row.price;
+  }
+  return typeof row.change24h === "number" ? row.change24h : null;
+}
+
+function conditionMet(alert, value) {
+  switch (alert.condition) {
+    case "above":
+      return value > alert.threshold;
+    case "below":
+      return value < alert.threshold;
+    case "change_up":
+      return value >= alert.threshold;
+    case "change_down":
+      return value <= -alert.threshold;
+    default:
+      return false;
+  }
+}
+
+function describeAlert(alert, value) {
+  switch (alert.condition) {
+    case "above":
+      return `${alert.asset} is above $${alert.threshold} (now $${value})`;
+    case "below":
+      return `${alert.asset} is below $${alert.threshold} (now $${value})`;
+    case "change_up":
+      return `${alert.asset} is up ${value.toFixed(2)}% in 24h`;
+    case "change_down":
+      return `${alert.asset} is down ${Math.abs(value).toFixed(2)}% in 24h`;
+    default:
+      return `${alert.asset} alert triggered`;
+  }
+}
+
+/**
+ * Decides what happens to one alert given the current value.
+ * Returns { fire, update } where `update` is the $set for the alert.
+ */
+function evaluateAlert(alert, value, now = new Date()) {
+  const met = conditionMet(alert, value);
+  const update = { lastValue: value };
+
+  if (!met) {
+    // Condition went back to false -> this crossing is over
+    if (!alert.armed && alert.rearm === "crossing") {
+      update.armed = true;
+    }
+    return { fire: false, update };
+  }
+
+  if (!alert.armed) return { fire: false, update };
+
+  const cooldownMs = (alert.cooldownMinutes || 0) * 60 * 1000;
+  if (
+    alert.lastTriggeredAt &&
+    now - new Date(alert.lastTriggeredAt) < cooldownMs
+  ) {
+    return { fire: false, update };
+  }
+
+  update.armed = false;
+  update.lastTriggeredAt = now;
+  if (alert.rearm === "never") {
+    update.active = false;
+  }
+  return { fire: true, update };
+}
+
+// -------------------- WORKER --------------------
+
+/**
+ * Checks every active alert against the current prices once.
+ * Returns the number of alerts that fired.
+ */
+async function evaluateAlerts() {
+  // fresh: a cached value may be minutes old and miss a crossing
+  const pricesData = await fetchPricesCached({ fresh: true });
+
+  // Never fire on mock or last-known numbers (every provider failed)
+  if (pricesData.stale) {
+    log.warn("no live prices, skipping evaluation");
+    return 0;
+  }
+
+  const byTicker = pricesByTicker(pricesData.prices, await getAssets());
+  const alerts = await Alert.find({ active: true }).lean();
+  let fired = 0;
+
+  for (const alert of alerts) {
+    const row = byTicker[alert.asset];
+    const value = row ? observedValue(alert, row) : null;
+    if (value === null) continue;
+
+    const { fire, update } = evaluateAlert(alert, value);
+
+    if (fire) {
+      const notification = await Notification.create({
+        userId: alert.userId,
+        type: "alert",
+        title: `${alert.asset} alert`,
+        body: describeAlert(alert, value),
+        data: {
+          alertId: alert._id,
+          asset: alert.asset,
+          condition: alert.condition,
+          threshold: alert.threshold,
+          value,
+        },
+      });
+      fired += 1;
+
+      // live dashboards of this user get it right away
+      publishToUser(alert.userId, "alert", notification.toObject()).catch(
+        (err) => log.warn("live publish failed", { error: err.message })
+      );
+    }
+
+    await Alert.updateOne({ _id: alert._id }, { $set: update });
+  }
+
+  return fired;
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Starts the scheduled evaluator.
+ * ALERT_INTERVAL_SEC (default 60), ALERT_WORKER=off disables it.
+ */
+function startAlertWorker() {
+  if (timer || process.env.ALERT_WORKER === "off") return;
+
+  const intervalMs = (Number(process.env.ALERT_INTERVAL_SEC) || 60) * 1000;
+
+  timer = setInterval(async () => {
+    if (running) return; // previous run still going
+    running = true;
+    try {
+      const fired = await evaluateAlerts();
+      if (fired > 0) log.info("alerts fired", { fired });
+    } catch (err) {
+      log.error("evaluation failed", { err });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  log.info("worker running", { intervalSec: intervalMs / 1000 });
+}
+
+function stopAlertWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  conditionMet,
+  evaluateAlert,
+  evaluateAlerts,
+  startAlertWorker,
+  stopAlertWorker,
+};
@@ -0,0 +1,374 @@
+// server/services/allocationService.js
+const { getHistory } = require("./historyService");
+const { fetchPricesCached } = require("./dashboardService");
+const { getAssets, pricesByTicker } = require("./assetRegistry");
+const { getTier, normalizeInvestorType } = require("./riskProfile");
+const { badRequest } = require("./errors");
+
+// Daily closes used for volatility/correlation
+const LOOKBACK_RANGE = "90d";
+// Fewer daily returns than this and an asset's volatility is not trusted
+const MIN_RETURNS = 20;
+// Used for assets without enough history (typical large-cap crypto)
+const DEFAULT_VOLATILITY = 0.8;
+
+// How strongly each tier prefers low-volatility assets:
+// weight ∝ 1 / volatility^tilt (0 = equal weight)
+const VOL_TILT = {
+  conservative: 2,
+  moderate: 1,
+  growth: 0.5,
+  aggressive: 0,
+};
+
+function round(n, digits = 2) {
+  return Number(n.toFixed(digits));
+}
+
+function defaultDriftThreshold() {
+  return Number(process.env.ADVICE_DRIFT_PCT) || 5;
+}
+
+// -------------------- STATISTICS --------------------
+
+// { [t]: close } -> { [t]: log return vs the previous close }
+function dailyReturns(series) {
+  const returns = new Map();
+  for (let i = 1; i < series.length; i += 1) {
+    const prev = series[i - 1].price;
+    const cur = series[i].price;
+    if (prev > 0 && cur > 0) returns.set(series[i].t, Math.log(cur / prev));
+  }
+  return returns;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Annualized (crypto trades every day) standard deviation of daily returns
+function volatility(returns) {
+  const values = [...returns.values()];
+  if (values.length < MIN_RETURNS) return null;
+
+  const m = mean(values);
+  const variance =
+    values.reduce((acc, v) => acc + (v - m) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance) * Math.sqrt(365);
+}
+
+// Pearson correlation over the days both assets have a return for
+function correlation(a, b) {
+  const days = [...a.keys()].filter((t) => b.has(t));
+  if (days.length < MIN_RETURNS) return null;
+
+  const xs = days.map((t) => a.get(t));
+  const ys = days.map((t) => b.get(t));
+  const mx = mean(xs);
+  const my = mean(ys);
+
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < days.length; i += 1) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+/**
+ * Volatility per ticker and the pairwise correlation matrix,
+ * from the daily closes in the history store.
+ * Returns { volatility: { [ticker]: number|null },
+ *           correlation: { [ticker]: { [ticker]: number|null } } }
+ */
+async function assetStatistics(tickers, now = Date.now()) {
+  const returns = {};
+  for (const ticker of tickers) {
+    const { series } = await getHistory(ticker, LOOKBACK_RANGE, "1d", now);
+    returns[ticker] = dailyReturns(series);
+  }
+
+  const vol = {};
+  const corr = {};
+  for (const a of tickers) {
+    vol[a] = volatility(returns[a]);
+    corr[a] = {};
+    for (const b of tickers) {
+      const c = a === b ? 1 : correlation(returns[a], returns[b]);
+      corr[a][b] = c === null ? null : round(c, 3);
+    }
+  }
+
+  return { volatility: vol, correlation: corr };
+}
+
+// -------------------- TARGET ALLOCATION --------------------
+
+/**
+ * Target weights (fractions of the whole portfolio, cash included).
+ * 1. each asset gets 1 / vol^tilt, shrunk by its average correlation
+ *    with the others (diversifiers get more)
+ * 2. the crypto share is capped so the expected portfolio volatility
+ *    stays within the tier's max drawdown; the rest is cash
+ * Returns { weights: { [ticker]: fraction }, cash, expectedVolatility }
+ */
+function targetWeights(tickers, stats, tierId) {
+  const tilt = VOL_TILT[tierId] ?? 1;
+
+  const knownVols = tickers
+    .map((t) => stats.volatility[t])
+    .filter((v) => v !== null);
+  const fallbackVol =
+    knownVols.length > 0 ? Math.max(...knownVols) : DEFAULT_VOLATILITY;
+  const vol = (t) => stats.volatility[t] ?? fallbackVol;
+  // unknown pairs are assumed to move together (no diversification credit)
+  const corr = (a, b) => stats.correlation[a][b] ?? 1;
+
+  const raw = {};
+  for (const t of tickers) {
+    const others = tickers.filter((o) => o !== t);
+    const avgCorr = others.length > 0 ? mean(others.map((o) => corr(t, o))) : 0;
+    raw[t] = 1 / Math.pow(vol(t), tilt) / (1 + Math.max(avgCorr, 0));
+  }
+
+  const total = Object.values(raw).reduce((a, b) => a + b, 0);
+  const weights = {};
+  for (const t of tickers) weights[t] = raw[t] / total;
+
+  // portfolio volatility of the crypto-only mix: sqrt(wᵀ Σ w)
+  let variance = 0;
+  for (const a of tickers) {
+    for (const b of tickers) {
+      variance += weights[a] * weights[b] * vol(a) * vol(b) * corr(a, b);
+    }
+  }
+  const cryptoVol = Math.sqrt(variance);
+
+  const budget = getTier(tierId).maxDrawdown / 100;
+  const cryptoShare = cryptoVol > 0 ? Math.min(1, budget / cryptoVol) : 1;
+
+  for (const t of tickers) weights[t] *= cryptoShare;
+
+  return {
+    weights,
+    cash: 1 - cryptoShare,
+    expectedVolatility: cryptoVol * cryptoShare,
+  };
+}
+
+// -------------------- REBALANCING --------------------
+
+/**
+ * Trades that bring every asset drifting more than `driftThreshold`
+ * percentage points from its target back to the target.
+ * Assets inside the band are left alone; cash absorbs the difference.
+ * Buys are paid from cash plus the sells. An in-band asset above its
+ * target keeps that extra value, so the buys may need more than that:
+ * they are then scaled down to the money available (`cashLimited`).
+ * `holdings` is { [ticker]: quantity }, `prices` is { [ticker]: usd }.
+ * Returns { totalValue, positions, cash: { before, after }, trades,
+ * rebalanceNeeded, cashLimited }
+ */
+function planRebalance({ weights, holdings, cash, prices, driftThreshold }) {
+  const tickers = [
+    ...new Set([...Object.keys(weights), ...Object.keys(holdings)]),
+  ];
+
+  const values = {};
+  for (const t of tickers) {
+    values[t] = (holdings[t] || 0) * (prices[t] || 0);
+  }
+  const totalValue = Object.values(values).reduce((a, b) => a + b, cash);
+
+  const positions = [];
+  const sells = [];
+  const buys = [];
+
+  for (const t of tickers) {
+    const price = prices[t] ?? null;
+    const target = (weights[t] || 0) * 100;
+    const current = totalValue > 0 ? (values[t] / totalValue) * 100 : 0;
+    const drift = current - target;
+
+    positions.push({
+      asset: t,
+      quantity: holdings[t] || 0,
+      price,
+      value: round(values[t]),
+      currentPct: round(current),
+      targetPct: round(target),
+      drift: round(drift),
+    });
+
+    if (!price || Math.abs(drift) <= driftThreshold) continue;
+
+    const deltaValue = (target / 100) * totalValue - values[t];
+    (deltaValue > 0 ? buys : sells).push({
+      asset: t,
+      value: Math.abs(deltaValue),
+      price,
+    });
+  }
+
+  const sum = (list) => list.reduce((acc, tr) => acc + tr.value, 0);
+  const available = cash + sum(sells);
+  const wanted = sum(buys);
+  const scale = wanted > available ? available / wanted : 1;
+
+  const toTrade = (side, factor) => (tr) => ({
+    asset: tr.asset,
+    side,
+    quantity: round((tr.value * factor) / tr.price, 8),
+    value: round(tr.value * factor),
+    price: tr.price,
+  });
+  const trades = [
+    ...sells.map(toTrade("sell", 1)),
+    ...buys.map(toTrade("buy", scale)),
+  ].filter((tr) => tr.value > 0);
+
+  // never below zero, not even by a rounding error
+  const cashAfter = Math.max(available - wanted * scale, 0);
+
+  return {
+    totalValue: round(totalValue),
+    positions: positions.sort((a, b) => b.value - a.value),
+    cash: { before: round(cash), after: round(cashAfter) },
+    trades: trades.sort((a, b) => b.value - a.value),
+    rebalanceNeeded: trades.length > 0,
+    cashLimited: scale < 1,
+  };
+}
+
+// -------------------- MAIN --------------------
+
+/**
+ * Allocation advice for a user.
+ * `options`:
+ *  - assets: tickers to allocate across (defaults to the user's chosen assets)
+ *  - holdings: { [ticker]: quantity } current holdings (optional)
+ *  - cash: USD held outside crypto (optional, default 0)
+ *  - driftThreshold: percentage points (default ADVICE_DRIFT_PCT or 5)
+ * Returns { tier, assets, target, statistics, rebalance?, warnings, pricesMeta }
+ * Throws a 400 "NO_ASSETS" error when there is nothing to allocate.
+ */
+async function getAllocationAdvice(userDoc, options = {}) {
+  const warnings = [];
+
+  let tierId =
+    userDoc.riskProfile?.tier ||
+    normalizeInvestorType(userDoc.preferences?.investorType);
+  if (!tierId) {
+    tierId = "moderate";
+    warnings.push(
+      "No risk profile yet; assuming a moderate investor. Complete the questionnaire for tailored advice."
+    );
+  }
+
+  const tickers = options.assets || userDoc.preferences?.cryptoAssets || [];
+  if (tickers.length === 0) {
+    throw badRequest(
+      "No assets to allocate, choose some assets first",
+      "NO_ASSETS"
+    );
+  }
+
+  const stats = await assetStatistics(tickers);
+  const missing = tickers.filter((t) => stats.volatility[t] === null);
+  if (missing.length > 0) {
+    warnings.push(
+      `Not enough price history for ${missing.join(
+        ", "
+      )}; treated as the most volatile asset.`
+    );
+  }
+
+  const { weights, cash, expectedVolatility } = targetWeights(
+    tickers,
+    stats,
+    tierId
+  );
+
+  const tier = getTier(tierId);
+  const result = {
+    tier: {
+      id: tier.id,
+      label: tier.label,
+      maxDrawdown: tier.maxDrawdown,
+    },
+    assets: tickers,
+    target: {
+      allocations: tickers
+        .map((t) => ({ asset: t, pct: round(weights[t] * 100) }))
+        .sort((a, b) => b.pct - a.pct),
+      cashPct: round(cash * 100),
+      expectedVolatility: round(expectedVolatility * 100),
+    },
+    statistics: {
+      lookback: LOOKBACK_RANGE,
+      volatility: Object.fromEntries(
+        tickers.map((t) => [
+          t,
+          stats.volatility[t] === null
+            ? null
+            : round(stats.volatility[t] * 100),
+        ])
+      ),
+      correlation: stats.correlation,
+    },
+    warnings,
+  };
+
+  if (!options.holdings) return result;
+
+  const [pricesData, registry] = await Promise.all([
+    fetchPricesCached(),
+    getAssets(),
+  ]);
+  const byTicker = pricesByTicker(pricesData.prices, registry);
+  const prices = {};
+  for (const t of new Set([...tickers, ...Object.keys(options.holdings)])) {
+    if (byTicker[t]) prices[t] = byTicker[t].price;
+  }
+
+  const unpriced = Object.keys(options.holdings).filter((t) => !prices[t]);
+  if (unpriced.length > 0) {
+    warnings.push(
+      `No current price for ${unpriced.join(", ")}; left out of the trades.`
+    );
+  }
+
+  const driftThreshold = options.driftThreshold ?? defaultDriftThreshold();
+  result.rebalance = {
+    driftThreshold,
+    ...planRebalance({
+      weights,
+      holdings: options.holdings,
+      cash: options.cash || 0,
+      prices,
+      driftThreshold,
+    }),
+  };
+  if (result.rebalance.cashLimited) {
+    warnings.push(
+      "Not enough cash for every buy; the buys were scaled down to the cash available."
+    );
+  }
+  result.pricesMeta = {
+    source: pricesData.source,
+    stale: pricesData.stale,
+    fetchedAt: pricesData.fetchedAt,
+  };
+
+  return result;
+}
+
+module.exports = {
+  assetStatistics,
+  targetWeights,
+  planRebalance,
+  getAllocationAdvice,
+};
@@ -0,0 +1,199 @@
+// server/services/assetRegistry.js
+const Asset = require("../models/Asset");
+const { fieldError } = require("./errors");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "assets" });
+
+// Seeded into an empty collection and used when Mongo is unavailable
+const DEFAULT_ASSETS = [
+  {
+    symbol: "BTC",
+    coingeckoId: "bitcoin",
+    name: "Bitcoin",
+    aliases: ["xbt"],
+    tags: ["layer1"],
+    order: 1,
+  },
+  {
+    symbol: "ETH",
+    coingeckoId: "ethereum",
+    name: "Ethereum",
+    aliases: ["ether"],
+    tags: ["layer1", "smart-contracts"],
+    order: 2,
+  },
+  {
+    symbol: "SOL",
+    coingeckoId: "solana",
+    name: "Solana",
+    aliases: [],
+    tags: ["layer1", "smart-contracts"],
+    order: 3,
+  },
+  {
+    symbol: "DOGE",
+    coingeckoId: "dogecoin",
+    name: "Dogecoin",
+    aliases: [],
+    tags: ["meme"],
+    order: 4,
+  },
+];
+
+// Active assets are kept in memory and reloaded at most every RELOAD_MS
+const RELOAD_MS = 60 * 1000;
+
+let cached = null;
+let loadedAt = 0;
+
+// -------------------- MATCHING --------------------
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// One regex per asset: symbol, name, CoinGecko id and aliases as whole words,
+// so "SOL" matches "SOL rallies" but not "solution".
+function buildMatcher(asset) {
+  const terms = [
+    asset.symbol,
+    asset.name,
+    asset.coingeckoId,
+    ...(asset.aliases || []),
+  ]
+    .filter(Boolean)
+    .map((t) => escapeRegExp(t.toLowerCase()));
+
+  return new RegExp(`(^|[^a-z0-9])(${terms.join("|")})(?=[^a-z0-9]|$)`, "i");
+}
+
+function withMatcher(asset) {
+  return { ...asset, matcher: buildMatcher(asset) };
+}
+
+// -------------------- LOADING --------------------
+
+/**
+ * Active assets, ordered for display.
+ * Falls back to the built-in defaults if Mongo cannot be read.
+ */
+async function getAssets() {
+  if (cached && Date.now() - loadedAt < RELOAD_MS) return cached;
+
+  try {
+    const docs = await Asset.find({ active: true })
+      .sort({ order: 1, symbol: 1 })
+      .lean();
+    cached = (docs.length > 0 ? docs : DEFAULT_ASSETS).map(withMatcher);
+  } catch (err) {
+    log.warn("failed to load assets, using defaults", { error: err.message });
+    cached = cached || DEFAULT_ASSETS.map(withMatcher);
+  }
+
+  loadedAt = Date.now();
+  return cached;
+}
+
+/**
+ * Drops the in-memory copy (called after admin changes).
+ */
+function invalidateAssets() {
+  cached = null;
+  loadedAt = 0;
+}
+
+/**
+ * Seeds the default assets into an empty collection.
+ */
+async function seedDefaultAssets() {
+  const count = await Asset.estimatedDocumentCount();
+  if (count > 0) return;
+
+  await Asset.insertMany(DEFAULT_ASSETS);
+  invalidateAssets();
+  log.info("seeded default assets", { count: DEFAULT_ASSETS.length });
+}
+
+async function findAsset(symbol) {
+  const upper = String(symbol || "")
+    .trim()
+    .toUpperCase();
+  const assets = await getAssets();
+  return assets.find((a) => a.symbol === upper) || null;
+}
+
+// -------------------- HELPERS --------------------
+
+/**
+ * Trims and uppercases a user-supplied symbol list and splits it into
+ * registry symbols and unknown ones: { symbols, unknown }
+ */
+async function checkSymbols(list) {
+  const known = new Set((await getAssets()).map((a) => a.symbol));
+  const upper = [...new Set(list.map((s) => String(s).trim().toUpperCase()))];
+
+  return {
+    symbols: upper.filter((s) => known.has(s)),
+    unknown: upper.filter((s) => !known.has(s)),
+  };
+}
+
+/**
+ * Same as checkSymbols, but throws a VALIDATION_ERROR for `field`
+ * (e.g. "body.cryptoAssets") when some symbols are unknown.
+ * Returns the normalized symbols.
+ */
+async function resolveSymbols(list, field) {
+  const { symbols, unknown } = await checkSymbols(list);
+  if (unknown.length > 0) {
+    throw fieldError(field, `contains unknown assets: ${unknown.join(", ")}`);
+  }
+  return symbols;
+}
+
+/**
+ * Does this headline mention at least one of the given symbols?
+ * `assets` is the registry list (from getAssets).
+ * An empty symbol list matches everything (user without preferences).
+ */
+function matchesAssets(title, symbols, assets) {
+  if (!symbols || symbols.length === 0) return true;
+
+  return assets.some(
+    (asset) => symbols.includes(asset.symbol) && asset.matcher.test(title)
+  );
+}
+
+/**
+ * Symbols of every registry asset mentioned in a headline.
+ */
+function detectAssets(title, assets) {
+  return assets.filter((a) => a.matcher.test(title)).map((a) => a.symbol);
+}
+
+/**
+ * Re-keys a price list ([{ symbol: <coingecko id>, price, change24h, ... }])
+ * by ticker: { BTC: { price, change24h, ... }, ... }
+ */
+function pricesByTicker(prices, assets) {
+  const result = {};
+  for (const asset of assets) {
+    const row = prices.find((p) => p.symbol === asset.coingeckoId);
+    if (row) result[asset.symbol] = row;
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_ASSETS,
+  getAssets,
+  findAsset,
+  checkSymbols,
+  resolveSymbols,
+  invalidateAssets,
+  seedDefaultAssets,
+  matchesAssets,
+  detectAssets,
+  pricesByTicker,
+};
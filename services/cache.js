@@ -0,0 +1,205 @@
+// server/services/cache.js
+const CacheEntry = require("../models/CacheEntry");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "cache" });
+
+// -------------------- TTL CONFIG --------------------
+
+// Per-source defaults in seconds: { ttl, stale }
+// ttl   = how long a value is fresh
+// stale = how long after that it may still be served while we revalidate
+// Override with CACHE_TTL_<SOURCE> / CACHE_STALE_<SOURCE>, e.g. CACHE_TTL_PRICES=30
+const SOURCE_DEFAULTS = {
+  prices: { ttl: 60, stale: 600 },
+  news: { ttl: 300, stale: 3600 },
+  meme: { ttl: 120, stale: 600 },
+  fx: { ttl: 3600, stale: 86400 },
+};
+
+function ttlFor(source) {
+  const defaults = SOURCE_DEFAULTS[source] || { ttl: 60, stale: 0 };
+  const envKey = source.toUpperCase();
+
+  const ttl = Number(process.env[`CACHE_TTL_${envKey}`] ?? defaults.ttl);
+  const stale = Number(process.env[`CACHE_STALE_${envKey}`] ?? defaults.stale);
+
+  return { ttlMs: ttl * 1000, staleMs: stale * 1000 };
+}
+
+// -------------------- STORES --------------------
+
+// In-memory store: bounded Map, oldest entries evicted first
+function createMemoryStore({ maxEntries = 500 } = {}) {
+  const map = new Map();
+
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      if (entry.staleUntil <= Date.now()) {
+        map.delete(key);
+        return null;
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      if (map.size > maxEntries) {
+        map.delete(map.keys().next().value);
+      }
+    },
+    async del(key) {
+      map.delete(key);
+    },
+  };
+}
+
+// Mongo-backed store: shared between server instances
+function createMongoStore() {
+  return {
+    async get(key) {
+      const doc = await CacheEntry.findOne({ key }).lean();
+      if (!doc || doc.staleUntil.getTime() <= Date.now()) return null;
+      return {
+        value: doc.value,
+        expiresAt: doc.expiresAt.getTime(),
+        staleUntil: doc.staleUntil.getTime(),
+      };
+    },
+    async set(key, entry) {
+      await CacheEntry.updateOne(
+        { key },
+        {
+          value: entry.value,
+          expiresAt: new Date(entry.expiresAt),
+          staleUntil: new Date(entry.staleUntil),
+        },
+        { upsert: true }
+      );
+    },
+    async del(key) {
+      await CacheEntry.deleteOne({ key });
+    },
+  };
+}
+
+// -------------------- CACHE --------------------
+
+/**
+ * Creates a cache on top of a store with:
+ * - request coalescing: concurrent misses for one key share a single loader call
+ * - stale-while-revalidate: an expired value inside its stale window is
+ *   returned immediately while a background refresh runs
+ */
+function createCache(store) {
+  const inflight = new Map();
+
+  function load(key, loader, { ttlMs, staleMs, shouldCache }) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (shouldCache && !shouldCache(value)) return value;
+
+        const now = Date.now();
+        await store
+          .set(key, {
+            value,
+            expiresAt: now + ttlMs,
+            staleUntil: now + ttlMs + staleMs,
+          })
+          .catch((err) =>
+            log.warn("cache set failed", { key, error: err.message })
+          );
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  async function readEntry(key) {
+    try {
+      return await store.get(key);
+    } catch (err) {
+      log.warn("cache get failed", { key, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Returns { value, stale, hit }.
+   * `options` is { ttlMs, staleMs } (see ttlFor), plus an optional
+   * `shouldCache(value)` so fallback values are returned but not stored.
+   */
+  async function fetch(key, loader, options) {
+    const entry = await readEntry(key);
+    const now = Date.now();
+
+    if (entry && entry.expiresAt > now) {
+      return { value: entry.value, stale: false, hit: true };
+    }
+
+    if (entry) {
+      // Serve the stale value now, refresh in the background
+      load(key, loader, options).catch((err) =>
+        log.warn("cache revalidate failed", { key, error: err.message })
+      );
+      return { value: entry.value, stale: true, hit: true };
+    }
+
+    const value = await load(key, loader, options);
+    return { value, stale: false, hit: false };
+  }
+
+  /**
+   * Loads a fresh value now, skipping the stored one (a load already
+   * running for the key is shared), and stores it like fetch does.
+   */
+  function refresh(key, loader, options) {
+    return load(key, loader, options);
+  }
+
+  async function wrap(key, loader, options) {
+    const { value } = await fetch(key, loader, options);
+    return value;
+  }
+
+  return {
+    fetch,
+    refresh,
+    wrap,
+    del: (key) => store.del(key),
+  };
+}
+
+let sharedCache = null;
+
+/**
+ * Shared cache for upstream calls.
+ * CACHE_STORE=memory (default) or CACHE_STORE=mongo
+ */
+function getCache() {
+  if (!sharedCache) {
+    const store =
+      process.env.CACHE_STORE === "mongo"
+        ? createMongoStore()
+        : createMemoryStore();
+    sharedCache = createCache(store);
+  }
+  return sharedCache;
+}
+
+module.exports = {
+  getCache,
+  createCache,
+  createMemoryStore,
+  createMongoStore,
+  ttlFor,
+};
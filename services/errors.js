@@ -0,0 +1,109 @@
+// server/services/errors.js
+
+// Errors that map to an HTTP response. Routes and services throw them;
+// middleware/errorHandler.js turns them into the error envelope:
+// { ok: false, error: { code, message, details? } }
+
+class AppError extends Error {
+  /**
+   * status:  HTTP status
+   * code:    machine-readable code, e.g. "VALIDATION_ERROR"
+   * details: optional [{ field, message }] for field-level problems
+   * headers: optional extra response headers (e.g. Retry-After)
+   */
+  constructor(status, code, message, { details, headers } = {}) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * 400 with field-level details: [{ field, message }]
+ * `field` is the request location, e.g. "body.email" or "query.limit".
+ */
+function validationError(details) {
+  return new AppError(
+    400,
+    "VALIDATION_ERROR",
+    details.map((d) => `${d.field} ${d.message}`).join("; "),
+    { details }
+  );
+}
+
+// 400 for a single field
+function fieldError(field, message) {
+  return validationError([{ field, message }]);
+}
+
+function badRequest(message, code = "BAD_REQUEST") {
+  return new AppError(400, code, message);
+}
+
+function unauthorized(message, code = "UNAUTHORIZED") {
+  return new AppError(401, code, message);
+}
+
+function forbidden(message, code = "FORBIDDEN") {
+  return new AppError(403, code, message);
+}
+
+// `what` is the missing thing, e.g. "Alert"
+function notFound(what, code = "NOT_FOUND") {
+  return new AppError(404, code, `${what} not found`);
+}
+
+function conflict(message, code = "CONFLICT") {
+  return new AppError(409, code, message);
+}
+
+function tooManyRequests(message, retryAfterSec, code = "RATE_LIMITED") {
+  return new AppError(429, code, message, {
+    headers: { "Retry-After": String(retryAfterSec) },
+  });
+}
+
+// JSON schema of the envelope, for the API document and the response
+// contract check (see middleware/validate.js)
+const errorEnvelope = {
+  type: "object",
+  properties: {
+    ok: { type: "boolean", enum: [false] },
+    error: {
+      type: "object",
+      properties: {
+        code: { type: "string" },
+        message: { type: "string" },
+        details: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string" },
+              message: { type: "string" },
+            },
+            required: ["field", "message"],
+          },
+        },
+      },
+      required: ["code", "message"],
+    },
+  },
+  required: ["ok", "error"],
+};
+
+module.exports = {
+  AppError,
+  errorEnvelope,
+  validationError,
+  fieldError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  tooManyRequests,
+};
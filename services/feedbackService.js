@@ -0,0 +1,219 @@
+// server/services/feedbackService.js
+const Feedback = require("../models/Feedback");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "feedback" });
+
+// Dashboard cards users can vote on
+const SECTIONS = ["news", "prices", "insight", "meme"];
+
+// likes / dislikes / total / likeRatio from grouped counts
+function withRatio(row) {
+  const total = row.likes + row.dislikes;
+  return {
+    ...row,
+    total,
+    likeRatio: total > 0 ? Number((row.likes / total).toFixed(4)) : null,
+  };
+}
+
+const countVotes = {
+  likes: { $sum: { $cond: [{ $eq: ["$vote", 1] }, 1, 0] } },
+  dislikes: { $sum: { $cond: [{ $eq: ["$vote", -1] }, 1, 0] } },
+};
+
+// createdAt range + optional section as a $match stage
+function matchStage({ section, from, to } = {}) {
+  const match = {};
+  if (section) match.section = section;
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+  return { $match: match };
+}
+
+// Validated ?section=&from=&to= query -> filters of the stats queries
+function toStatsFilters({ section, from, to } = {}) {
+  return {
+    section,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+  };
+}
+
+// -------------------- USER VOTES --------------------
+
+/**
+ * Creates or changes the user's vote on an item (one vote per item).
+ * Returns the stored Feedback doc.
+ */
+async function setVote(userId, { section, itemId, vote, context }) {
+  const update = { vote };
+  if (context) update.context = context;
+
+  return Feedback.findOneAndUpdate(
+    { userId, section, itemId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Removes the user's vote on an item. Returns true if one existed.
+ */
+async function removeVote(userId, { section, itemId }) {
+  const result = await Feedback.deleteOne({ userId, section, itemId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Paginated list of the user's own votes, newest first.
+ */
+async function listUserFeedback(userId, { section, page = 1, limit = 20 }) {
+  const filter = { userId };
+  if (section) filter.section = section;
+
+  const [items, total] = await Promise.all([
+    Feedback.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Feedback.countDocuments(filter),
+  ]);
+
+  return { items, total, page, limit, pages: Math.ceil(total / limit) };
+}
+
+// -------------------- AGGREGATES --------------------
+
+/**
+ * Like/dislike counts and ratio per section.
+ */
+async function statsBySection(filters = {}) {
+  const rows = await Feedback.aggregate([
+    matchStage(filters),
+    { $group: { _id: "$section", ...countVotes } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map(({ _id, likes, dislikes }) =>
+    withRatio({ section: _id, likes, dislikes })
+  );
+}
+
+/**
+ * Like/dislike counts per item (most voted first), with the title of
+ * the latest vote.
+ * `minVotes` hides items with too few votes to mean anything.
+ */
+async function statsByItem({ limit = 50, minVotes = 1, ...filters } = {}) {
+  const rows = await Feedback.aggregate([
+    matchStage(filters),
+    // $last needs an order: the most recently updated vote comes last
+    { $sort: { updatedAt: 1 } },
+    {
+      $group: {
+        _id: { section: "$section", itemId: "$itemId" },
+        ...countVotes,
+        title: { $last: "$context.title" },
+      },
+    },
+    { $addFields: { total: { $add: ["$likes", "$dislikes"] } } },
+    { $match: { total: { $gte: minVotes } } },
+    { $sort: { total: -1 } },
+    { $limit: limit },
+  ]);
+
+  return rows.map(({ _id, likes, dislikes, title }) =>
+    withRatio({
+      section: _id.section,
+      itemId: _id.itemId,
+      title: title || null,
+      likes,
+      dislikes,
+    })
+  );
+}
+
+/**
+ * Like/dislike counts per section over time.
+ * bucket: "day" | "week" | "month"
+ */
+async function statsOverTime({ bucket = "day", ...filters } = {}) {
+  const rows = await Feedback.aggregate([
+    matchStage(filters),
+    {
+      $group: {
+        _id: {
+          section: "$section",
+          period: {
+            $dateTrunc: {
+              date: "$createdAt",
+              unit: bucket,
+              startOfWeek: "mon",
+            },
+          },
+        },
+        ...countVotes,
+      },
+    },
+    { $sort: { "_id.period": 1, "_id.section": 1 } },
+  ]);
+
+  return rows.map(({ _id, likes, dislikes }) =>
+    withRatio({ period: _id.period, section: _id.section, likes, dislikes })
+  );
+}
+
+// -------------------- INDEXES --------------------
+
+/**
+ * Deletes all but the latest vote of every user/section/item that was
+ * voted on more than once (possible before votes became unique).
+ * Returns the number of removed votes.
+ */
+async function removeDuplicateVotes() {
+  const groups = await Feedback.aggregate([
+    { $sort: { updatedAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: { userId: "$userId", section: "$section", itemId: "$itemId" },
+        ids: { $push: "$_id" },
+      },
+    },
+    { $match: { "ids.1": { $exists: true } } },
+  ]).allowDiskUse(true);
+
+  const stale = groups.flatMap((g) => g.ids.slice(1));
+  if (stale.length === 0) return 0;
+
+  const { deletedCount } = await Feedback.deleteMany({ _id: { $in: stale } });
+  return deletedCount;
+}
+
+/**
+ * Startup step: removes duplicate votes, then builds the Feedback indexes
+ * (including the one-vote-per-item unique index).
+ */
+async function ensureFeedbackIndexes() {
+  const removed = await removeDuplicateVotes();
+  if (removed > 0) {
+    log.info("removed duplicate votes", { removed });
+  }
+  await Feedback.createIndexes();
+}
+
+module.exports = {
+  SECTIONS,
+  setVote,
+  removeVote,
+  listUserFeedback,
+  statsBySection,
+  statsByItem,
+  statsOverTime,
+  toStatsFilters,
+  ensureFeedbackIndexes,
+};
@@ -0,0 +1,189 @@
+// server/services/fx/index.js
+const frankfurter = require("./providers/frankfurter");
+const fixture = require("./providers/fixture");
+const { getCache, ttlFor } = require("../cache");
+const { findAsset } = require("../assetRegistry");
+const { track } = require("../providerHealth");
+const { createLogger } = require("../logger");
+
+const log = createLogger({ component: "fx" });
+
+// Display currencies. Prices are fetched in USD and converted:
+// fiat with FX rates, BTC with the current BTC price.
+const CURRENCIES = ["USD", "EUR", "GBP", "ILS", "BTC"];
+const FIAT = ["EUR", "GBP", "ILS"];
+
+// Decimals kept for money amounts (portfolio values, P&L)
+function moneyDigits(currency) {
+  return currency === "BTC" ? 8 : 2;
+}
+
+const PROVIDERS = {
+  [frankfurter.name]: frankfurter,
+  [fixture.name]: fixture,
+};
+
+// Rough rates, only used when no provider ever answered
+const MOCK_RATES = { EUR: 0.92, GBP: 0.79, ILS: 3.7 };
+
+// Last successful result, served (marked stale) when every provider fails
+let lastGood = null;
+
+/**
+ * Provider chain from config, tried in order until one succeeds.
+ * FX_PROVIDERS=frankfurter (default)
+ * FX_PROVIDERS=fixture (fully offline)
+ */
+function getFxProviderChain() {
+  const names = (process.env.FX_PROVIDERS || "frankfurter")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  const chain = [];
+  for (const name of names) {
+    if (!PROVIDERS[name]) {
+      log.warn("unknown FX provider, skipping", { provider: name });
+      continue;
+    }
+    chain.push(PROVIDERS[name]);
+  }
+  return chain;
+}
+
+/**
+ * USD -> fiat rates with failover between providers.
+ * Returns { source, stale, fetchedAt, rates: { EUR, GBP, ILS } }
+ */
+async function fetchFiatRates() {
+  for (const provider of getFxProviderChain()) {
+    try {
+      const rates = await track("fx", provider.name, () =>
+        provider.getRates(FIAT)
+      );
+      if (FIAT.some((c) => !rates[c])) {
+        throw new Error("provider returned incomplete rates");
+      }
+
+      lastGood = {
+        source: provider.name,
+        stale: false,
+        fetchedAt: new Date().toISOString(),
+        rates,
+      };
+      return lastGood;
+    } catch (err) {
+      log.warn("FX provider failed, trying next", {
+        provider: provider.name,
+        error: err.message,
+      });
+    }
+  }
+
+  if (lastGood) {
+    return { ...lastGood, stale: true };
+  }
+
+  log.warn("all FX providers failed, using built-in mock rates");
+  return { source: "mock", stale: true, fetchedAt: null, rates: MOCK_RATES };
+}
+
+// FX rates move slowly; cached like prices (see cache.js "fx")
+async function fetchFiatRatesCached() {
+  const { value, stale } = await getCache().fetch("fx:USD", fetchFiatRates, {
+    ...ttlFor("fx"),
+    shouldCache: (v) => v.source !== "mock",
+  });
+  return stale ? { ...value, stale: true } : value;
+}
+
+/**
+ * Conversion data for a USD price list (from fetchPrices):
+ * {
+ *   rates,         // { USD: 1, EUR, GBP, ILS, BTC? } units per 1 USD
+ *   btcChange24h,  // BTC's 24h % change in USD (for BTC-denominated changes)
+ *   source, stale, fetchedAt  // of the fiat rates
+ * }
+ * BTC is missing from `rates` when the price list has no BTC price.
+ */
+async function getExchangeRates(pricesData) {
+  const [fiat, btc] = await Promise.all([
+    fetchFiatRatesCached(),
+    findAsset("BTC"),
+  ]);
+
+  const rates = { USD: 1, ...fiat.rates };
+  const btcRow =
+    btc && (pricesData?.prices || []).find((p) => p.symbol === btc.coingeckoId);
+  if (btcRow && btcRow.price > 0) rates.BTC = 1 / btcRow.price;
+
+  return {
+    rates,
+    btcChange24h: btcRow?.change24h ?? null,
+    source: fiat.source,
+    stale: fiat.stale,
+    fetchedAt: fiat.fetchedAt,
+  };
+}
+
+/**
+ * Currency actually used for `wanted`: falls back to USD when its
+ * rate is unknown (e.g. BTC without a BTC price).
+ */
+function resolveCurrency(wanted, fx) {
+  return wanted && fx.rates[wanted] ? wanted : "USD";
+}
+
+/**
+ * Converts USD price rows ([{ symbol, price, currency, change24h, marketCap }])
+ * to `currency` using `fx` from getExchangeRates.
+ * 24h changes are kept as they are for fiat (FX moves are ignored) and
+ * recomputed against BTC for BTC-denominated prices.
+ */
+function convertPrices(prices, currency, fx) {
+  const target = resolveCurrency(currency, fx);
+  const rate = fx.rates[target];
+
+  return prices.map((row) => {
+    let change24h = row.change24h;
+    if (
+      target === "BTC" &&
+      typeof change24h === "number" &&
+      typeof fx.btcChange24h === "number"
+    ) {
+      change24h =
+        ((1 + change24h / 100) / (1 + fx.btcChange24h / 100) - 1) * 100;
+    }
+
+    return {
+      ...row,
+      price: row.price * rate,
+      currency: target,
+      change24h,
+      marketCap:
+        typeof row.marketCap === "number" ? row.marketCap * rate : null,
+    };
+  });
+}
+
+// Summary of the conversion for response metadata
+function fxMeta(currency, fx) {
+  const target = resolveCurrency(currency, fx);
+  return {
+    currency: target,
+    rate: fx.rates[target],
+    source: target === "USD" ? null : fx.source,
+    stale: target === "USD" ? false : fx.stale,
+    fetchedAt: target === "USD" ? null : fx.fetchedAt,
+  };
+}
+
+module.exports = {
+  CURRENCIES,
+  moneyDigits,
+  getFxProviderChain,
+  getExchangeRates,
+  resolveCurrency,
+  convertPrices,
+  fxMeta,
+};
@@ -0,0 +1,30 @@
+// server/services/fx/providers/fixture.js
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * JSON fixture FX provider (offline staging / tests).
+ * File (FX_FIXTURE_FILE, default fixtures/fx.json):
+ * { "rates": { "EUR": 0.92, "GBP": 0.79, "ILS": 3.7 } } units per 1 USD
+ */
+const DEFAULT_FILE = path.join(__dirname, "../../../fixtures/fx.json");
+
+let rates = null;
+
+async function getRates(currencies) {
+  if (!rates) {
+    const file = process.env.FX_FIXTURE_FILE || DEFAULT_FILE;
+    rates = JSON.parse(await fs.readFile(file, "utf8")).rates || {};
+  }
+
+  const result = {};
+  for (const currency of currencies) {
+    if (typeof rates[currency] === "number") result[currency] = rates[currency];
+  }
+  return result;
+}
+
+module.exports = {
+  name: "fixture",
+  getRates,
+};
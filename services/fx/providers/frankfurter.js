@@ -0,0 +1,29 @@
+// server/services/fx/providers/frankfurter.js
+const { fetchJson } = require("../../http");
+
+const BASE_URL =
+  process.env.FRANKFURTER_BASE_URL || "https://api.frankfurter.app";
+
+/**
+ * Frankfurter FX provider (ECB reference rates, no API key).
+ * Returns { [currency]: units per 1 USD }
+ */
+async function getRates(currencies) {
+  const url = `${BASE_URL}/latest?from=USD&to=${encodeURIComponent(
+    currencies.join(",")
+  )}`;
+
+  const data = await fetchJson(url);
+
+  const result = {};
+  for (const currency of currencies) {
+    const rate = data?.rates?.[currency];
+    if (typeof rate === "number" && rate > 0) result[currency] = rate;
+  }
+  return result;
+}
+
+module.exports = {
+  name: "frankfurter",
+  getRates,
+};
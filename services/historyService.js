@@ -0,0 +1,210 @@
+// server/services/historyService.js
+const PricePoint = require("../models/PricePoint");
+const { fetchHistory } = require("./marketData");
+const { getAssets, findAsset } = require("./assetRegistry");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "history" });
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Supported query ranges / candle intervals
+const RANGES = {
+  "1d": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
+  "90d": 90 * DAY_MS,
+  "1y": 365 * DAY_MS,
+};
+const INTERVALS = {
+  "1h": HOUR_MS,
+  "4h": 4 * HOUR_MS,
+  "1d": DAY_MS,
+  "1w": 7 * DAY_MS,
+};
+
+// Upper bound on candles per response
+const MAX_CANDLES = 2000;
+
+function backfillDays() {
+  return Number(process.env.HISTORY_BACKFILL_DAYS) || 90;
+}
+
+// -------------------- STORE SYNC --------------------
+
+async function savePoints(ticker, points, source) {
+  if (points.length === 0) return 0;
+
+  const ops = points.map((p) => ({
+    updateOne: {
+      filter: { asset: ticker, ts: new Date(p.ts) },
+      update: { $set: { price: p.price, source } },
+      upsert: true,
+    },
+  }));
+
+  const result = await PricePoint.bulkWrite(ops, { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+/**
+ * Back-fills an empty asset or appends everything newer than
+ * the latest stored point. Returns the number of new points.
+ */
+async function syncAsset(coin, now = Date.now()) {
+  const latest = await PricePoint.findOne({ asset: coin.symbol })
+    .sort({ ts: -1 })
+    .lean();
+
+  const fromMs = latest
+    ? latest.ts.getTime() + 1
+    : now - backfillDays() * DAY_MS;
+
+  // Nothing worth asking the provider for yet
+  if (now - fromMs < HOUR_MS) return 0;
+
+  const { source, points } = await fetchHistory(coin, fromMs, now);
+  return savePoints(coin.symbol, points, source);
+}
+
+/**
+ * Syncs every known asset; one failing asset does not stop the others.
+ */
+async function syncAllHistory() {
+  let added = 0;
+  for (const coin of await getAssets()) {
+    try {
+      added += await syncAsset(coin);
+    } catch (err) {
+      log.warn("sync failed", { asset: coin.symbol, error: err.message });
+    }
+  }
+  return added;
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Runs a sync right away (back-fill) and then every HISTORY_UPDATE_MIN minutes
+ * (default 15). HISTORY_WORKER=off disables it.
+ */
+function startHistoryWorker() {
+  if (timer || process.env.HISTORY_WORKER === "off") return;
+
+  const intervalMs = (Number(process.env.HISTORY_UPDATE_MIN) || 15) * 60 * 1000;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const added = await syncAllHistory();
+      if (added > 0) log.info("stored new price points", { added });
+    } catch (err) {
+      log.error("sync failed", { err });
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  timer = setInterval(run, intervalMs);
+  log.info("worker running", { intervalMin: intervalMs / 60000 });
+}
+
+function stopHistoryWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// -------------------- QUERIES --------------------
+
+/**
+ * Groups points (oldest first) into OHLC candles aligned to `intervalMs`.
+ * Buckets without any point are skipped.
+ */
+function toCandles(points, intervalMs) {
+  const candles = [];
+  let current = null;
+
+  for (const p of points) {
+    const ts = new Date(p.ts).getTime();
+    const bucket = Math.floor(ts / intervalMs) * intervalMs;
+
+    if (!current || current.t !== bucket) {
+      current = {
+        t: bucket,
+        open: p.price,
+        high: p.price,
+        low: p.price,
+        close: p.price,
+      };
+      candles.push(current);
+      continue;
+    }
+
+    current.high = Math.max(current.high, p.price);
+    current.low = Math.min(current.low, p.price);
+    current.close = p.price;
+  }
+
+  return candles;
+}
+
+/**
+ * Price history for one asset from the local store.
+ * Back-fills on demand when the store has nothing for that asset yet.
+ * Returns { asset, range, interval, from, to, series, candles, change }
+ */
+async function getHistory(ticker, range, interval, now = Date.now()) {
+  const coin = await findAsset(ticker);
+  const rangeMs = RANGES[range];
+  const intervalMs = INTERVALS[interval];
+
+  const from = now - rangeMs;
+  const query = {
+    asset: ticker,
+    ts: { $gte: new Date(from), $lte: new Date(now) },
+  };
+
+  let points = await PricePoint.find(query).sort({ ts: 1 }).lean();
+
+  if (points.length === 0 && coin) {
+    const hasAny = await PricePoint.exists({ asset: ticker });
+    if (!hasAny) {
+      await syncAsset(coin, now);
+      points = await PricePoint.find(query).sort({ ts: 1 }).lean();
+    }
+  }
+
+  const candles = toCandles(points, intervalMs);
+  const first = candles[0];
+  const last = candles[candles.length - 1];
+
+  return {
+    asset: ticker,
+    range,
+    interval,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    series: candles.map((c) => ({ t: c.t, price: c.close })),
+    candles,
+    change:
+      first && last && first.open > 0
+        ? Number((((last.close - first.open) / first.open) * 100).toFixed(2))
+        : null,
+  };
+}
+
+module.exports = {
+  RANGES,
+  INTERVALS,
+  MAX_CANDLES,
+  toCandles,
+  getHistory,
+  syncAsset,
+  syncAllHistory,
+  startHistoryWorker,
+  stopHistoryWorker,
+};
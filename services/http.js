@@ -0,0 +1,56 @@
+// server/services/http.js
+const { getRequestId } = require("./requestContext");
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 8000;
+
+// fetch with a timeout that throws on non-2xx responses (err.status is set).
+// Calls made while handling a request carry its X-Request-Id.
+async function request(url, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, ...fetchOptions } = options;
+
+  const requestId = getRequestId();
+  const headers = requestId
+    ? { ...fetchOptions.headers, "X-Request-Id": requestId }
+    : fetchOptions.headers;
+
+  const resp = await fetch(url, {
+    ...fetchOptions,
+    headers,
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!resp.ok) {
+    const err = new Error(
+      `Bad response from ${new URL(url).host}: ${resp.status}`
+    );
+    err.status = resp.status;
+    throw err;
+  }
+
+  return resp;
+}
+
+/**
+ * Small wrapper around global fetch for upstream APIs:
+ * - Aborts the request after `timeoutMs`
+ * - Forwards the current request id (X-Request-Id)
+ * - Throws on non-2xx responses (err.status is set)
+ * - Parses and returns the JSON body
+ */
+async function fetchJson(url, options = {}) {
+  const resp = await request(url, options);
+  return resp.json();
+}
+
+/**
+ * Same as fetchJson for text bodies (RSS/Atom feeds).
+ */
+async function fetchText(url, options = {}) {
+  const resp = await request(url, options);
+  return resp.text();
+}
+
+module.exports = {
+  fetchJson,
+  fetchText,
+};
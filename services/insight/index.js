@@ -0,0 +1,331 @@
+// server/services/insight/index.js
+const {
+  createOpenAICompatibleProvider,
+} = require("./providers/openaiCompatible");
+const mock = require("./providers/mock");
+const { describeTier } = require("../riskProfile");
+const { getSetting } = require("../settings");
+const { track } = require("../providerHealth");
+const { createLogger } = require("../logger");
+
+const log = createLogger({ component: "insight" });
+
+// The only sentiments the prompt allows
+const SENTIMENTS = ["bullish", "bearish", "neutral"];
+const MAX_TEXT_LENGTH = 800;
+
+const TIMEOUT_MS = Number(process.env.INSIGHT_TIMEOUT_MS) || 15000;
+// Extra "please fix your JSON" rounds after an invalid answer
+const MAX_REPAIRS = Number(process.env.INSIGHT_MAX_REPAIRS ?? 1);
+
+// -------------------- FALLBACK --------------------
+function buildInsightFallback() {
+  return {
+    text: "Short-term momentum is cooling, but long-term accumulation remains healthy. Avoid emotional trades — stick to your plan.",
+    sentiment: "neutral",
+    citations: [],
+    fromModel: false,
+  };
+}
+
+// -------------------- PROVIDERS --------------------
+
+/**
+ * Provider chosen by INSIGHT_PROVIDER:
+ * - "openrouter" (default when OPENROUTER_API_KEY is set; model from the
+ *   "openrouterModel" setting, editable by admins)
+ * - "openai": any OpenAI-compatible server (INSIGHT_BASE_URL, INSIGHT_API_KEY, INSIGHT_MODEL)
+ * - "mock": deterministic offline answers
+ * Returns null when nothing is configured (callers use the fallback).
+ */
+async function getProvider() {
+  const choice =
+    process.env.INSIGHT_PROVIDER ||
+    (process.env.OPENROUTER_API_KEY ? "openrouter" : "");
+
+  switch (choice) {
+    case "openrouter":
+      if (!process.env.OPENROUTER_API_KEY) return null;
+      return createOpenAICompatibleProvider({
+        name: "openrouter",
+        baseUrl: "https://openrouter.ai/api/v1",
+        apiKey: process.env.OPENROUTER_API_KEY,
+        model: await getSetting("openrouterModel"),
+      });
+    case "openai":
+      if (!process.env.INSIGHT_BASE_URL) return null;
+      return createOpenAICompatibleProvider({
+        name: "openai",
+        baseUrl: process.env.INSIGHT_BASE_URL,
+        apiKey: process.env.INSIGHT_API_KEY,
+        model: process.env.INSIGHT_MODEL || "gpt-4o-mini",
+      });
+    case "mock":
+      return mock;
+    default:
+      if (choice) log.warn("unknown INSIGHT_PROVIDER", { provider: choice });
+      return null;
+  }
+}
+
+// -------------------- PROMPT --------------------
+
+function formatUsd(n) {
+  return n >= 1
+    ? `$${n.toLocaleString("en-US", { maximumFractionDigits: 2 })}`
+    : `$${n.toPrecision(4)}`;
+}
+
+function formatPriceLine(p) {
+  const change =
+    typeof p.change24h === "number"
+      ? `, 24h ${p.change24h >= 0 ? "+" : ""}${p.change24h.toFixed(2)}%`
+      : "";
+  return `- ${p.symbol} (${p.name}): ${formatUsd(p.usd)}${change}`;
+}
+
+/**
+ * `market` grounds the prompt in real data:
+ * { prices: [{ symbol, name, usd, change24h }], headlines: [{ title, source }] }
+ * Headlines are numbered from 1 so the model can cite them.
+ */
+function buildMessages(userPrefs, market = {}) {
+  const assetsList = userPrefs?.cryptoAssets || [];
+  const assets =
+    assetsList.length > 0 ? assetsList.join(", ") : "crypto assets";
+
+  const riskProfile =
+    describeTier(userPrefs?.investorType) ||
+    userPrefs?.investorType ||
+    "a normal retail investor";
+
+  const prices = market.prices || [];
+  const headlines = market.headlines || [];
+
+  const priceBlock =
+    prices.length > 0
+      ? prices.map(formatPriceLine).join("\n")
+      : "- (no live prices available)";
+  const headlineBlock =
+    headlines.length > 0
+      ? headlines
+          .map((h, i) => `[${i + 1}] ${h.title} (${h.source})`)
+          .join("\n")
+      : "(no recent headlines)";
+
+  // prompt tells model to ONLY talk about user's chosen assets
+  const promptText = `
+You are a crypto investment assistant.
+
+User is ONLY interested in these assets: ${assets}.
+User's risk profile: ${riskProfile}.
+
+Current market data (USD):
+${priceBlock}
+
+Recent headlines about the user's assets:
+${headlineBlock}
+
+Task:
+1. Give ONE actionable, short-term market insight for ONLY those assets above (ignore all other coins).
+2. Base it on the market data and headlines above.
+3. Max 80 words.
+4. Add a sentiment tag: bullish / bearish / neutral (for those assets only).
+5. List the numbers of the headlines you used in "citations" (empty array if none).
+
+Return STRICT JSON ONLY in this format:
+{
+  "text": "...",
+  "sentiment": "bullish" | "bearish" | "neutral",
+  "citations": [1, 2]
+}
+
+Rules:
+- Do NOT invent prices, percentages or news that are not listed above.
+- Do NOT mention assets the user did not list.
+- Do NOT talk about general crypto market, only the user's coins.
+- Do NOT add explanations.
+- Do NOT add markdown.
+- Do NOT wrap the JSON in \`\`\` fences.
+- Output only raw JSON.
+`;
+
+  return [
+    {
+      role: "system",
+      content:
+        "You are a concise crypto market analyst. You MUST respond in valid JSON only. No markdown fences like ```.",
+    },
+    { role: "user", content: promptText },
+  ];
+}
+
+// -------------------- OUTPUT VALIDATION --------------------
+
+/**
+ * Pulls the JSON object out of a model reply
+ * (tolerates ```json fences and chatter around the object).
+ */
+function extractJson(raw) {
+  let text = (raw || "").trim();
+
+  if (text.startsWith("```")) {
+    text = text
+      .replace(/^```[a-zA-Z]*\s*/, "")
+      .replace(/```$/, "")
+      .trim();
+  }
+
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new Error("no JSON object found");
+  }
+
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * Checks a parsed reply against the insight schema.
+ * `headlineCount` is how many headlines were numbered in the prompt.
+ * A missing "citations" field counts as no citations.
+ * Returns { value } or { errors: [string] }.
+ */
+function validateInsight(parsed, headlineCount = 0) {
+  const errors = [];
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { errors: ["reply must be a JSON object"] };
+  }
+
+  const text = typeof parsed.text === "string" ? parsed.text.trim() : "";
+  if (!text) {
+    errors.push('"text" must be a non-empty string');
+  } else if (text.length > MAX_TEXT_LENGTH) {
+    errors.push(`"text" must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+
+  const sentiment =
+    typeof parsed.sentiment === "string"
+      ? parsed.sentiment.trim().toLowerCase()
+      : "";
+  if (!SENTIMENTS.includes(sentiment)) {
+    errors.push(`"sentiment" must be one of: ${SENTIMENTS.join(", ")}`);
+  }
+
+  const citations = parsed.citations ?? [];
+  const validCitations =
+    Array.isArray(citations) &&
+    citations.every((n) => Number.isInteger(n) && n >= 1 && n <= headlineCount);
+  if (!validCitations) {
+    errors.push(
+      headlineCount > 0
+        ? `"citations" must be an array of headline numbers between 1 and ${headlineCount}`
+        : '"citations" must be an empty array (no headlines were given)'
+    );
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    value: { text, sentiment, citations: [...new Set(citations)] },
+  };
+}
+
+function parseReply(raw, headlineCount) {
+  try {
+    return validateInsight(extractJson(raw), headlineCount);
+  } catch (err) {
+    return { errors: [`invalid JSON (${err.message})`] };
+  }
+}
+
+// -------------------- MAIN --------------------
+
+/**
+ * Generates an insight for the user's preferences, grounded in `market`
+ * (see buildMessages). Cited headline numbers are resolved to
+ * { title, source, url } so the frontend can link them.
+ * Invalid replies get up to MAX_REPAIRS repair rounds; any failure
+ * ends in the canned fallback (fromModel: false).
+ * `provider`/`model` are set whenever a provider was actually called.
+ * `options.beforeCall` is awaited before every provider call (repairs
+ * included); when it resolves false the call is not made (e.g. the daily
+ * budget is used up) and, if nothing was called yet, `skipped` is set.
+ * Returns { text, sentiment, citations, fromModel, provider?, model?, skipped? }
+ */
+async function generateInsight(userPrefs, market = {}, options = {}) {
+  const { beforeCall = async () => true } = options;
+  const provider = await getProvider();
+  if (!provider) {
+    return buildInsightFallback();
+  }
+
+  const headlines = market.headlines || [];
+  const messages = buildMessages(userPrefs, market);
+
+  try {
+    for (let attempt = 0; attempt <= MAX_REPAIRS; attempt += 1) {
+      if (!(await beforeCall())) {
+        if (attempt === 0) return { ...buildInsightFallback(), skipped: true };
+        break;
+      }
+
+      const raw = await track("insight", provider.name, () =>
+        provider.complete(messages, { timeoutMs: TIMEOUT_MS })
+      );
+      const { value, errors } = parseReply(raw, headlines.length);
+
+      if (value) {
+        return {
+          text: value.text,
+          sentiment: value.sentiment,
+          citations: value.citations.map((n) => {
+            const { title, source, url } = headlines[n - 1];
+            return { title, source, url };
+          }),
+          fromModel: true,
+          provider: provider.name,
+          model: provider.model,
+        };
+      }
+
+      log.warn("invalid reply", {
+        provider: provider.name,
+        attempt: attempt + 1,
+        errors,
+      });
+
+      // repair pass: show the model its answer and what was wrong with it
+      messages.push(
+        { role: "assistant", content: raw },
+        {
+          role: "user",
+          content: `Your reply was invalid: ${errors.join(
+            "; "
+          )}. Reply again with ONLY a raw JSON object {"text": "...", "sentiment": "bullish" | "bearish" | "neutral", "citations": [headline numbers]}.`,
+        }
+      );
+    }
+  } catch (err) {
+    log.warn("generateInsight failed", {
+      provider: provider.name,
+      error: err.message,
+    });
+  }
+
+  return {
+    ...buildInsightFallback(),
+    provider: provider.name,
+    model: provider.model,
+  };
+}
+
+module.exports = {
+  SENTIMENTS,
+  generateInsight,
+  getProvider,
+  extractJson,
+  validateInsight,
+  buildInsightFallback,
+};
@@ -0,0 +1,31 @@
+// server/services/insight/providers/mock.js
+const crypto = require("crypto");
+
+const SENTIMENTS = ["bullish", "bearish", "neutral"];
+
+/**
+ * Deterministic offline provider for tests and local development:
+ * the same prompt always produces the same insight, no network involved.
+ */
+async function complete(messages) {
+  const prompt = messages.map((m) => m.content).join("\n");
+  const hash = crypto.createHash("sha256").update(prompt).digest();
+
+  const assets = /assets: ([^\n.]+)/.exec(prompt)?.[1] || "your assets";
+  const sentiment = SENTIMENTS[hash[0] % SENTIMENTS.length];
+
+  // cite the first headline when the prompt numbered any
+  const citations = /^\[1\] /m.test(prompt) ? [1] : [];
+
+  return JSON.stringify({
+    text: `Mock insight for ${assets}: momentum looks ${sentiment}. Size positions to your risk profile and review levels before acting.`,
+    sentiment,
+    citations,
+  });
+}
+
+module.exports = {
+  name: "mock",
+  model: "mock",
+  complete,
+};
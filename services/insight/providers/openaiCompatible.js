@@ -0,0 +1,49 @@
+// server/services/insight/providers/openaiCompatible.js
+const { fetchJson } = require("../../http");
+
+/**
+ * Provider for any OpenAI-compatible chat-completions API
+ * (OpenRouter, OpenAI, a local llama.cpp / Ollama / vLLM server...).
+ */
+function createOpenAICompatibleProvider({
+  name,
+  baseUrl,
+  apiKey,
+  model,
+  headers = {},
+}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  /**
+   * Sends chat messages and returns the raw text of the first choice.
+   */
+  async function complete(messages, options = {}) {
+    const { temperature = 0.7, maxTokens = 200, timeoutMs } = options;
+
+    const reqHeaders = { "Content-Type": "application/json", ...headers };
+    if (apiKey) {
+      reqHeaders.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const data = await fetchJson(url, {
+      method: "POST",
+      headers: reqHeaders,
+      timeoutMs,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      }),
+    });
+
+    // OpenAI-style response: choices[0].message.content
+    return data?.choices?.[0]?.message?.content || "";
+  }
+
+  return { name, model, complete };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
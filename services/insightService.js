@@ -0,0 +1,223 @@
+// server/services/insightService.js
+const Insight = require("../models/Insight");
+const InsightUsage = require("../models/InsightUsage");
+const { generateInsight, buildInsightFallback } = require("./insight");
+const { getAssets } = require("./assetRegistry");
+
+// A model insight for the same inputs is reused for this long
+const REUSE_MIN = Number(process.env.INSIGHT_REUSE_MIN) || 60;
+// Fallback insights are retried sooner, the model may be back
+const FALLBACK_REUSE_MIN = Number(process.env.INSIGHT_FALLBACK_REUSE_MIN) || 5;
+// Model calls per user per UTC day
+const DAILY_BUDGET = Number(process.env.INSIGHT_DAILY_BUDGET ?? 20);
+
+function startOfUtcDay(now = new Date()) {
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+}
+
+function inputsFor(userPrefs) {
+  return {
+    assets: [...(userPrefs?.cryptoAssets || [])].sort(),
+    investorType: userPrefs?.investorType || "",
+  };
+}
+
+// Public shape of a stored insight
+function toPublic(doc, extra = {}) {
+  return {
+    id: doc._id,
+    text: doc.text,
+    sentiment: doc.sentiment,
+    citations: doc.citations || [],
+    fromModel: doc.fromModel,
+    model: doc.model,
+    createdAt: doc.createdAt,
+    ...extra,
+  };
+}
+
+/**
+ * Model calls the user made today (repairs and failed calls included):
+ * { limit, used, remaining }
+ */
+async function getBudget(userId) {
+  const usage = await InsightUsage.findOne({
+    userId,
+    day: startOfUtcDay(),
+  }).lean();
+  const used = usage?.calls || 0;
+
+  return {
+    limit: DAILY_BUDGET,
+    used,
+    remaining: Math.max(DAILY_BUDGET - used, 0),
+  };
+}
+
+/**
+ * Reserves one model call of today's budget. The check and the count are
+ * one atomic update, so concurrent dashboard loads cannot overspend.
+ * Returns false when the budget is used up.
+ */
+async function reserveModelCall(userId) {
+  const filter = {
+    userId,
+    day: startOfUtcDay(),
+    calls: { $lt: DAILY_BUDGET },
+  };
+  const update = { $inc: { calls: 1 } };
+
+  try {
+    // first call of the day creates the counter
+    await InsightUsage.updateOne(filter, update, { upsert: true });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // the counter exists: either full, or created meanwhile by another request
+  const { modifiedCount } = await InsightUsage.updateOne(filter, update);
+  return modifiedCount > 0;
+}
+
+// Latest stored insight (or the canned text) once the budget is used up
+async function budgetExhausted(userId, latest) {
+  const previous =
+    latest ||
+    (await Insight.findOne({ userId, fromModel: true })
+      .sort({ createdAt: -1 })
+      .lean());
+  if (previous) {
+    return toPublic(previous, { reused: true, budgetExhausted: true });
+  }
+
+  // nothing stored yet: canned text, not persisted
+  return { ...buildInsightFallback(), budgetExhausted: true };
+}
+
+/**
+ * Insight for the dashboard:
+ * 1. reuse a recent insight generated from the same inputs
+ * 2. otherwise call the model if today's budget allows (every call,
+ *    repairs included, is reserved first), and store the result
+ * 3. out of budget -> latest stored insight, or the canned fallback
+ * `pricesData` and `news` are what the dashboard already fetched; they
+ * ground the prompt and the prices are stored with the insight.
+ */
+async function getInsightForUser(userDoc, { pricesData, news = [] } = {}) {
+  const userPrefs = userDoc.preferences || {};
+  const inputs = inputsFor(userPrefs);
+  const now = Date.now();
+
+  const latest = await Insight.findOne({
+    userId: userDoc._id,
+    "inputs.assets": inputs.assets,
+    "inputs.investorType": inputs.investorType,
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  if (latest) {
+    const reuseMin = latest.fromModel ? REUSE_MIN : FALLBACK_REUSE_MIN;
+    if (now - latest.createdAt.getTime() < reuseMin * 60 * 1000) {
+      return toPublic(latest, { reused: true });
+    }
+  }
+
+  const budget = await getBudget(userDoc._id);
+  if (budget.remaining === 0) {
+    return budgetExhausted(userDoc._id, latest);
+  }
+
+  // prices of the user's assets (all of them when nothing is selected)
+  const registry = await getAssets();
+  const userAssets = registry.filter(
+    (a) => inputs.assets.length === 0 || inputs.assets.includes(a.symbol)
+  );
+  const prices = (pricesData?.prices || []).filter((p) =>
+    userAssets.some((a) => a.coingeckoId === p.symbol)
+  );
+
+  const insight = await generateInsight(
+    userPrefs,
+    {
+      prices: prices.map((p) => {
+        const asset = userAssets.find((a) => a.coingeckoId === p.symbol);
+        return {
+          symbol: asset.symbol,
+          name: asset.name,
+          usd: p.price,
+          change24h: p.change24h,
+        };
+      }),
+      headlines: news,
+    },
+    { beforeCall: () => reserveModelCall(userDoc._id) }
+  );
+
+  // another request used the last of the budget in the meantime
+  if (insight.skipped) {
+    return budgetExhausted(userDoc._id, latest);
+  }
+
+  const doc = await Insight.create({
+    userId: userDoc._id,
+    text: insight.text,
+    sentiment: insight.sentiment,
+    citations: insight.citations,
+    fromModel: insight.fromModel,
+    provider: insight.provider || null,
+    model: insight.model || null,
+    inputs,
+    prices,
+  });
+
+  return toPublic(doc.toObject(), { reused: false });
+}
+
+// Stored price row; rows saved before the generic price fields had `usd`
+function toPriceRow(row) {
+  if (row.price !== undefined) return row;
+  return {
+    symbol: row.symbol,
+    price: row.usd,
+    currency: "USD",
+    change24h: row.change24h ?? null,
+    marketCap: null,
+  };
+}
+
+/**
+ * Paginated insight history, newest first.
+ */
+async function listInsights(userId, { page = 1, limit = 20 } = {}) {
+  const [docs, total] = await Promise.all([
+    Insight.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Insight.countDocuments({ userId }),
+  ]);
+
+  return {
+    items: docs.map((doc) =>
+      toPublic(doc, {
+        inputs: doc.inputs,
+        prices: (doc.prices || []).map(toPriceRow),
+      })
+    ),
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+  };
+}
+
+module.exports = {
+  getBudget,
+  getInsightForUser,
+  listInsights,
+};
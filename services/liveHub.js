@@ -0,0 +1,246 @@
+// server/services/liveHub.js
+const {
+  fetchPricesCached,
+  fetchNewsBaseCached,
+} = require("./dashboardService");
+const { getAssets, matchesAssets } = require("./assetRegistry");
+const { getSetting } = require("./settings");
+const { getExchangeRates, convertPrices, fxMeta } = require("./fx");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "live" });
+
+// Server-side fan-out for /dashboard/stream:
+// one polling loop for all connected clients, each client only gets
+// the events relevant to it (its assets / its own alerts).
+
+const PRICE_INTERVAL_MS =
+  (Number(process.env.LIVE_PRICE_INTERVAL_SEC) || 15) * 1000;
+const NEWS_INTERVAL_MS =
+  (Number(process.env.LIVE_NEWS_INTERVAL_SEC) || 60) * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+
+// Recent events kept for Last-Event-ID replay
+const BUFFER_SIZE = 500;
+
+// Open streams per user; a new one closes that user's oldest
+// (reconnects must not pile up subscribers)
+const MAX_STREAMS_PER_USER = Number(process.env.LIVE_MAX_STREAMS_PER_USER) || 5;
+
+// Event ids are "<boot>-<n>": the buffer does not survive a restart, so
+// a Last-Event-ID from an earlier process must not be matched against it
+const BOOT_ID = Date.now().toString(36);
+
+const clients = new Set();
+const buffer = [];
+let nextSeq = 1;
+
+let priceTimer = null;
+let newsTimer = null;
+let heartbeatTimer = null;
+let seenNewsUrls = new Set();
+let lastPriceFetchedAt = null;
+let newsPrimed = false;
+
+// -------------------- FILTERING --------------------
+
+/**
+ * Payload of an event as a given client should see it,
+ * or null when the event is not for that client.
+ */
+function viewFor(client, event, registry) {
+  if (event.userId) {
+    return event.userId === client.userId ? event.data : null;
+  }
+
+  const assets = client.assets;
+
+  if (event.type === "price") {
+    // USD prices + the rates of the tick, shown in the client's currency
+    const { fx, ...data } = event.data;
+    let prices = data.prices;
+    if (assets.length > 0) {
+      const ids = registry
+        .filter((a) => assets.includes(a.symbol))
+        .map((a) => a.coingeckoId);
+      prices = prices.filter((p) => ids.includes(p.symbol));
+    }
+    if (prices.length === 0) return null;
+
+    return {
+      ...data,
+      prices: convertPrices(prices, client.currency, fx),
+      fx: fxMeta(client.currency, fx),
+    };
+  }
+
+  if (event.type === "news") {
+    const articles = event.data.articles.filter((a) =>
+      matchesAssets(a.title, assets, registry)
+    );
+    return articles.length > 0 ? { articles } : null;
+  }
+
+  return event.data;
+}
+
+function write(client, id, type, data) {
+  client.res.write(
+    `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+  );
+}
+
+// -------------------- PUBLISHING --------------------
+
+/**
+ * Records an event and sends it to every interested client.
+ * `userId` limits the event to one user (e.g. triggered alerts).
+ */
+async function publish(type, data, userId = null) {
+  const seq = nextSeq++;
+  const event = {
+    id: `${BOOT_ID}-${seq}`,
+    seq,
+    type,
+    data,
+    userId: userId && String(userId),
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  if (clients.size === 0) return;
+
+  const registry = await getAssets();
+  for (const client of clients) {
+    const view = viewFor(client, event, registry);
+    if (view) write(client, event.id, type, view);
+  }
+}
+
+function publishToUser(userId, type, data) {
+  return publish(type, data, userId);
+}
+
+// -------------------- UPSTREAM POLLING --------------------
+
+async function pollPrices() {
+  try {
+    const pricesData = await fetchPricesCached();
+
+    // the cache may hand back the same snapshot; only push real ticks
+    if (pricesData.fetchedAt && pricesData.fetchedAt === lastPriceFetchedAt) {
+      return;
+    }
+    lastPriceFetchedAt = pricesData.fetchedAt;
+
+    await publish("price", {
+      prices: pricesData.prices,
+      source: pricesData.source,
+      stale: pricesData.stale,
+      fetchedAt: pricesData.fetchedAt,
+      fx: await getExchangeRates(pricesData),
+    });
+  } catch (err) {
+    log.warn("price poll failed", { error: err.message });
+  }
+}
+
+async function pollNews() {
+  try {
+    const { articles } = await fetchNewsBaseCached();
+    const fresh = articles.filter((a) => !seenNewsUrls.has(a.url));
+
+    // only remember the current feed, so the set stays bounded
+    seenNewsUrls = new Set(articles.map((a) => a.url));
+
+    // the first poll only records what is already on the dashboard
+    if (newsPrimed && fresh.length > 0) {
+      await publish("news", { articles: fresh });
+    }
+    newsPrimed = true;
+  } catch (err) {
+    log.warn("news poll failed", { error: err.message });
+  }
+}
+
+function startPolling() {
+  if (priceTimer) return;
+
+  pollPrices();
+  pollNews();
+  priceTimer = setInterval(pollPrices, PRICE_INTERVAL_MS);
+  newsTimer = setInterval(pollNews, NEWS_INTERVAL_MS);
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) client.res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+}
+
+function stopPolling() {
+  clearInterval(priceTimer);
+  clearInterval(newsTimer);
+  clearInterval(heartbeatTimer);
+  priceTimer = null;
+  newsTimer = null;
+  heartbeatTimer = null;
+}
+
+// -------------------- CLIENTS --------------------
+
+/**
+ * Registers an SSE response for a user.
+ * Replays buffered events after `lastEventId` (reconnect) or sends the
+ * latest price tick (fresh connection, or an id from before a restart),
+ * then streams live.
+ * Users without `assets` follow the defaultAssets setting, like the
+ * dashboard. Price events are converted to `currency` (default USD).
+ * Past MAX_STREAMS_PER_USER streams the user's oldest one is closed.
+ * Returns an unsubscribe function.
+ */
+async function subscribe({
+  res,
+  userId,
+  assets = [],
+  currency = "USD",
+  lastEventId = null,
+}) {
+  const client = {
+    res,
+    userId: String(userId),
+    assets: assets.length > 0 ? assets : await getSetting("defaultAssets"),
+    currency,
+  };
+
+  const [boot, seq] = String(lastEventId || "").split("-");
+  const lastSeq = boot === BOOT_ID ? Number(seq) : 0;
+  const registry = await getAssets();
+  const backlog =
+    lastSeq > 0
+      ? buffer.filter((event) => event.seq > lastSeq)
+      : buffer.filter((event) => event.type === "price").slice(-1);
+
+  for (const event of backlog) {
+    const view = viewFor(client, event, registry);
+    if (view) write(client, event.id, event.type, view);
+  }
+
+  const mine = [...clients].filter((c) => c.userId === client.userId);
+  for (const old of mine.slice(0, mine.length - MAX_STREAMS_PER_USER + 1)) {
+    clients.delete(old);
+    old.res.end();
+  }
+
+  clients.add(client);
+  startPolling();
+
+  return () => {
+    clients.delete(client);
+    if (clients.size === 0) stopPolling();
+  };
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  publishToUser,
+};
@@ -0,0 +1,83 @@
+// server/services/logger.js
+const { getRequestId } = require("./requestContext");
+
+// Structured logger: one JSON object per line,
+// { time, level, msg, requestId?, ...fields }
+// LOG_LEVEL=debug|info|warn|error (default info). warn/error go to stderr.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function minLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] || LEVELS.info;
+}
+
+// Errors do not survive JSON.stringify; keep what helps debugging
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { name: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  if (err.stack) out.stack = err.stack;
+  return out;
+}
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+
+  for (const [key, value] of Object.entries({ ...bindings, ...fields })) {
+    entry[key] = serializeError(value);
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (err) {
+    // circular field: log the message alone rather than nothing
+    line = JSON.stringify({ time: entry.time, level, msg, requestId });
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// Query parameters holding credentials (EventSource cannot send headers)
+const SECRET_PARAMS = ["access_token"];
+
+/**
+ * The request's URL as it may be logged: credentials in the query
+ * string are replaced by "redacted".
+ */
+function loggedPath(req) {
+  const url = new URL(`http://localhost${req.originalUrl}`);
+  const secrets = SECRET_PARAMS.filter((name) => url.searchParams.has(name));
+  if (secrets.length === 0) return req.originalUrl;
+
+  for (const name of secrets) url.searchParams.set(name, "redacted");
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * A logger whose lines all carry `bindings`, e.g.
+ *   const log = createLogger({ component: "alerts" });
+ *   log.warn("evaluation failed", { err });
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  loggedPath,
+  logger: createLogger(),
+};
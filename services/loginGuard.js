@@ -0,0 +1,85 @@
+// server/services/loginGuard.js
+const { getRateLimitStore } = require("./rateLimiter");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "loginGuard" });
+
+// Progressive lockout after repeated failed logins for one email:
+// LOGIN_LOCKOUT_THRESHOLD failures (default 5) lock the email for
+// LOGIN_LOCKOUT_BASE_SEC (default 60); every further failure doubles
+// the lock, up to LOGIN_LOCKOUT_MAX_SEC (default 3600).
+// Failures are forgotten after LOGIN_FAILURE_WINDOW_MIN (default 60)
+// or on a successful login.
+// Like the rate limits it fails open (see getRateLimitStore): without its
+// store logins are neither counted nor locked.
+
+function settings() {
+  return {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    baseMs: (Number(process.env.LOGIN_LOCKOUT_BASE_SEC) || 60) * 1000,
+    maxMs: (Number(process.env.LOGIN_LOCKOUT_MAX_SEC) || 3600) * 1000,
+    windowMs: (Number(process.env.LOGIN_FAILURE_WINDOW_MIN) || 60) * 60000,
+  };
+}
+
+const failuresKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+const UNLOCKED = { locked: false, retryAfterSec: 0 };
+
+// runs `action` on the store, or answers `fallback` when it is unreachable
+async function withStore(action, fallback) {
+  try {
+    return await action(getRateLimitStore());
+  } catch (err) {
+    log.warn("login guard store unavailable", { error: err.message });
+    return fallback;
+  }
+}
+
+/**
+ * Returns { locked, retryAfterSec }.
+ */
+function checkLoginLock(email) {
+  return withStore(async (store) => {
+    const lock = await store.get(lockKey(email));
+    if (!lock) return UNLOCKED;
+
+    return {
+      locked: true,
+      retryAfterSec: Math.max(1, Math.ceil((lock.resetAt - Date.now()) / 1000)),
+    };
+  }, UNLOCKED);
+}
+
+/**
+ * Counts a failed login; locks the email once the threshold is reached.
+ * Returns { locked, retryAfterSec } after this failure.
+ */
+function recordLoginFailure(email) {
+  const { threshold, baseMs, maxMs, windowMs } = settings();
+
+  return withStore(async (store) => {
+    const { count } = await store.increment(failuresKey(email), windowMs);
+    if (count < threshold) return UNLOCKED;
+
+    const lockMs = Math.min(maxMs, baseMs * Math.pow(2, count - threshold));
+    await store.set(lockKey(email), { count, resetAt: Date.now() + lockMs });
+
+    return { locked: true, retryAfterSec: Math.ceil(lockMs / 1000) };
+  }, UNLOCKED);
+}
+
+function clearLoginFailures(email) {
+  return withStore(
+    (store) =>
+      Promise.all([store.del(failuresKey(email)), store.del(lockKey(email))]),
+    null
+  );
+}
+
+module.exports = {
+  checkLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,70 @@
+// server/services/mailer/index.js
+const consoleTransport = require("./transports/console");
+const fileTransport = require("./transports/file");
+
+// -------------------- TRANSPORTS --------------------
+
+// A transport is { name, send(message) -> Promise<{ id }> }.
+// Real delivery (SMTP, an email API, ...) plugs in through registerTransport.
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+function registerTransport(transport) {
+  if (!transport?.name || typeof transport.send !== "function") {
+    throw new Error("A mail transport needs a name and a send function");
+  }
+  transports[transport.name] = transport;
+}
+
+/**
+ * Transport chosen by MAIL_TRANSPORT (default "console").
+ * The console transport logs the emailed links (password resets), so
+ * with NODE_ENV=production there is no default.
+ */
+function getTransport() {
+  const choice =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+  if (!choice) {
+    throw new Error("MAIL_TRANSPORT is required in production");
+  }
+  const transport = transports[choice];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${choice}"`);
+  }
+  return transport;
+}
+
+// -------------------- SENDING --------------------
+
+/**
+ * Sends { to, subject, text } from MAIL_FROM.
+ * Returns whatever the transport returns ({ id, ... }).
+ */
+async function sendMail({ to, subject, text }) {
+  const message = {
+    from: process.env.MAIL_FROM || "Crypto Advisor <no-reply@localhost>",
+    to,
+    subject,
+    text,
+  };
+  return getTransport().send(message);
+}
+
+// Links in emails point at the frontend
+function appUrl(pathname, params = {}) {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:3000");
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail,
+  appUrl,
+};
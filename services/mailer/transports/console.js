@@ -0,0 +1,16 @@
+// server/services/mailer/transports/console.js
+const { createLogger } = require("../../logger");
+
+const log = createLogger({ component: "mailer" });
+
+// Dev transport: logs the message (stdout) instead of sending it.
+async function send(message) {
+  log.info("mail", {
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+  });
+  return { id: `console-${Date.now()}` };
+}
+
+module.exports = { name: "console", send };
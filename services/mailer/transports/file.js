@@ -0,0 +1,26 @@
+// server/services/mailer/transports/file.js
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Dev transport: writes every message as a JSON file to MAIL_FILE_DIR
+// (default ./mail-outbox) so tests and developers can pick up the links.
+function outboxDir() {
+  return path.resolve(process.env.MAIL_FILE_DIR || "mail-outbox");
+}
+
+async function send(message) {
+  const dir = outboxDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const file = path.join(dir, `${id}.json`);
+  await fs.writeFile(
+    file,
+    JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2)
+  );
+
+  return { id, file };
+}
+
+module.exports = { name: "file", send };
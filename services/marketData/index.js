@@ -0,0 +1,182 @@
+// server/services/marketData/index.js
+const coingecko = require("./providers/coingecko");
+const cryptocompare = require("./providers/cryptocompare");
+const fixture = require("./providers/fixture");
+const { getAssets } = require("../assetRegistry");
+const { track } = require("../providerHealth");
+const { createLogger } = require("../logger");
+
+const log = createLogger({ component: "marketData" });
+
+const PROVIDERS = {
+  [coingecko.name]: coingecko,
+  [cryptocompare.name]: cryptocompare,
+  [fixture.name]: fixture,
+};
+
+// Last successful result per coin set, served (marked stale) when every
+// provider fails; like the price cache, a set of coins never gets the
+// prices of another
+const lastGood = new Map();
+const LAST_GOOD_SETS = 20;
+
+const coinsKey = (coins) =>
+  coins
+    .map((c) => c.coingeckoId)
+    .sort()
+    .join(",");
+
+function rememberGood(coins, result) {
+  const key = coinsKey(coins);
+  lastGood.delete(key);
+  lastGood.set(key, result);
+  // oldest set first (Map keeps insertion order)
+  if (lastGood.size > LAST_GOOD_SETS) {
+    lastGood.delete(lastGood.keys().next().value);
+  }
+}
+
+/**
+ * Provider chain from config, tried in order until one succeeds.
+ * MARKET_DATA_PROVIDERS=coingecko,cryptocompare (default)
+ * MARKET_DATA_PROVIDERS=fixture (fully offline: staging / tests)
+ */
+function getProviderChain() {
+  const names = (process.env.MARKET_DATA_PROVIDERS || "coingecko,cryptocompare")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  const chain = [];
+  for (const name of names) {
+    if (!PROVIDERS[name]) {
+      log.warn("unknown market data provider, skipping", { provider: name });
+      continue;
+    }
+    chain.push(PROVIDERS[name]);
+  }
+  return chain;
+}
+
+function toPriceList(coins, byId) {
+  return coins
+    .filter((coin) => byId[coin.coingeckoId])
+    .map((coin) => ({
+      symbol: coin.coingeckoId,
+      price: byId[coin.coingeckoId].usd,
+      currency: "USD",
+      change24h: byId[coin.coingeckoId].change24h,
+      marketCap: byId[coin.coingeckoId].marketCap ?? null,
+    }));
+}
+
+/**
+ * Fetches spot prices with automatic failover between providers.
+ * `coins` defaults to every active asset of the registry.
+ * Returns:
+ * {
+ *   success,   // false only when no provider answered
+ *   source,    // provider name, or "mock" for the built-in numbers
+ *   stale,     // true when the data is not from this request
+ *   fetchedAt, // when the data was actually fetched
+ *   prices: [{ symbol, price, currency, change24h, marketCap }]
+ * }
+ * Prices are always in USD; see services/fx for display currencies.
+ */
+async function fetchPrices(coins) {
+  coins = coins || (await getAssets());
+
+  for (const provider of getProviderChain()) {
+    try {
+      const byId = await track("prices", provider.name, () =>
+        provider.getPrices(coins)
+      );
+      const prices = toPriceList(coins, byId);
+
+      if (prices.length === 0) {
+        throw new Error("provider returned no prices");
+      }
+
+      const result = {
+        success: true,
+        source: provider.name,
+        stale: false,
+        fetchedAt: new Date().toISOString(),
+        prices,
+      };
+      rememberGood(coins, result);
+
+      if (process.env.MARKET_FIXTURE_RECORD && provider !== fixture) {
+        fixture
+          .recordSnapshot(process.env.MARKET_FIXTURE_RECORD, byId)
+          .catch((err) =>
+            log.warn("failed to record price fixture", { error: err.message })
+          );
+      }
+
+      return result;
+    } catch (err) {
+      log.warn("fetchPrices failed, trying next", {
+        provider: provider.name,
+        error: err.message,
+      });
+    }
+  }
+
+  const previous = lastGood.get(coinsKey(coins));
+  if (previous) {
+    return { ...previous, stale: true };
+  }
+
+  log.warn("all price providers failed, using built-in mock prices");
+  return {
+    success: false,
+    source: "mock",
+    stale: true,
+    fetchedAt: null,
+    prices: [
+      { symbol: "bitcoin", price: 65000 },
+      { symbol: "ethereum", price: 3200 },
+      { symbol: "solana", price: 150 },
+      { symbol: "dogecoin", price: 0.12 },
+    ]
+      .filter((p) => coins.some((c) => c.coingeckoId === p.symbol))
+      .map((p) => ({
+        ...p,
+        currency: "USD",
+        change24h: null,
+        marketCap: null,
+      })),
+  };
+}
+
+/**
+ * Fetches historical USD prices for one coin with the same failover chain.
+ * Returns { source, points: [{ ts, price }] } or throws when no provider answered.
+ */
+async function fetchHistory(coin, fromMs, toMs) {
+  const chain = getProviderChain().filter((p) => p.getHistory);
+
+  for (const provider of chain) {
+    try {
+      const points = await track("history", provider.name, () =>
+        provider.getHistory(coin, fromMs, toMs)
+      );
+      return { source: provider.name, points };
+    } catch (err) {
+      log.warn("fetchHistory failed, trying next", {
+        provider: provider.name,
+        coin: coin.coingeckoId,
+        error: err.message,
+      });
+    }
+  }
+
+  throw new Error(`No provider could return history for ${coin.coingeckoId}`);
+}
+
+module.exports = {
+  fetchPrices,
+  fetchHistory,
+  getProviderChain,
+};
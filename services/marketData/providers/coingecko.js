@@ -0,0 +1,63 @@
+// server/services/marketData/providers/coingecko.js
+const { fetchJson } = require("../../http");
+
+const BASE_URL =
+  process.env.COINGECKO_BASE_URL || "https://api.coingecko.com/api/v3";
+
+/**
+ * CoinGecko price provider.
+ * Returns { [coinId]: { usd, change24h, marketCap } }
+ */
+async function getPrices(coins) {
+  const ids = coins.map((c) => c.coingeckoId).join(",");
+  const url = `${BASE_URL}/simple/price?ids=${encodeURIComponent(
+    ids
+  )}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`;
+
+  const data = await fetchJson(url, { headers: authHeaders() });
+
+  const result = {};
+  for (const coin of coins) {
+    const row = data[coin.coingeckoId];
+    if (!row || typeof row.usd !== "number") continue;
+
+    result[coin.coingeckoId] = {
+      usd: row.usd,
+      change24h: row.usd_24h_change ?? null,
+      marketCap: row.usd_market_cap ?? null,
+    };
+  }
+  return result;
+}
+
+function authHeaders() {
+  const headers = {};
+  if (process.env.COINGECKO_API_KEY) {
+    headers["x-cg-demo-api-key"] = process.env.COINGECKO_API_KEY;
+  }
+  return headers;
+}
+
+/**
+ * Historical USD prices between two timestamps (ms).
+ * CoinGecko picks the granularity: 5-minutely up to 1 day,
+ * hourly up to 90 days, daily beyond that.
+ * Returns [{ ts, price }] oldest first.
+ */
+async function getHistory(coin, fromMs, toMs) {
+  const url = `${BASE_URL}/coins/${encodeURIComponent(
+    coin.coingeckoId
+  )}/market_chart/range?vs_currency=usd&from=${Math.floor(
+    fromMs / 1000
+  )}&to=${Math.floor(toMs / 1000)}`;
+
+  const data = await fetchJson(url, { headers: authHeaders() });
+
+  return (data.prices || []).map(([ts, price]) => ({ ts, price }));
+}
+
+module.exports = {
+  name: "coingecko",
+  getPrices,
+  getHistory,
+};
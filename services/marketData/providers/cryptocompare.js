@@ -0,0 +1,76 @@
+// server/services/marketData/providers/cryptocompare.js
+const { fetchJson } = require("../../http");
+
+const BASE_URL =
+  process.env.CRYPTOCOMPARE_BASE_URL || "https://min-api.cryptocompare.com";
+
+// Max hourly candles CryptoCompare returns in one call
+const MAX_HOURS = 2000;
+
+function authHeaders() {
+  const headers = {
+    "User-Agent": "crypto-advisor-server/1.0",
+  };
+  if (process.env.CRYPTOCOMPARE_API_KEY) {
+    headers.Authorization = `Apikey ${process.env.CRYPTOCOMPARE_API_KEY}`;
+  }
+  return headers;
+}
+
+/**
+ * CryptoCompare price provider (pricemultifull endpoint).
+ * Looks coins up by ticker and maps them back to the CoinGecko id.
+ * Returns { [coinId]: { usd, change24h, marketCap } }
+ */
+async function getPrices(coins) {
+  const tickers = coins.map((c) => c.symbol).join(",");
+  const url = `${BASE_URL}/data/pricemultifull?fsyms=${encodeURIComponent(
+    tickers
+  )}&tsyms=USD`;
+
+  const data = await fetchJson(url, { headers: authHeaders() });
+  if (data?.Response === "Error") {
+    throw new Error(`CryptoCompare error: ${data.Message}`);
+  }
+
+  const result = {};
+  for (const coin of coins) {
+    const row = data?.RAW?.[coin.symbol]?.USD;
+    if (!row || typeof row.PRICE !== "number") continue;
+
+    result[coin.coingeckoId] = {
+      usd: row.PRICE,
+      change24h: row.CHANGEPCT24HOUR ?? null,
+      marketCap: row.MKTCAP ?? null,
+    };
+  }
+  return result;
+}
+
+/**
+ * Hourly historical USD prices (close of each hour) between two timestamps (ms).
+ * Limited to the last MAX_HOURS hours before `toMs`.
+ * Returns [{ ts, price }] oldest first.
+ */
+async function getHistory(coin, fromMs, toMs) {
+  const hours = Math.ceil((toMs - fromMs) / (60 * 60 * 1000));
+  const limit = Math.max(1, Math.min(hours, MAX_HOURS));
+  const url = `${BASE_URL}/data/v2/histohour?fsym=${encodeURIComponent(
+    coin.symbol
+  )}&tsym=USD&limit=${limit}&toTs=${Math.floor(toMs / 1000)}`;
+
+  const data = await fetchJson(url, { headers: authHeaders() });
+  if (data?.Response === "Error") {
+    throw new Error(`CryptoCompare error: ${data.Message}`);
+  }
+
+  return (data?.Data?.Data || [])
+    .map((row) => ({ ts: row.time * 1000, price: row.close }))
+    .filter((p) => p.ts >= fromMs && p.ts <= toMs && p.price > 0);
+}
+
+module.exports = {
+  name: "cryptocompare",
+  getPrices,
+  getHistory,
+};
@@ -0,0 +1,114 @@
+// server/services/marketData/providers/fixture.js
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * JSON fixture / replay provider.
+ * Lets staging and tests run fully offline against recorded data.
+ *
+ * File format (MARKET_FIXTURE_FILE, default fixtures/prices.json):
+ * {
+ *   "snapshots": [
+ *     { "at": "<iso date>", "prices": { "bitcoin": { "usd": 65000, "change24h": 1.2, "marketCap": 1.28e12 } } },
+ *     ...
+ *   ]
+ * }
+ *
+ * Every call returns the next snapshot and wraps around at the end,
+ * so a recorded session is replayed in a loop.
+ */
+const DEFAULT_FILE = path.join(__dirname, "../../../fixtures/prices.json");
+const DEFAULT_HISTORY_FILE = path.join(
+  __dirname,
+  "../../../fixtures/history.json"
+);
+
+let snapshots = null;
+let cursor = 0;
+let historyPoints = null;
+
+function fixtureFile() {
+  return process.env.MARKET_FIXTURE_FILE || DEFAULT_FILE;
+}
+
+async function loadSnapshots() {
+  if (snapshots) return snapshots;
+
+  const raw = await fs.readFile(fixtureFile(), "utf8");
+  const parsed = JSON.parse(raw);
+  const list = Array.isArray(parsed.snapshots) ? parsed.snapshots : [];
+
+  if (list.length === 0) {
+    throw new Error(`Fixture file has no snapshots: ${fixtureFile()}`);
+  }
+
+  snapshots = list;
+  return snapshots;
+}
+
+async function getPrices(coins) {
+  const list = await loadSnapshots();
+  const snapshot = list[cursor % list.length];
+  cursor += 1;
+
+  const result = {};
+  for (const coin of coins) {
+    const row = snapshot.prices?.[coin.coingeckoId];
+    if (!row || typeof row.usd !== "number") continue;
+
+    result[coin.coingeckoId] = {
+      usd: row.usd,
+      change24h: row.change24h ?? null,
+      marketCap: row.marketCap ?? null,
+    };
+  }
+  return result;
+}
+
+/**
+ * Historical prices from MARKET_FIXTURE_HISTORY_FILE
+ * (default fixtures/history.json, format { "points": { "<coinId>": [[ts, price], ...] } }).
+ * The recorded series is shifted so its last point lands on `toMs`,
+ * which keeps "last 7 days" style queries meaningful offline.
+ * Returns [{ ts, price }] oldest first.
+ */
+async function getHistory(coin, fromMs, toMs) {
+  if (!historyPoints) {
+    const file =
+      process.env.MARKET_FIXTURE_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+    historyPoints = JSON.parse(await fs.readFile(file, "utf8")).points || {};
+  }
+
+  const series = historyPoints[coin.coingeckoId] || [];
+  if (series.length === 0) {
+    throw new Error(`No fixture history for ${coin.coingeckoId}`);
+  }
+
+  const shift = toMs - series[series.length - 1][0];
+  return series
+    .map(([ts, price]) => ({ ts: ts + shift, price }))
+    .filter((p) => p.ts >= fromMs && p.ts <= toMs);
+}
+
+/**
+ * Appends a live snapshot to a fixture file (used by MARKET_FIXTURE_RECORD).
+ */
+async function recordSnapshot(file, prices) {
+  let data = { snapshots: [] };
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+    if (!Array.isArray(data.snapshots)) data.snapshots = [];
+  } catch (err) {
+    // missing or unreadable file -> start a fresh recording
+  }
+
+  data.snapshots.push({ at: new Date().toISOString(), prices });
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+  name: "fixture",
+  getPrices,
+  getHistory,
+  recordSnapshot,
+};
@@ -0,0 +1,396 @@
+// server/services/memes/index.js
+const Meme = require("../../models/Meme");
+const MemeView = require("../../models/MemeView");
+const Feedback = require("../../models/Feedback");
+const Notification = require("../../models/Notification");
+const memeApi = require("./sources/memeApi");
+const { allowedSubreddits, urlKey, rejectReason } = require("./safety");
+const { getCache, ttlFor } = require("../cache");
+const { track } = require("../providerHealth");
+const { badRequest, conflict, notFound } = require("../errors");
+const { createLogger } = require("../logger");
+
+const log = createLogger({ component: "memes" });
+
+// Curated meme store: memes are ingested from allowed subreddits or
+// submitted by users (moderated), filtered for safety, deduplicated by
+// image, ranked by "meme" feedback and never shown twice to a user
+// until they have seen them all.
+
+// Shown when the store has no approved meme yet
+const FALLBACK_MEME = {
+  id: null,
+  title: "Fallback meme 😅",
+  url: "https://i.imgflip.com/30b1gx.jpg",
+  postLink: "https://imgflip.com/i/30b1gx",
+  subreddit: "memes",
+};
+
+// Submissions a user can have waiting for review at once
+const MAX_PENDING = Number(process.env.MEME_MAX_PENDING) || 5;
+
+// Unseen memes considered when picking one for a user
+const CANDIDATES = 200;
+
+// Shape shown on the dashboard
+function toPublic(doc) {
+  return {
+    id: doc._id,
+    title: doc.title,
+    url: doc.url,
+    postLink: doc.postLink || null,
+    subreddit: doc.subreddit,
+  };
+}
+
+// Shape shown to the submitter and to moderators
+function toSubmission(doc) {
+  return {
+    ...toPublic(doc),
+    origin: doc.origin,
+    status: doc.status,
+    rejectReason: doc.rejectReason || "",
+    createdAt: doc.createdAt,
+    reviewedAt: doc.reviewedAt || null,
+  };
+}
+
+// -------------------- INGESTION --------------------
+
+async function ingest() {
+  const posts = [];
+  for (const subreddit of allowedSubreddits()) {
+    try {
+      posts.push(
+        ...(await track("meme", memeApi.name, () =>
+          memeApi.getMemes(subreddit)
+        ))
+      );
+    } catch (err) {
+      log.warn("subreddit failed", { subreddit, error: err.message });
+    }
+  }
+
+  let rejected = 0;
+  const fresh = [];
+  const keys = new Set();
+  for (const post of posts) {
+    const key = urlKey(post.url);
+    if (rejectReason(post, { fromReddit: true }) || !key) {
+      rejected += 1;
+      continue;
+    }
+    if (keys.has(key)) continue; // cross-posted in two subreddits
+    keys.add(key);
+    fresh.push({ ...post, urlKey: key });
+  }
+
+  // one query for everything already stored (same image or same post),
+  // rejected submissions included: reddit does not bring them back
+  const existing = await Meme.find({
+    $or: [
+      { urlKey: { $in: fresh.map((m) => m.urlKey) } },
+      { postLink: { $in: fresh.map((m) => m.postLink).filter(Boolean) } },
+    ],
+  })
+    .select("urlKey postLink")
+    .lean();
+  const known = new Set(existing.flatMap((m) => [m.urlKey, m.postLink]));
+
+  let added = 0;
+  for (const post of fresh) {
+    if (known.has(post.urlKey) || known.has(post.postLink)) continue;
+
+    try {
+      await Meme.create({
+        title: post.title,
+        url: post.url,
+        urlKey: post.urlKey,
+        postLink: post.postLink || undefined,
+        subreddit: post.subreddit,
+        author: post.author,
+        origin: "reddit",
+        status: "approved",
+      });
+      added += 1;
+    } catch (err) {
+      // stored meanwhile by a submission: nothing to do
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  return {
+    fetched: posts.length,
+    added,
+    rejected,
+    duplicates: posts.length - rejected - added,
+  };
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Reads every allowed subreddit once and stores the new safe memes.
+ * Returns { fetched, added, rejected, duplicates }, or null when another
+ * ingestion is still running.
+ */
+async function ingestMemes() {
+  if (running) return null;
+  running = true;
+  try {
+    const result = await ingest();
+    if (result.added > 0) {
+      log.info("stored memes", { added: result.added });
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Ingests right away and then every MEME_INGEST_MIN minutes (default 60).
+ * MEME_WORKER=off disables it.
+ */
+function startMemeWorker() {
+  if (timer || process.env.MEME_WORKER === "off") return;
+
+  const intervalMs = (Number(process.env.MEME_INGEST_MIN) || 60) * 60 * 1000;
+
+  const run = () =>
+    ingestMemes().catch((err) => log.error("ingestion failed", { err }));
+
+  run();
+  timer = setInterval(run, intervalMs);
+  log.info("worker running", { intervalMin: intervalMs / 60000 });
+}
+
+function stopMemeWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// -------------------- PICKING --------------------
+
+// Likes/dislikes per voted meme (itemId is the meme id, or its image
+// url for older votes), shared by all users (cached)
+async function voteCounts() {
+  const rows = await Feedback.aggregate([
+    { $match: { section: "meme" } },
+    {
+      $group: {
+        _id: "$itemId",
+        likes: { $sum: { $cond: [{ $eq: ["$vote", 1] }, 1, 0] } },
+        dislikes: { $sum: { $cond: [{ $eq: ["$vote", -1] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const counts = {};
+  for (const r of rows) {
+    counts[r._id] = { likes: r.likes, dislikes: r.dislikes };
+  }
+  return counts;
+}
+
+function voteCountsCached() {
+  return getCache().wrap("meme:votes", voteCounts, ttlFor("meme"));
+}
+
+// Smoothed like ratio: an unvoted meme scores 0.5, so new memes
+// get shown and one early dislike does not bury a meme
+function memeScore(meme, counts) {
+  const votes = counts[String(meme._id)] || counts[meme.url];
+  const likes = votes?.likes || 0;
+  const dislikes = votes?.dislikes || 0;
+  return (likes + 1) / (likes + dislikes + 2);
+}
+
+/**
+ * The best ranked approved meme the user has not seen yet (newest wins
+ * ties); once they have seen them all, the one seen longest ago.
+ * Records the view. Falls back to a built-in meme on an empty store.
+ */
+async function pickMemeForUser(userId) {
+  const seenIds = await MemeView.find({ userId }).distinct("memeId");
+
+  let meme = null;
+  const candidates = await Meme.find({
+    status: "approved",
+    _id: { $nin: seenIds },
+  })
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATES)
+    .lean();
+
+  if (candidates.length > 0) {
+    const counts = await voteCountsCached();
+    meme = candidates.reduce((best, m) =>
+      memeScore(m, counts) > memeScore(best, counts) ? m : best
+    );
+  } else {
+    const views = await MemeView.find({ userId })
+      .sort({ seenAt: 1 })
+      .limit(20)
+      .lean();
+    for (const view of views) {
+      meme = await Meme.findOne({
+        _id: view.memeId,
+        status: "approved",
+      }).lean();
+      if (meme) break;
+    }
+  }
+
+  if (!meme) return FALLBACK_MEME;
+
+  await MemeView.updateOne(
+    { userId, memeId: meme._id },
+    { $set: { seenAt: new Date() } },
+    { upsert: true }
+  );
+  return toPublic(meme);
+}
+
+// -------------------- SUBMISSIONS & MODERATION --------------------
+
+/**
+ * Queues a user's meme for review.
+ * Throws MEME_REFUSED (safety filter, or an image a moderator rejected),
+ * MEME_QUEUE_LIMIT or MEME_EXISTS.
+ */
+async function submitMeme(userId, { title, url }) {
+  const reason = rejectReason({ title, url });
+  if (reason) {
+    throw badRequest(`Meme refused: ${reason}`, "MEME_REFUSED");
+  }
+
+  const pending = await Meme.countDocuments({ userId, status: "pending" });
+  if (pending >= MAX_PENDING) {
+    throw badRequest(
+      `You already have ${MAX_PENDING} memes waiting for review`,
+      "MEME_QUEUE_LIMIT"
+    );
+  }
+
+  // rejected memes keep their urlKey: a refused image stays refused
+  const key = urlKey(url);
+  const existing = await Meme.findOne({ urlKey: key }).select("status").lean();
+  if (existing?.status === "rejected") {
+    throw badRequest(
+      "Meme refused: this image was rejected by a moderator",
+      "MEME_REFUSED"
+    );
+  }
+  if (existing) {
+    throw conflict("This meme is already in the store", "MEME_EXISTS");
+  }
+
+  const doc = await Meme.create({
+    title,
+    url,
+    urlKey: key,
+    origin: "user",
+    userId,
+    status: "pending",
+  });
+  return toSubmission(doc);
+}
+
+async function listMemes(filter, { page = 1, limit = 20 }) {
+  const [docs, total] = await Promise.all([
+    Meme.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Meme.countDocuments(filter),
+  ]);
+
+  return {
+    items: docs.map(toSubmission),
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+  };
+}
+
+/**
+ * The user's submissions, newest first. Returns a page.
+ */
+function listSubmissions(userId, options = {}) {
+  return listMemes({ userId }, options);
+}
+
+/**
+ * Moderation queue (default: pending submissions), newest first.
+ */
+function listQueue({ status = "pending", ...options } = {}) {
+  return listMemes({ origin: "user", status }, options);
+}
+
+/**
+ * Approves or rejects a pending submission and tells the submitter.
+ * Throws MEME_NOT_PENDING for ingested or already reviewed memes.
+ */
+async function reviewMeme(reviewerId, id, { status, reason = "" }) {
+  const current = await Meme.findById(id).select("origin status").lean();
+  if (!current) {
+    throw notFound("Meme");
+  }
+  if (current.origin !== "user" || current.status !== "pending") {
+    throw conflict(
+      "Only pending submissions can be reviewed",
+      "MEME_NOT_PENDING"
+    );
+  }
+
+  // the filter again: another admin may have reviewed it meanwhile
+  const meme = await Meme.findOneAndUpdate(
+    { _id: id, origin: "user", status: "pending" },
+    {
+      $set: {
+        status,
+        rejectReason: status === "rejected" ? reason : "",
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!meme) {
+    throw conflict(
+      "Only pending submissions can be reviewed",
+      "MEME_NOT_PENDING"
+    );
+  }
+
+  if (meme.userId) {
+    await Notification.create({
+      userId: meme.userId,
+      type: "meme",
+      title:
+        status === "approved"
+          ? "Your meme was approved"
+          : "Your meme was not approved",
+      body: status === "rejected" && reason ? reason : meme.title,
+      data: { memeId: meme._id, status },
+    });
+  }
+
+  return toSubmission(meme);
+}
+
+module.exports = {
+  FALLBACK_MEME,
+  ingestMemes,
+  startMemeWorker,
+  stopMemeWorker,
+  pickMemeForUser,
+  submitMeme,
+  listSubmissions,
+  listQueue,
+  reviewMeme,
+};
@@ -0,0 +1,94 @@
+// server/services/memes/safety.js
+
+// Safety filter shared by ingestion and user submissions.
+// Returns the reason a meme is refused, or null when it may be shown.
+
+// Subreddits memes are ingested from (MEME_SUBREDDITS, comma-separated)
+const DEFAULT_SUBREDDITS = [
+  "cryptocurrencymemes",
+  "bitcoinmemes",
+  "cryptomemes",
+  "ethtrader",
+];
+
+// Title words that always refuse a meme; extend with MEME_BLOCKED_WORDS
+const BLOCKED_WORDS = [
+  "nsfw",
+  "nsfl",
+  "porn",
+  "nude",
+  "nudes",
+  "onlyfans",
+  "hentai",
+  "gore",
+  "xxx",
+  "sex",
+];
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp)$/i;
+
+function allowedSubreddits() {
+  const list = process.env.MEME_SUBREDDITS;
+  const names = list ? list.split(",") : DEFAULT_SUBREDDITS;
+  return names.map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function blockedWords() {
+  const extra = (process.env.MEME_BLOCKED_WORDS || "")
+    .split(",")
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...BLOCKED_WORDS, ...extra]);
+}
+
+// Image url without query string / fragment: the same picture served
+// with different tracking params counts once
+function urlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host.toLowerCase()}${parsed.pathname}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isImageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return (
+      (parsed.protocol === "https:" || parsed.protocol === "http:") &&
+      IMAGE_EXTENSIONS.test(parsed.pathname)
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reason `meme` ({ title, url, subreddit?, nsfw?, spoiler? }) is refused,
+ * or null. `fromReddit` also requires an allowed subreddit.
+ */
+function rejectReason(meme, { fromReddit = false } = {}) {
+  if (meme.nsfw) return "marked NSFW";
+  if (meme.spoiler) return "marked as spoiler";
+  if (!isImageUrl(meme.url)) return "not a direct image link";
+
+  if (
+    fromReddit &&
+    !allowedSubreddits().includes((meme.subreddit || "").toLowerCase())
+  ) {
+    return `subreddit r/${meme.subreddit} is not allowed`;
+  }
+
+  const blocked = blockedWords();
+  const words = (meme.title || "").toLowerCase().split(/[^a-z0-9]+/);
+  if (words.some((w) => blocked.has(w))) return "title contains a blocked word";
+
+  return null;
+}
+
+module.exports = {
+  allowedSubreddits,
+  urlKey,
+  rejectReason,
+};
@@ -0,0 +1,32 @@
+// server/services/memes/sources/memeApi.js
+const { fetchJson } = require("../../http");
+
+const BASE_URL = process.env.MEME_API_BASE_URL || "https://meme-api.com";
+
+// Posts asked for per subreddit and ingestion (the API allows up to 50)
+const BATCH_SIZE = 25;
+
+/**
+ * Recent posts of one subreddit via meme-api.com.
+ * Returns [{ title, url, postLink, subreddit, author, nsfw, spoiler }]
+ */
+async function getMemes(subreddit) {
+  const data = await fetchJson(
+    `${BASE_URL}/gimme/${encodeURIComponent(subreddit)}/${BATCH_SIZE}`
+  );
+
+  return (data?.memes || []).map((m) => ({
+    title: m.title,
+    url: m.url,
+    postLink: m.postLink,
+    subreddit: m.subreddit,
+    author: m.author || "",
+    nsfw: Boolean(m.nsfw),
+    spoiler: Boolean(m.spoiler),
+  }));
+}
+
+module.exports = {
+  name: "meme-api",
+  getMemes,
+};
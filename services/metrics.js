@@ -0,0 +1,157 @@
+// server/services/metrics.js
+
+// In-process counters and latency histograms, exposed in the Prometheus
+// text format on GET /metrics. Values reset when the server restarts.
+
+// Latency buckets in seconds (upper bounds)
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = new Map(); // name -> { type, help, series: Map(key -> series) }
+
+function define(name, type, help) {
+  metrics.set(name, { type, help, series: new Map() });
+}
+
+define(
+  "http_requests_total",
+  "counter",
+  "HTTP requests by method, route and status code"
+);
+define(
+  "http_request_duration_seconds",
+  "histogram",
+  "HTTP request latency by method and route"
+);
+define(
+  "upstream_requests_total",
+  "counter",
+  "Upstream provider calls by kind, provider and outcome"
+);
+define(
+  "upstream_request_duration_seconds",
+  "histogram",
+  "Upstream provider call latency by kind and provider"
+);
+
+function seriesFor(name, labels, init) {
+  const metric = metrics.get(name);
+  const key = JSON.stringify(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+  return metric.series.get(key);
+}
+
+function inc(name, labels) {
+  seriesFor(name, labels, () => ({ value: 0 })).value += 1;
+}
+
+function observe(name, labels, seconds) {
+  const s = seriesFor(name, labels, () => ({
+    counts: BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+  BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) s.counts[i] += 1;
+  });
+  s.sum += seconds;
+  s.count += 1;
+}
+
+/**
+ * One finished HTTP request. `route` is the route pattern
+ * (e.g. "/watchlists/:id"), never the raw path, to keep label counts low.
+ */
+function recordHttpRequest({ method, route, status, durationMs }) {
+  inc("http_requests_total", { method, route, status: String(status) });
+  observe(
+    "http_request_duration_seconds",
+    { method, route },
+    durationMs / 1000
+  );
+}
+
+/**
+ * One upstream call (see providerHealth.track).
+ */
+function recordUpstreamCall({ kind, provider, ok, durationMs }) {
+  inc("upstream_requests_total", {
+    kind,
+    provider,
+    outcome: ok ? "success" : "failure",
+  });
+  observe(
+    "upstream_request_duration_seconds",
+    { kind, provider },
+    durationMs / 1000
+  );
+}
+
+// -------------------- EXPOSITION --------------------
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([k, v]) => `${k}="${escapeLabel(v)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function renderSeries(name, type, s) {
+  if (type === "counter" || type === "gauge") {
+    return [`${name}${formatLabels(s.labels)} ${s.value}`];
+  }
+
+  // bucket counts are cumulative (observe() bumps every bound >= value)
+  return [
+    ...BUCKETS.map(
+      (bound, i) =>
+        `${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`
+    ),
+    `${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`,
+    `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+    `${name}_count${formatLabels(s.labels)} ${s.count}`,
+  ];
+}
+
+/**
+ * Every metric in the Prometheus text exposition format (version 0.0.4).
+ */
+function renderMetrics() {
+  const memory = process.memoryUsage();
+  const gauges = [
+    [
+      "process_uptime_seconds",
+      "Seconds since the server started",
+      process.uptime(),
+    ],
+    ["process_resident_memory_bytes", "Resident memory size", memory.rss],
+    ["nodejs_heap_used_bytes", "V8 heap in use", memory.heapUsed],
+  ];
+
+  const lines = [];
+  for (const [name, help, value] of gauges) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    lines.push(...renderSeries(name, "gauge", { labels: {}, value }));
+  }
+
+  for (const [name, { type, help, series }] of metrics) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const s of series.values()) {
+      lines.push(...renderSeries(name, type, s));
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  recordHttpRequest,
+  recordUpstreamCall,
+  renderMetrics,
+};
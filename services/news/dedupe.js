@@ -0,0 +1,72 @@
+// server/services/news/dedupe.js
+
+// Spots the same story published by several outlets. Headlines are
+// reduced to their significant words and compared with Jaccard
+// similarity (shared words / all words).
+
+// Similarity from which two headlines count as the same story
+const THRESHOLD = Number(process.env.NEWS_DEDUPE_THRESHOLD) || 0.6;
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "as",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "its",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+// "Bitcoin's price surges!" -> ["bitcoin", "pric", "surg"]
+function titleTokens(title) {
+  const words = (title || "")
+    .toLowerCase()
+    .replace(/['’]s\b/g, "")
+    .split(/[^a-z0-9$]+/)
+    .filter((w) => w && !STOPWORDS.has(w))
+    // crude stem so "surges"/"surged"/"surge" compare equal
+    .map((w) => (w.length > 4 ? w.replace(/(ing|ed|es|s|e)$/, "") : w));
+  return [...new Set(words)];
+}
+
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter((w) => setB.has(w)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * The most similar of `candidates` ([{ titleTokens, ... }]) when it is
+ * at least THRESHOLD similar to `tokens`, else null.
+ */
+function findDuplicate(tokens, candidates) {
+  let best = null;
+  let bestScore = THRESHOLD;
+
+  for (const candidate of candidates) {
+    const score = similarity(tokens, candidate.titleTokens || []);
+    if (score >= bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  titleTokens,
+  similarity,
+  findDuplicate,
+};
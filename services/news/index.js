@@ -0,0 +1,301 @@
+// server/services/news/index.js
+const NewsArticle = require("../../models/NewsArticle");
+const cryptocompare = require("./sources/cryptocompare");
+const rss = require("./sources/rss");
+const { scoreSentiment } = require("./sentiment");
+const { titleTokens, findDuplicate } = require("./dedupe");
+const { getAssets, detectAssets } = require("../assetRegistry");
+const { track } = require("../providerHealth");
+const { createLogger } = require("../logger");
+
+const log = createLogger({ component: "news" });
+
+// Ingestion pipeline: every source is read, articles are normalized,
+// tagged (assets + sentiment), folded into an earlier copy of the same
+// story when there is one, and stored in NewsArticle.
+
+const SOURCES = {
+  [cryptocompare.name]: cryptocompare,
+  [rss.name]: rss,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stored snippet length (characters)
+const SNIPPET_LENGTH = 300;
+
+// Only stories this recent are compared when deduplicating
+function dedupeWindowMs() {
+  return (Number(process.env.NEWS_DEDUPE_HOURS) || 48) * HOUR_MS;
+}
+
+/**
+ * Sources from config; unlike prices they are all read and merged.
+ * NEWS_SOURCES=cryptocompare,rss (default)
+ */
+function getNewsSources() {
+  const names = (process.env.NEWS_SOURCES || "cryptocompare,rss")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  const sources = [];
+  for (const name of names) {
+    if (!SOURCES[name]) {
+      log.warn("unknown news source, skipping", { source: name });
+      continue;
+    }
+    sources.push(SOURCES[name]);
+  }
+  return sources;
+}
+
+function toSnippet(text) {
+  if (!text || text.length <= SNIPPET_LENGTH) return text || "";
+  return `${text.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, "")}…`;
+}
+
+// Shape returned by the API and used by the dashboard ranking
+function toPublic(doc) {
+  return {
+    id: doc._id,
+    title: doc.title,
+    url: doc.url,
+    source: doc.source,
+    snippet: doc.snippet,
+    imageUrl: doc.imageUrl,
+    publishedAt: doc.publishedAt.toISOString(),
+    assets: doc.assets || [],
+    sentiment: doc.sentiment,
+    alsoReportedBy: doc.alsoReportedBy || [],
+  };
+}
+
+// -------------------- INGESTION --------------------
+
+async function fetchAll() {
+  const articles = [];
+  for (const source of getNewsSources()) {
+    try {
+      const items = await track("news", source.name, () =>
+        source.getArticles()
+      );
+      articles.push(...items.map((a) => ({ ...a, provider: source.name })));
+    } catch (err) {
+      log.warn("source failed", { source: source.name, error: err.message });
+    }
+  }
+  return articles;
+}
+
+async function ingest(now) {
+  const [incoming, registry] = await Promise.all([fetchAll(), getAssets()]);
+
+  const recent = await NewsArticle.find({
+    publishedAt: { $gte: new Date(now - dedupeWindowMs()) },
+  })
+    .select("url titleTokens alsoReportedBy")
+    .lean();
+  const knownUrls = new Set(
+    recent.flatMap((a) => [a.url, ...a.alsoReportedBy.map((r) => r.url)])
+  );
+
+  let added = 0;
+  let merged = 0;
+
+  // oldest first, so the first outlet to publish a story keeps it
+  const valid = incoming
+    .filter((a) => a.title && a.url)
+    .map((a) => ({ ...a, publishedAt: a.publishedAt || new Date(now) }))
+    .sort((a, b) => a.publishedAt - b.publishedAt);
+
+  for (const article of valid) {
+    if (knownUrls.has(article.url)) continue; // same link in two feeds
+    knownUrls.add(article.url);
+
+    const tokens = titleTokens(article.title);
+    const duplicate = findDuplicate(tokens, recent);
+    if (duplicate) {
+      const also = { source: article.source, url: article.url };
+      await NewsArticle.updateOne(
+        { _id: duplicate._id },
+        { $push: { alsoReportedBy: also } }
+      );
+      duplicate.alsoReportedBy.push(also);
+      merged += 1;
+      continue;
+    }
+
+    const snippet = toSnippet(article.snippet);
+    const doc = {
+      url: article.url,
+      title: article.title,
+      source: article.source,
+      provider: article.provider,
+      snippet,
+      imageUrl: article.imageUrl || null,
+      publishedAt: article.publishedAt,
+      assets: detectAssets(`${article.title} ${snippet}`, registry),
+      sentiment: scoreSentiment(article.title, snippet),
+      titleTokens: tokens,
+    };
+
+    // upsert: older stories outside the dedupe window may share the url
+    const result = await NewsArticle.updateOne(
+      { url: doc.url },
+      { $setOnInsert: doc },
+      { upsert: true }
+    );
+    if (result.upsertedId) {
+      recent.push({ _id: result.upsertedId, ...doc, alsoReportedBy: [] });
+      added += 1;
+    }
+  }
+
+  return { fetched: incoming.length, added, merged };
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * Reads every source once and stores what is new.
+ * Returns { fetched, added, merged } (merged = folded into an
+ * existing story as another source reporting it), or null when
+ * another ingestion is still running.
+ */
+async function ingestNews(now = Date.now()) {
+  if (running) return null;
+  running = true;
+  try {
+    const result = await ingest(now);
+    if (result.added > 0 || result.merged > 0) {
+      log.info("stored articles", {
+        added: result.added,
+        merged: result.merged,
+      });
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+async function runIngestion() {
+  try {
+    await ingestNews();
+  } catch (err) {
+    log.error("ingestion failed", { err });
+  }
+}
+
+/**
+ * Ingests right away and then every NEWS_INGEST_MIN minutes (default 10).
+ * NEWS_WORKER=off disables it.
+ */
+function startNewsWorker() {
+  if (timer || process.env.NEWS_WORKER === "off") return;
+
+  const intervalMs = (Number(process.env.NEWS_INGEST_MIN) || 10) * 60 * 1000;
+
+  runIngestion();
+  timer = setInterval(runIngestion, intervalMs);
+  log.info("worker running", { intervalMin: intervalMs / 60000 });
+}
+
+function stopNewsWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// -------------------- QUERIES --------------------
+
+/**
+ * Newest stored articles (the dashboard feed).
+ * Never ingests: an empty store waits for the worker, which runs at start.
+ */
+async function getLatestArticles(limit = 100) {
+  const docs = await NewsArticle.find()
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .lean();
+  return docs.map(toPublic);
+}
+
+/**
+ * Paginated articles, newest first.
+ * Filters: asset (ticker), source (outlet name, case-insensitive),
+ * sentiment label, from/to (publish time).
+ * Returns { items, total, page, limit, pages }
+ */
+async function listNews({
+  asset,
+  source,
+  sentiment,
+  from,
+  to,
+  page = 1,
+  limit = 20,
+} = {}) {
+  const filter = {};
+  if (asset) filter.assets = asset;
+  if (source) {
+    const escaped = source.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.source = new RegExp(`^${escaped}$`, "i");
+  }
+  if (sentiment) filter["sentiment.label"] = sentiment;
+  if (from || to) {
+    filter.publishedAt = {};
+    if (from) filter.publishedAt.$gte = new Date(from);
+    if (to) filter.publishedAt.$lte = new Date(to);
+  }
+
+  const [docs, total] = await Promise.all([
+    NewsArticle.find(filter)
+      .sort({ publishedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    NewsArticle.countDocuments(filter),
+  ]);
+
+  return {
+    items: docs.map(toPublic),
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+  };
+}
+
+/**
+ * Outlets with stored articles, most active first (for the source filter).
+ */
+async function listNewsSources() {
+  const rows = await NewsArticle.aggregate([
+    { $group: { _id: "$source", articles: { $sum: 1 } } },
+    { $sort: { articles: -1, _id: 1 } },
+  ]);
+  return rows.map((r) => ({ source: r._id, articles: r.articles }));
+}
+
+/**
+ * A stored article by its url (or the url of another outlet's copy).
+ */
+async function findArticle(url) {
+  const doc = await NewsArticle.findOne({
+    $or: [{ url }, { "alsoReportedBy.url": url }],
+  }).lean();
+  return doc ? toPublic(doc) : null;
+}
+
+module.exports = {
+  getNewsSources,
+  ingestNews,
+  startNewsWorker,
+  stopNewsWorker,
+  getLatestArticles,
+  listNews,
+  listNewsSources,
+  findArticle,
+};
@@ -0,0 +1,132 @@
+// server/services/news/sentiment.js
+
+// Headline sentiment from a small market lexicon.
+// Cheap and deterministic: good enough to tag and filter headlines,
+// not a replacement for the AI insight.
+
+const POSITIVE = [
+  "adoption",
+  "all-time high",
+  "approval",
+  "approved",
+  "beat",
+  "boost",
+  "breakout",
+  "bull",
+  "bullish",
+  "climb",
+  "gain",
+  "growth",
+  "inflow",
+  "jump",
+  "launch",
+  "partnership",
+  "rally",
+  "record",
+  "rebound",
+  "recover",
+  "rise",
+  "soar",
+  "surge",
+  "upgrade",
+  "win",
+];
+
+const NEGATIVE = [
+  "ban",
+  "banned",
+  "bear",
+  "bearish",
+  "breach",
+  "crackdown",
+  "crash",
+  "decline",
+  "delay",
+  "drop",
+  "dump",
+  "exploit",
+  "fall",
+  "fear",
+  "fraud",
+  "hack",
+  "lawsuit",
+  "liquidation",
+  "loss",
+  "outflow",
+  "plunge",
+  "reject",
+  "scam",
+  "selloff",
+  "slump",
+  "sue",
+  "tumble",
+];
+
+// Words that flip the next lexicon hit ("not approved", "no rally")
+const NEGATIONS = new Set(["no", "not", "never", "without", "fails", "failed"]);
+
+// |score| needed for a bullish/bearish label
+const LABEL_THRESHOLD = 0.25;
+
+// "surge" also matches "surges", "surged", "surging";
+// "rally" also matches "rallies", "rallied"
+function inflections(word) {
+  if (word.endsWith("e")) return `${word.slice(0, -1)}(?:e|es|ed|ing)`;
+  if (word.endsWith("y")) return `${word.slice(0, -1)}(?:y|ies|ied|ying)`;
+  return `${word}(?:s|es|ed|ing)?`;
+}
+
+function stemMatcher(words) {
+  return new RegExp(`^(?:${words.map(inflections).join("|")})$`);
+}
+
+// multi-word phrases are checked on the raw text instead
+const POSITIVE_RE = stemMatcher(POSITIVE.filter((w) => !w.includes(" ")));
+const NEGATIVE_RE = stemMatcher(NEGATIVE);
+
+/**
+ * Scores a headline (plus optional snippet, weighted half).
+ * Returns { score, label } with score in [-1, 1] and label
+ * "bullish" | "bearish" | "neutral".
+ */
+function scoreSentiment(title, snippet = "") {
+  let positive = 0;
+  let negative = 0;
+
+  const count = (text, weight) => {
+    const lower = (text || "").toLowerCase();
+    if (lower.includes("all-time high") || lower.includes("all time high")) {
+      positive += weight;
+    }
+
+    const words = lower.split(/[^a-z-]+/).filter(Boolean);
+    words.forEach((word, i) => {
+      const negated = i > 0 && NEGATIONS.has(words[i - 1]);
+      let hit = 0;
+      if (POSITIVE_RE.test(word)) hit = 1;
+      else if (NEGATIVE_RE.test(word)) hit = -1;
+      if (negated) hit = -hit;
+
+      if (hit > 0) positive += weight;
+      if (hit < 0) negative += weight;
+    });
+  };
+
+  count(title, 1);
+  count(snippet, 0.5);
+
+  // +1 damps single hits: one "surge" is 0.5, two agreeing words 0.67
+  const score = Number(
+    ((positive - negative) / (positive + negative + 1)).toFixed(2)
+  );
+
+  let label = "neutral";
+  if (score >= LABEL_THRESHOLD) label = "bullish";
+  if (score <= -LABEL_THRESHOLD) label = "bearish";
+
+  return { score, label };
+}
+
+module.exports = {
+  scoreSentiment,
+};
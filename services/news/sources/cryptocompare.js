@@ -0,0 +1,43 @@
+// server/services/news/sources/cryptocompare.js
+const { fetchJson } = require("../../http");
+
+const BASE_URL =
+  process.env.CRYPTOCOMPARE_BASE_URL || "https://min-api.cryptocompare.com";
+
+function authHeaders() {
+  const headers = {
+    "User-Agent": "crypto-advisor-server/1.0",
+  };
+  // CryptoCompare expects Authorization with `Apikey <key>`
+  if (process.env.CRYPTOCOMPARE_API_KEY) {
+    headers.Authorization = `Apikey ${process.env.CRYPTOCOMPARE_API_KEY}`;
+  }
+  return headers;
+}
+
+/**
+ * CryptoCompare news feed (latest English articles).
+ * Returns [{ title, url, source, snippet, imageUrl, publishedAt }]
+ */
+async function getArticles() {
+  const data = await fetchJson(`${BASE_URL}/data/v2/news/?lang=EN`, {
+    headers: authHeaders(),
+  });
+  if (data?.Response === "Error") {
+    throw new Error(`CryptoCompare error: ${data.Message}`);
+  }
+
+  return (data?.Data || []).map((item) => ({
+    title: item.title,
+    url: item.url,
+    source: item.source_info?.name || item.source || "",
+    snippet: item.body || "",
+    imageUrl: item.imageurl || null,
+    publishedAt: item.published_on ? new Date(item.published_on * 1000) : null,
+  }));
+}
+
+module.exports = {
+  name: "cryptocompare",
+  getArticles,
+};
@@ -0,0 +1,201 @@
+// server/services/news/sources/rss.js
+const { fetchText } = require("../../http");
+const { createLogger } = require("../../logger");
+
+const log = createLogger({ component: "news" });
+
+// Feeds read when NEWS_RSS_FEEDS is not set (comma-separated URLs)
+const DEFAULT_FEEDS = [
+  "https://www.coindesk.com/arc/outboundfeeds/rss/",
+  "https://cointelegraph.com/rss",
+  "https://decrypt.co/feed",
+];
+
+function feedUrls() {
+  const list = process.env.NEWS_RSS_FEEDS;
+  if (!list) return DEFAULT_FEEDS;
+  return list
+    .split(",")
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+// -------------------- MINIMAL XML READING --------------------
+// Feeds only need a handful of fields, so a few patterns do instead of a
+// full XML parser. Handles CDATA, entities and namespaced tags (media:).
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function unwrapCdata(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+}
+
+// Plain text of an HTML fragment, whitespace collapsed
+function toPlainText(html) {
+  let text = unwrapCdata(html);
+  // RSS descriptions often carry escaped HTML ("&lt;p&gt;...")
+  if (!text.includes("<") && /&lt;/i.test(text)) text = decodeEntities(text);
+
+  return decodeEntities(text.replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeTag(tag) {
+  return tag.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Raw inner XML of the first <tag>...</tag>
+function innerOf(xml, tag) {
+  const t = escapeTag(tag);
+  const match = xml.match(
+    new RegExp(`<${t}(?:\\s[^>]*)?>([\\s\\S]*?)</${t}>`, "i")
+  );
+  return match ? match[1] : null;
+}
+
+// Attribute of the first <tag ...> (self-closing or not)
+function attrOf(xml, tag, attr, filter = () => true) {
+  const pattern = new RegExp(`<${escapeTag(tag)}\\s[^>]*>`, "gi");
+  for (const [element] of xml.matchAll(pattern)) {
+    const value = element.match(new RegExp(`\\s${attr}=["']([^"']*)["']`, "i"));
+    if (value && filter(element)) return decodeEntities(value[1]);
+  }
+  return null;
+}
+
+function blocks(xml, tag) {
+  const pattern = new RegExp(
+    `<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`,
+    "gi"
+  );
+  return [...xml.matchAll(pattern)].map((m) => m[1]);
+}
+
+function parseDate(text) {
+  const date = text ? new Date(toPlainText(text)) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+function imageOf(xml, html) {
+  return (
+    attrOf(
+      xml,
+      "media:content",
+      "url",
+      (el) => !/medium=["']video/i.test(el)
+    ) ||
+    attrOf(xml, "media:thumbnail", "url") ||
+    attrOf(xml, "enclosure", "url", (el) => /type=["']image\//i.test(el)) ||
+    (html && attrOf(decodeEntities(unwrapCdata(html)), "img", "src"))
+  );
+}
+
+// -------------------- FEED FORMATS --------------------
+
+/**
+ * Articles of an RSS 2.0 or Atom document.
+ * Returns [{ title, url, source, snippet, imageUrl, publishedAt }]
+ */
+function parseFeed(xml) {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+
+  if (isAtom) {
+    const source = toPlainText(
+      innerOf(xml.split(/<entry[\s>]/i)[0], "title") || ""
+    );
+    return blocks(xml, "entry").map((entry) => {
+      const html = innerOf(entry, "summary") || innerOf(entry, "content") || "";
+      return {
+        title: toPlainText(innerOf(entry, "title") || ""),
+        url:
+          attrOf(
+            entry,
+            "link",
+            "href",
+            (el) => !/rel=["'](?!alternate)/i.test(el)
+          ) || null,
+        source,
+        snippet: toPlainText(html),
+        imageUrl: imageOf(entry, html),
+        publishedAt: parseDate(
+          innerOf(entry, "published") || innerOf(entry, "updated")
+        ),
+      };
+    });
+  }
+
+  const channel = innerOf(xml, "channel") || xml;
+  const source = toPlainText(
+    innerOf(channel.split(/<item[\s>]/i)[0], "title") || ""
+  );
+  return blocks(channel, "item").map((item) => {
+    const html =
+      innerOf(item, "description") || innerOf(item, "content:encoded") || "";
+    return {
+      title: toPlainText(innerOf(item, "title") || ""),
+      url:
+        toPlainText(innerOf(item, "link") || innerOf(item, "guid") || "") ||
+        null,
+      source,
+      snippet: toPlainText(html),
+      imageUrl: imageOf(item, html),
+      publishedAt: parseDate(
+        innerOf(item, "pubDate") || innerOf(item, "dc:date")
+      ),
+    };
+  });
+}
+
+/**
+ * Articles of every configured feed. A broken feed is skipped;
+ * this only throws when no feed could be read.
+ */
+async function getArticles() {
+  const urls = feedUrls();
+  const articles = [];
+  let failures = 0;
+
+  for (const url of urls) {
+    try {
+      const xml = await fetchText(url, {
+        headers: { "User-Agent": "crypto-advisor-server/1.0" },
+      });
+      articles.push(...parseFeed(xml));
+    } catch (err) {
+      failures += 1;
+      log.warn("RSS feed failed", { feed: url, error: err.message });
+    }
+  }
+
+  if (urls.length > 0 && failures === urls.length) {
+    throw new Error("no RSS feed could be read");
+  }
+  return articles;
+}
+
+module.exports = {
+  name: "rss",
+  getArticles,
+  parseFeed,
+};
@@ -0,0 +1,216 @@
+// server/services/newsRanking.js
+
+// Per-user news ranking from "news" Feedback history.
+// Every vote contributes to three affinities, decayed by age:
+// - source affinity   (liked/disliked stories from the same outlet)
+// - keyword affinity  (words of the voted headlines)
+// - asset affinity    (assets the voted headlines mentioned)
+
+const HALF_LIFE_DAYS = Number(process.env.NEWS_FEEDBACK_HALF_LIFE_DAYS) || 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each signal weighs in the final score
+const WEIGHTS = {
+  asset: 2, // mentions one of the user's chosen assets
+  source: 1,
+  keyword: 1,
+  assetAffinity: 0.5,
+  recency: 0.5,
+};
+
+const STOPWORDS = new Set([
+  "about",
+  "after",
+  "amid",
+  "could",
+  "from",
+  "have",
+  "into",
+  "more",
+  "over",
+  "says",
+  "than",
+  "that",
+  "their",
+  "there",
+  "this",
+  "will",
+  "with",
+  "what",
+  "when",
+  "where",
+  "which",
+  "while",
+  "would",
+  "your",
+]);
+
+function keywords(title) {
+  return (title || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 4 && !STOPWORDS.has(w));
+}
+
+// 1 for a vote right now, 0.5 after HALF_LIFE_DAYS, ...
+function decay(date, now) {
+  const ageDays = Math.max(0, (now - new Date(date)) / DAY_MS);
+  return Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+}
+
+function addTo(map, key, value) {
+  map.set(key, (map.get(key) || 0) + value);
+}
+
+/**
+ * Builds an affinity profile from the user's news Feedback docs.
+ * Votes without stored context (older ones) only count as "seen".
+ */
+function buildProfile(feedback, now = Date.now()) {
+  const profile = {
+    sources: new Map(),
+    keywords: new Map(),
+    assets: new Map(),
+    sourceVotes: new Map(), // raw like counts, used for reasons
+    votes: new Map(), // itemId -> vote
+  };
+
+  for (const fb of feedback) {
+    profile.votes.set(fb.itemId, fb.vote);
+
+    const ctx = fb.context || {};
+    const w = fb.vote * decay(fb.updatedAt || fb.createdAt, now);
+
+    if (ctx.source) {
+      addTo(profile.sources, ctx.source, w);
+      addTo(profile.sourceVotes, ctx.source, fb.vote);
+    }
+    for (const word of keywords(ctx.title)) {
+      addTo(profile.keywords, word, w);
+    }
+    for (const asset of ctx.assets || []) {
+      addTo(profile.assets, asset, w);
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Scores one article. Returns { score, reasons } where reasons are
+ * { weight, text } pairs for the signals that moved the score.
+ */
+function scoreArticle(article, profile, userAssets, now = Date.now()) {
+  const reasons = [];
+  let score = 0;
+
+  const mentioned = (article.assets || []).filter((a) =>
+    userAssets.includes(a)
+  );
+  if (mentioned.length > 0) {
+    const s = WEIGHTS.asset;
+    score += s;
+    reasons.push({ weight: s, text: `Mentions ${mentioned.join(", ")}` });
+  }
+
+  const sourceAffinity = profile.sources.get(article.source) || 0;
+  if (sourceAffinity !== 0) {
+    const s = WEIGHTS.source * Math.tanh(sourceAffinity);
+    score += s;
+    const likes = profile.sourceVotes.get(article.source) || 0;
+    const liked =
+      likes === 1 ? "a story" : `${likes > 1 ? likes : "some"} stories`;
+    reasons.push({
+      weight: s,
+      text:
+        s > 0
+          ? `You liked ${liked} from ${article.source}`
+          : `You disliked stories from ${article.source}`,
+    });
+  }
+
+  const words = keywords(article.title);
+  const matched = words.filter((w) => profile.keywords.has(w));
+  if (matched.length > 0) {
+    const sum = matched.reduce((acc, w) => acc + profile.keywords.get(w), 0);
+    const s = WEIGHTS.keyword * Math.tanh(sum / Math.sqrt(words.length));
+    score += s;
+    const top = [...matched]
+      .sort((a, b) => profile.keywords.get(b) - profile.keywords.get(a))
+      .slice(0, 2);
+    reasons.push({
+      weight: s,
+      text:
+        s > 0
+          ? `Similar to stories you liked (${top.join(", ")})`
+          : `Similar to stories you disliked (${top.join(", ")})`,
+    });
+  }
+
+  const assetSum = (article.assets || []).reduce(
+    (acc, a) => acc + (profile.assets.get(a) || 0),
+    0
+  );
+  if (assetSum !== 0) {
+    const s = WEIGHTS.assetAffinity * Math.tanh(assetSum);
+    score += s;
+    reasons.push({
+      weight: s,
+      text:
+        s > 0
+          ? "About assets you engage with"
+          : "About assets you tend to skip",
+    });
+  }
+
+  if (article.publishedAt) {
+    const s = WEIGHTS.recency * decay(article.publishedAt, now);
+    score += s;
+    reasons.push({ weight: s, text: "Recent" });
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Ranks articles for one user and returns the top `limit`,
+ * each with a `score` and a human-readable `reason`.
+ * Articles the user already disliked are dropped.
+ */
+function rankNews(
+  articles,
+  { feedback = [], userAssets = [], limit = 5 } = {}
+) {
+  const now = Date.now();
+  const profile = buildProfile(feedback, now);
+
+  return articles
+    .filter((a) => profile.votes.get(a.url) !== -1)
+    .map((article) => {
+      const { score, reasons } = scoreArticle(
+        article,
+        profile,
+        userAssets,
+        now
+      );
+      const top = reasons
+        .filter((r) => r.weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, 2)
+        .map((r) => r.text);
+
+      return {
+        ...article,
+        score: Number(score.toFixed(3)),
+        reason: top.length > 0 ? top.join(" · ") : "Latest headline",
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  buildProfile,
+  scoreArticle,
+  rankNews,
+};
@@ -0,0 +1,180 @@
+// server/services/openapi.js
+const auth = require("../middleware/auth");
+const { errorEnvelope } = require("./errors");
+const { version } = require("../package.json");
+
+// Builds the OpenAPI 3 document from the routers themselves: every route
+// is described by its validate() middleware (summary, params, query, body,
+// response), so the document cannot drift from the request checks.
+
+const ERROR_REF = { $ref: "#/components/schemas/Error" };
+
+// Our schema subset -> OpenAPI 3.0 schema object
+function toOpenApiSchema(schema) {
+  const { patternMessage, lowercase, exclusiveMinimum, ...result } = schema;
+
+  if (exclusiveMinimum !== undefined) {
+    result.minimum = exclusiveMinimum;
+    result.exclusiveMinimum = true;
+  }
+  if (schema.properties) {
+    result.properties = {};
+    for (const [name, prop] of Object.entries(schema.properties)) {
+      result.properties[name] = toOpenApiSchema(prop);
+    }
+  }
+  if (schema.items) result.items = toOpenApiSchema(schema.items);
+  return result;
+}
+
+// "/:userId" -> "/{userId}", prefix + "/" -> prefix
+function toOpenApiPath(prefix, path) {
+  const full = (prefix + path).replace(/\/$/, "") || "/";
+  return full.replace(/:(\w+)/g, "{$1}");
+}
+
+function parameters(location, schema) {
+  if (!schema) return [];
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties || {}).map(([name, prop]) => {
+    const param = {
+      name,
+      in: location,
+      required: location === "path" || required.includes(name),
+      schema: toOpenApiSchema(prop),
+    };
+    // ?assets=BTC,ETH
+    if (prop.type === "array") {
+      param.style = "form";
+      param.explode = false;
+    }
+    return param;
+  });
+}
+
+/**
+ * Routes of an Express router in declaration order:
+ * [{ method, path, handlers }] where `handlers` also holds the
+ * router-level middleware (router.use) declared before the route.
+ */
+function routesOf(router) {
+  const routes = [];
+  const shared = [];
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      continue;
+    }
+    const handlers = [...shared, ...layer.route.stack.map((l) => l.handle)];
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({ method, path: layer.route.path, handlers });
+    }
+  }
+  return routes;
+}
+
+function buildOperation(route, tag) {
+  const docs = route.handlers.find((h) => h.schemas)?.schemas || {};
+  const secured = route.handlers.some(
+    (h) => h === auth || h === auth.allowQueryToken
+  );
+  const roles = route.handlers.find((h) => h.roles)?.roles;
+
+  const operation = { tags: [tag] };
+  if (docs.summary) operation.summary = docs.summary;
+
+  const description = [docs.description];
+  if (roles) description.push(`Requires role: ${roles.join(" or ")}.`);
+  if (description.some(Boolean)) {
+    operation.description = description.filter(Boolean).join(" ");
+  }
+
+  const params = [
+    ...parameters("path", docs.params),
+    ...parameters("query", docs.query),
+  ];
+  if (params.length > 0) operation.parameters = params;
+
+  if (docs.body) {
+    operation.requestBody = {
+      required: (docs.body.required || []).length > 0,
+      content: {
+        "application/json": {
+          schema: toOpenApiSchema({ type: "object", ...docs.body }),
+        },
+      },
+    };
+  }
+
+  const success = { description: "Success" };
+  if (docs.response) {
+    success.content = {
+      [docs.contentType || "application/json"]: {
+        schema: toOpenApiSchema(docs.response),
+      },
+    };
+  }
+
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: ERROR_REF } },
+  });
+
+  operation.responses = { [docs.status || 200]: success };
+  if (docs.params || docs.query || docs.body) {
+    operation.responses[400] = errorResponse(
+      "Invalid request (VALIDATION_ERROR)"
+    );
+  }
+  if (secured) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses[401] = errorResponse("Missing or invalid access token");
+  }
+  if (roles) {
+    operation.responses[403] = errorResponse("Insufficient permissions");
+  }
+  operation.responses.default = errorResponse("Error");
+
+  return operation;
+}
+
+/**
+ * OpenAPI 3.0 document for the given routers.
+ * `mounts`: [{ prefix: "/auth", router, tag: "Auth" }]
+ */
+function buildOpenApiDocument(mounts) {
+  const paths = {};
+
+  for (const { prefix, router, tag } of mounts) {
+    for (const route of routesOf(router)) {
+      const path = toOpenApiPath(prefix, route.path);
+      paths[path] = paths[path] || {};
+      paths[path][route.method] = buildOperation(route, tag);
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Crypto Advisor API",
+      version,
+      description:
+        'Errors always use the envelope { ok: false, error: { code, message, details? } }; "details" lists the invalid fields of a VALIDATION_ERROR.',
+    },
+    tags: mounts.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: { Error: toOpenApiSchema(errorEnvelope) },
+    },
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  routesOf,
+};
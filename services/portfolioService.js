@@ -0,0 +1,186 @@
+// server/services/portfolioService.js
+const Transaction = require("../models/Transaction");
+const { fetchPricesCached } = require("./dashboardService");
+const { getAssets, pricesByTicker } = require("./assetRegistry");
+const {
+  getExchangeRates,
+  convertPrices,
+  fxMeta,
+  moneyDigits,
+} = require("./fx");
+const { badRequest } = require("./errors");
+
+// Small epsilon so float leftovers of a full sell count as zero
+const EPSILON = 1e-12;
+
+function round(n, digits = 8) {
+  return Number(n.toFixed(digits));
+}
+
+/**
+ * Replays transactions (oldest first) using the average-cost method.
+ * Returns { [asset]: { quantity, costBasis, realizedPnl, fees } }
+ * Throws when a sell/transfer_out exceeds the quantity held at that time.
+ */
+function computePositions(transactions) {
+  const positions = {};
+
+  const sorted = [...transactions].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+
+  for (const tx of sorted) {
+    const pos =
+      positions[tx.asset] ||
+      (positions[tx.asset] = {
+        quantity: 0,
+        costBasis: 0,
+        realizedPnl: 0,
+        fees: 0,
+      });
+    const fee = tx.fee || 0;
+    pos.fees += fee;
+
+    if (tx.type === "buy" || tx.type === "transfer_in") {
+      pos.quantity += tx.quantity;
+      pos.costBasis += tx.quantity * (tx.price || 0) + fee;
+      continue;
+    }
+
+    // sell / transfer_out
+    if (tx.quantity > pos.quantity + EPSILON) {
+      throw badRequest(
+        `Not enough ${tx.asset} to ${tx.type === "sell" ? "sell" : "transfer"}`,
+        "INSUFFICIENT_QUANTITY"
+      );
+    }
+
+    const avgCost = pos.quantity > 0 ? pos.costBasis / pos.quantity : 0;
+    const removedCost = avgCost * tx.quantity;
+
+    if (tx.type === "sell") {
+      pos.realizedPnl += tx.quantity * tx.price - fee - removedCost;
+    } else {
+      // transfers out are not a disposal, but their fee is a realized cost
+      pos.realizedPnl -= fee;
+    }
+
+    pos.quantity -= tx.quantity;
+    pos.costBasis -= removedCost;
+
+    if (pos.quantity < EPSILON) {
+      pos.quantity = 0;
+      pos.costBasis = 0;
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Values positions with the current dashboard prices
+ * (`assets` is the registry list used to map tickers to prices).
+ * Positions and prices must be in the same currency; `digits` is the
+ * number of decimals kept for money amounts (see moneyDigits).
+ * Assets without a known price are returned with value = null
+ * and are left out of totals and allocation.
+ */
+function valuePositions(positions, prices, assets, { digits = 2 } = {}) {
+  const byTicker = pricesByTicker(prices, assets);
+  const money = (n) => round(n, digits);
+
+  const holdings = Object.entries(positions).map(([asset, pos]) => {
+    const price = byTicker[asset]?.price ?? null;
+    const value = price === null ? null : pos.quantity * price;
+
+    return {
+      asset,
+      quantity: round(pos.quantity),
+      avgCost: pos.quantity > 0 ? round(pos.costBasis / pos.quantity) : 0,
+      costBasis: money(pos.costBasis),
+      price,
+      value: value === null ? null : money(value),
+      unrealizedPnl: value === null ? null : money(value - pos.costBasis),
+      realizedPnl: money(pos.realizedPnl),
+      fees: money(pos.fees),
+    };
+  });
+
+  const totalValue = holdings.reduce((sum, h) => sum + (h.value || 0), 0);
+
+  for (const h of holdings) {
+    h.allocation =
+      h.value === null || totalValue === 0
+        ? null
+        : round((h.value / totalValue) * 100, 2);
+  }
+
+  const sum = (field) =>
+    money(holdings.reduce((acc, h) => acc + (h[field] || 0), 0));
+
+  return {
+    holdings: holdings.sort((a, b) => (b.value || 0) - (a.value || 0)),
+    totals: {
+      value: money(totalValue),
+      costBasis: sum("costBasis"),
+      unrealizedPnl: sum("unrealizedPnl"),
+      realizedPnl: sum("realizedPnl"),
+      fees: sum("fees"),
+    },
+  };
+}
+
+// Converts the USD money amounts of positions with one rate
+function convertPositions(positions, rate) {
+  const converted = {};
+  for (const [asset, pos] of Object.entries(positions)) {
+    converted[asset] = {
+      ...pos,
+      costBasis: pos.costBasis * rate,
+      realizedPnl: pos.realizedPnl * rate,
+      fees: pos.fees * rate,
+    };
+  }
+  return converted;
+}
+
+/**
+ * Full portfolio summary for a user, in `options.currency` (default USD).
+ * Transactions are recorded in USD; costs and P&L are converted at the
+ * current rate, so only market moves show up as P&L (not FX moves).
+ */
+async function getPortfolioForUser(userId, { currency = "USD" } = {}) {
+  const [transactions, pricesData, assets] = await Promise.all([
+    Transaction.find({ userId }).lean(),
+    fetchPricesCached(),
+    getAssets(),
+  ]);
+
+  const positions = computePositions(transactions);
+  const fx = await getExchangeRates(pricesData);
+  const meta = fxMeta(currency, fx);
+
+  const valuation = valuePositions(
+    convertPositions(positions, meta.rate),
+    convertPrices(pricesData.prices, meta.currency, fx),
+    assets,
+    { digits: moneyDigits(meta.currency) }
+  );
+
+  return {
+    currency: meta.currency,
+    ...valuation,
+    pricesMeta: {
+      source: pricesData.source,
+      stale: pricesData.stale,
+      fetchedAt: pricesData.fetchedAt,
+      fx: meta,
+    },
+  };
+}
+
+module.exports = {
+  computePositions,
+  valuePositions,
+  getPortfolioForUser,
+};
@@ -0,0 +1,105 @@
+// server/services/providerHealth.js
+const { recordUpstreamCall } = require("./metrics");
+
+// In-process health of upstream providers (market data, news, memes, AI),
+// fed by every real call. Shown on GET /admin/health; call counts and
+// latencies also go to the Prometheus metrics (GET /metrics).
+
+// After this many failures in a row a provider counts as "down"
+const DOWN_AFTER = 3;
+// Latency average over the last N successful calls
+const LATENCY_SAMPLES = 20;
+
+const providers = new Map(); // "kind:name" -> stats
+
+function entry(kind, name) {
+  const key = `${kind}:${name}`;
+  if (!providers.has(key)) {
+    providers.set(key, {
+      kind,
+      name,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      latencies: [],
+    });
+  }
+  return providers.get(key);
+}
+
+function recordSuccess(kind, name, latencyMs) {
+  const e = entry(kind, name);
+  e.successes += 1;
+  e.consecutiveFailures = 0;
+  e.lastSuccessAt = new Date();
+  e.latencies.push(latencyMs);
+  if (e.latencies.length > LATENCY_SAMPLES) e.latencies.shift();
+}
+
+function recordFailure(kind, name, err) {
+  const e = entry(kind, name);
+  e.failures += 1;
+  e.consecutiveFailures += 1;
+  e.lastFailureAt = new Date();
+  e.lastError = err?.message || String(err);
+}
+
+/**
+ * Runs `fn` and records its outcome for provider `name` of `kind`.
+ * Returns/throws whatever `fn` does.
+ */
+async function track(kind, name, fn) {
+  const started = Date.now();
+  try {
+    const result = await fn();
+    const durationMs = Date.now() - started;
+    recordSuccess(kind, name, durationMs);
+    recordUpstreamCall({ kind, provider: name, ok: true, durationMs });
+    return result;
+  } catch (err) {
+    recordFailure(kind, name, err);
+    recordUpstreamCall({
+      kind,
+      provider: name,
+      ok: false,
+      durationMs: Date.now() - started,
+    });
+    throw err;
+  }
+}
+
+function statusOf(e) {
+  if (e.consecutiveFailures >= DOWN_AFTER) return "down";
+  if (e.consecutiveFailures > 0) return "degraded";
+  return "up";
+}
+
+/**
+ * Returns [{ kind, name, status, successes, failures, consecutiveFailures,
+ *            lastSuccessAt, lastFailureAt, lastError, avgLatencyMs }]
+ * status: "up" | "degraded" (recent failure) | "down" (DOWN_AFTER in a row)
+ */
+function getHealth() {
+  return [...providers.values()]
+    .map(({ latencies, ...e }) => ({
+      ...e,
+      status: statusOf(e),
+      avgLatencyMs:
+        latencies.length > 0
+          ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+          : null,
+    }))
+    .sort(
+      (a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name)
+    );
+}
+
+module.exports = {
+  track,
+  recordSuccess,
+  recordFailure,
+  getHealth,
+};
@@ -0,0 +1,150 @@
+// server/services/rateLimiter.js
+const RateLimitCounter = require("../models/RateLimitCounter");
+
+// Fixed-window counters. A counter is { count, resetAt } where resetAt
+// is a unix timestamp in ms; once it has passed the counter starts over.
+
+// -------------------- STORES --------------------
+
+// In-memory store: per process, expired counters swept periodically
+function createMemoryStore({ sweepMs = 60 * 1000 } = {}) {
+  const map = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of map) {
+      if (counter.resetAt <= now) map.delete(key);
+    }
+  }, sweepMs);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = map.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        map.set(key, counter);
+      }
+      counter.count += 1;
+      return { ...counter };
+    },
+    async get(key) {
+      const counter = map.get(key);
+      if (!counter || counter.resetAt <= Date.now()) return null;
+      return { ...counter };
+    },
+    async set(key, counter) {
+      map.set(key, { ...counter });
+    },
+    async del(key) {
+      map.delete(key);
+    },
+  };
+}
+
+// Mongo-backed store: limits shared between server instances
+function createMongoStore() {
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const inWindow = { $gt: ["$resetAt", now] };
+
+      // one atomic round-trip: restart the window if it is over, then count
+      const doc = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [inWindow, { $add: ["$count", 1] }, 1] },
+              resetAt: {
+                $cond: [
+                  inWindow,
+                  "$resetAt",
+                  new Date(now.getTime() + windowMs),
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      ).lean();
+
+      return { count: doc.count, resetAt: doc.resetAt.getTime() };
+    },
+    async get(key) {
+      const doc = await RateLimitCounter.findOne({ key }).lean();
+      if (!doc || doc.resetAt.getTime() <= Date.now()) return null;
+      return { count: doc.count, resetAt: doc.resetAt.getTime() };
+    },
+    async set(key, counter) {
+      await RateLimitCounter.updateOne(
+        { key },
+        { count: counter.count, resetAt: new Date(counter.resetAt) },
+        { upsert: true }
+      );
+    },
+    async del(key) {
+      await RateLimitCounter.deleteOne({ key });
+    },
+  };
+}
+
+let sharedStore = null;
+
+/**
+ * Shared counter store.
+ * RATE_LIMIT_STORE=memory (default) or RATE_LIMIT_STORE=mongo
+ * Its users fail open: when the store cannot be reached, requests go
+ * through unthrottled (with a warning) instead of the API failing with it.
+ */
+function getRateLimitStore() {
+  if (!sharedStore) {
+    sharedStore =
+      process.env.RATE_LIMIT_STORE === "mongo"
+        ? createMongoStore()
+        : createMemoryStore();
+  }
+  return sharedStore;
+}
+
+// -------------------- LIMITS --------------------
+
+/**
+ * Limit for `name`, overridable with RATE_LIMIT_<NAME>="<max>/<windowSec>",
+ * e.g. RATE_LIMIT_LOGIN=10/60.
+ * Returns { max, windowMs }.
+ */
+function limitFor(name, defaults) {
+  const raw = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const [max, windowSec] = (raw || "").split("/").map(Number);
+
+  return {
+    max: max > 0 ? max : defaults.max,
+    windowMs: windowSec > 0 ? windowSec * 1000 : defaults.windowMs,
+  };
+}
+
+/**
+ * Counts one hit for `key` against { max, windowMs }.
+ * Returns { allowed, limit, remaining, resetAt, retryAfterSec }.
+ */
+async function consume(key, { max, windowMs }, store = getRateLimitStore()) {
+  const { count, resetAt } = await store.increment(key, windowMs);
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetAt,
+    retryAfterSec: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore,
+  limitFor,
+  consume,
+};
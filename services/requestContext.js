@@ -0,0 +1,26 @@
+// server/services/requestContext.js
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request context ({ requestId }) that follows the request through
+// every await, so services can log and call upstream APIs with the
+// request id without passing it around.
+const storage = new AsyncLocalStorage();
+
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// Context of the request being handled, or null (workers, startup)
+function getContext() {
+  return storage.getStore() || null;
+}
+
+function getRequestId() {
+  return getContext()?.requestId || null;
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getRequestId,
+};
@@ -0,0 +1,268 @@
+// server/services/riskProfile.js
+const { fieldError } = require("./errors");
+
+// -------------------- TIERS --------------------
+
+// Ordered from least to most risk. `minScore` is the lowest questionnaire
+// score that lands in the tier; horizon/maxDrawdown describe what the tier
+// is built for and are used by the insight prompt and allocation advice.
+const TIERS = [
+  {
+    id: "conservative",
+    label: "Conservative",
+    minScore: 0,
+    horizon: "short (under 1 year)",
+    maxDrawdown: 10, // % the user can sit through
+    description: "Capital preservation first, small and liquid positions.",
+  },
+  {
+    id: "moderate",
+    label: "Moderate",
+    minScore: 8,
+    horizon: "medium (1-3 years)",
+    maxDrawdown: 25,
+    description: "Balanced growth, mostly large-cap assets.",
+  },
+  {
+    id: "growth",
+    label: "Growth",
+    minScore: 14,
+    horizon: "long (3-5 years)",
+    maxDrawdown: 40,
+    description: "Accepts large swings for higher expected returns.",
+  },
+  {
+    id: "aggressive",
+    label: "Aggressive",
+    minScore: 19,
+    horizon: "very long (5+ years)",
+    maxDrawdown: 60,
+    description: "Seeks maximum upside, comfortable with deep drawdowns.",
+  },
+];
+
+// Free-form values accepted before the questionnaire existed
+const LEGACY_INVESTOR_TYPES = {
+  low: "conservative",
+  medium: "moderate",
+  high: "aggressive",
+};
+
+// Every accepted preferences.investorType value
+const INVESTOR_TYPES = [
+  ...TIERS.map((t) => t.id),
+  ...Object.keys(LEGACY_INVESTOR_TYPES),
+];
+
+// -------------------- QUESTIONNAIRES --------------------
+
+// Versioned so stored answers keep their meaning when questions change.
+// Add a new version instead of editing a published one.
+const QUESTIONNAIRES = {
+  1: {
+    version: 1,
+    questions: [
+      {
+        id: "horizon",
+        text: "How long do you plan to hold your crypto investments?",
+        options: [
+          { id: "lt1y", label: "Less than 1 year", points: 0 },
+          { id: "1to3y", label: "1-3 years", points: 2 },
+          { id: "3to5y", label: "3-5 years", points: 3 },
+          { id: "gt5y", label: "More than 5 years", points: 4 },
+        ],
+      },
+      {
+        id: "goal",
+        text: "What is your main goal?",
+        options: [
+          { id: "preserve", label: "Protect what I have", points: 0 },
+          { id: "income", label: "Steady, moderate growth", points: 1 },
+          { id: "growth", label: "Grow my savings significantly", points: 3 },
+          { id: "max", label: "Maximum returns, whatever it takes", points: 4 },
+        ],
+      },
+      {
+        id: "drawdown",
+        text: "Your portfolio drops 30% in a month. What do you do?",
+        options: [
+          { id: "sell_all", label: "Sell everything", points: 0 },
+          { id: "sell_some", label: "Sell some to limit losses", points: 1 },
+          { id: "hold", label: "Hold and wait", points: 3 },
+          { id: "buy_more", label: "Buy more", points: 4 },
+        ],
+      },
+      {
+        id: "experience",
+        text: "How experienced are you with crypto?",
+        options: [
+          { id: "none", label: "Never invested", points: 0 },
+          { id: "some", label: "Bought a few coins", points: 1 },
+          { id: "regular", label: "Trade regularly", points: 2 },
+          { id: "expert", label: "DeFi, derivatives, on-chain", points: 3 },
+        ],
+      },
+      {
+        id: "share",
+        text: "What share of your total savings is in crypto?",
+        options: [
+          { id: "gt50", label: "More than 50%", points: 0 },
+          { id: "20to50", label: "20-50%", points: 1 },
+          { id: "5to20", label: "5-20%", points: 2 },
+          { id: "lt5", label: "Less than 5%", points: 3 },
+        ],
+      },
+      {
+        id: "income",
+        text: "How stable is your income?",
+        options: [
+          { id: "unstable", label: "Unstable or none", points: 0 },
+          { id: "variable", label: "Variable", points: 1 },
+          { id: "stable", label: "Stable", points: 2 },
+          {
+            id: "very_stable",
+            label: "Very stable with savings buffer",
+            points: 3,
+          },
+        ],
+      },
+    ],
+  },
+};
+
+const CURRENT_VERSION = 1;
+
+// -------------------- SCORING --------------------
+
+function getQuestionnaire(version = CURRENT_VERSION) {
+  return QUESTIONNAIRES[version] || null;
+}
+
+function getTier(id) {
+  return TIERS.find((t) => t.id === id) || null;
+}
+
+function tierForScore(score) {
+  let tier = TIERS[0];
+  for (const t of TIERS) {
+    if (score >= t.minScore) tier = t;
+  }
+  return tier;
+}
+
+/**
+ * Scores answers ({ [questionId]: optionId }) for a questionnaire version.
+ * Every question must be answered with one of its options.
+ * Returns { profile } or { errors: [{ field, message }] }, where profile is
+ * { tier, score, maxScore, horizon, maxDrawdown, questionnaireVersion, answers }
+ */
+function scoreAnswers(version, answers) {
+  const questionnaire = getQuestionnaire(version);
+  if (!questionnaire) {
+    return {
+      errors: [{ field: "version", message: "is not a known questionnaire" }],
+    };
+  }
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    return {
+      errors: [
+        {
+          field: "answers",
+          message: "must be an object of { questionId: optionId }",
+        },
+      ],
+    };
+  }
+
+  const errors = [];
+  let score = 0;
+  let maxScore = 0;
+
+  for (const question of questionnaire.questions) {
+    maxScore += Math.max(...question.options.map((o) => o.points));
+
+    const option = question.options.find((o) => o.id === answers[question.id]);
+    if (!option) {
+      errors.push({
+        field: `answers.${question.id}`,
+        message: `must be one of: ${question.options
+          .map((o) => o.id)
+          .join(", ")}`,
+      });
+      continue;
+    }
+    score += option.points;
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const tier = tierForScore(score);
+  const cleanAnswers = {};
+  for (const question of questionnaire.questions) {
+    cleanAnswers[question.id] = answers[question.id];
+  }
+
+  return {
+    profile: {
+      tier: tier.id,
+      score,
+      maxScore,
+      horizon: tier.horizon,
+      maxDrawdown: tier.maxDrawdown,
+      questionnaireVersion: version,
+      answers: cleanAnswers,
+    },
+  };
+}
+
+/**
+ * Maps an investorType value to a tier id (accepts legacy low/medium/high).
+ * Returns null for unknown values.
+ */
+function normalizeInvestorType(value) {
+  if (typeof value !== "string") return null;
+  const lower = value.trim().toLowerCase();
+  if (getTier(lower)) return lower;
+  return LEGACY_INVESTOR_TYPES[lower] || null;
+}
+
+/**
+ * The tier to store when a client sends investorType (`field`): only the
+ * one the questionnaire gave `riskProfile` is accepted, so the
+ * questionnaire stays the only way to choose a tier.
+ * Throws a VALIDATION_ERROR for any other value or an unassessed user.
+ */
+function assertAssessedTier(value, riskProfile, field) {
+  const tier = normalizeInvestorType(value);
+  if (!riskProfile?.tier) {
+    throw fieldError(field, "is set by the risk questionnaire; take it first");
+  }
+  if (tier !== riskProfile.tier) {
+    throw fieldError(
+      field,
+      `must match your risk questionnaire result (${riskProfile.tier})`
+    );
+  }
+  return tier;
+}
+
+/**
+ * One-line description of a tier for prompts, or null for unknown tiers.
+ */
+function describeTier(id) {
+  const tier = getTier(normalizeInvestorType(id));
+  if (!tier) return null;
+  return `${tier.label} investor (${tier.description} Horizon: ${tier.horizon}; tolerates drawdowns up to ${tier.maxDrawdown}%)`;
+}
+
+module.exports = {
+  TIERS,
+  INVESTOR_TYPES,
+  CURRENT_VERSION,
+  getQuestionnaire,
+  getTier,
+  scoreAnswers,
+  normalizeInvestorType,
+  assertAssessedTier,
+  describeTier,
+};
@@ -0,0 +1,140 @@
+// server/services/settings.js
+const Setting = require("../models/Setting");
+const { checkSymbols } = require("./assetRegistry");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ component: "settings" });
+
+// Settings are read on hot paths (dashboard, insights), so keep them briefly
+const CACHE_MS = 30 * 1000;
+
+// -------------------- DEFINITIONS --------------------
+
+// Every editable setting: its default and a validator that returns
+// { value } (normalized) or { error }.
+const DEFINITIONS = {
+  defaultAssets: {
+    description:
+      "Assets used for users who have not chosen any (empty = all assets)",
+    default: () => [],
+    async validate(value) {
+      if (!Array.isArray(value)) {
+        return { error: "defaultAssets must be an array of tickers" };
+      }
+      const { symbols, unknown } = await checkSymbols(value);
+      if (unknown.length > 0) {
+        return { error: `Unknown assets: ${unknown.join(", ")}` };
+      }
+      return { value: symbols };
+    },
+  },
+  openrouterModel: {
+    description: "Model used for AI insights when INSIGHT_PROVIDER=openrouter",
+    default: () =>
+      process.env.OPENROUTER_MODEL || "mistralai/mistral-7b-instruct",
+    async validate(value) {
+      if (typeof value !== "string" || !value.trim()) {
+        return { error: "openrouterModel must be a non-empty string" };
+      }
+      return { value: value.trim() };
+    },
+  },
+};
+
+// -------------------- STORE --------------------
+
+let cached = null; // { at, docs: Map(key -> doc) }
+
+async function loadOverrides() {
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.docs;
+
+  const docs = await Setting.find({ key: { $in: Object.keys(DEFINITIONS) } })
+    .lean()
+    .catch((err) => {
+      // keep serving defaults when Mongo is unavailable
+      log.warn("failed to load settings, using defaults", {
+        error: err.message,
+      });
+      return [];
+    });
+
+  cached = { at: Date.now(), docs: new Map(docs.map((d) => [d.key, d])) };
+  return cached.docs;
+}
+
+function invalidateSettings() {
+  cached = null;
+}
+
+/**
+ * Current value of a setting (stored override or default).
+ */
+async function getSetting(key) {
+  const def = DEFINITIONS[key];
+  if (!def) throw new Error(`Unknown setting "${key}"`);
+
+  const doc = (await loadOverrides()).get(key);
+  return doc ? doc.value : def.default();
+}
+
+/**
+ * Every setting with its metadata:
+ * [{ key, value, default, isDefault, description, updatedAt, updatedBy }]
+ */
+async function listSettings() {
+  const overrides = await loadOverrides();
+
+  return Object.entries(DEFINITIONS).map(([key, def]) => {
+    const doc = overrides.get(key);
+    return {
+      key,
+      value: doc ? doc.value : def.default(),
+      default: def.default(),
+      isDefault: !doc,
+      description: def.description,
+      updatedAt: doc?.updatedAt || null,
+      updatedBy: doc?.updatedBy || null,
+    };
+  });
+}
+
+/**
+ * Validates and stores a setting.
+ * Returns { value } or { error } (unknown key or invalid value).
+ */
+async function setSetting(key, value, userId) {
+  const def = DEFINITIONS[key];
+  if (!def) return { error: `Unknown setting "${key}"` };
+
+  const result = await def.validate(value);
+  if (result.error) return result;
+
+  await Setting.updateOne(
+    { key },
+    { $set: { value: result.value, updatedBy: userId || null } },
+    { upsert: true }
+  );
+  invalidateSettings();
+  return { value: result.value };
+}
+
+/**
+ * Removes the override so the default applies again.
+ * Returns { value } with the default, or { error } for an unknown key.
+ */
+async function resetSetting(key) {
+  const def = DEFINITIONS[key];
+  if (!def) return { error: `Unknown setting "${key}"` };
+
+  await Setting.deleteOne({ key });
+  invalidateSettings();
+  return { value: def.default() };
+}
+
+module.exports = {
+  getSetting,
+  listSettings,
+  setSetting,
+  resetSetting,
+  invalidateSettings,
+};
@@ -0,0 +1,170 @@
+// server/services/tokenService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * JWT secret from the environment. There is deliberately no default:
+ * a missing secret is a configuration error, not something to paper over.
+ */
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return secret;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// -------------------- ACCESS TOKENS --------------------
+
+/**
+ * Short-lived access token: { id: <mongoUserId>, type: "access", role }
+ */
+function createAccessToken(userId, role = "user") {
+  return jwt.sign(
+    { id: String(userId), type: "access", role },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verifies an access token and returns its payload.
+ * Throws on bad signature, expiry or a non-access token.
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== "access" || !decoded.id) {
+    throw new Error("Not an access token");
+  }
+  return decoded;
+}
+
+// -------------------- REFRESH TOKENS --------------------
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+async function createRefreshToken(
+  userId,
+  { family, userAgent, ip } = {},
+  token = newRefreshToken()
+) {
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: userAgent || "",
+    ip: ip || "",
+  });
+
+  return token;
+}
+
+/**
+ * Issues a fresh access + refresh token pair for a login/signup.
+ * `user` needs { _id, role }.
+ * Returns { token, refreshToken, expiresIn }
+ */
+async function issueTokens(user, meta = {}) {
+  return {
+    token: createAccessToken(user._id, user.role),
+    refreshToken: await createRefreshToken(user._id, meta),
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Rotates a refresh token: the old one is revoked and a new pair is issued.
+ * The old token is claimed in a single update, so of two concurrent
+ * rotations only one gets a new pair.
+ * Presenting an already-rotated token revokes the whole family,
+ * since it means the token was copied somewhere.
+ * The role is re-read from the user, and disabled users cannot refresh.
+ * Returns { userId, token, refreshToken, expiresIn } or null when invalid.
+ */
+async function rotateRefreshToken(token, meta = {}) {
+  const tokenHash = hashToken(token);
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, replacedByHash: hashToken(refreshToken) } }
+  );
+  if (!record) {
+    const used = await RefreshToken.findOne({ tokenHash });
+    if (used?.replacedByHash && used.expiresAt > now) {
+      await revokeFamily(used.family);
+    }
+    return null;
+  }
+
+  const user = await User.findById(record.userId).select("role disabled");
+  if (!user || user.disabled) {
+    await revokeFamily(record.family);
+    return null;
+  }
+
+  await createRefreshToken(
+    record.userId,
+    { ...meta, family: record.family },
+    refreshToken
+  );
+
+  return {
+    userId: record.userId,
+    token: createAccessToken(record.userId, user.role),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Revokes one refresh token. Returns the record's userId, or null if unknown.
+ */
+async function revokeRefreshToken(token) {
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return record ? record.userId : null;
+}
+
+async function revokeFamily(family) {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+/**
+ * Revokes every refresh token of a user ("log out everywhere").
+ */
+async function revokeAllForUser(userId) {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+module.exports = {
+  getJwtSecret,
+  hashToken,
+  createAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+};
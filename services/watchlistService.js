@@ -0,0 +1,204 @@
+// server/services/watchlistService.js
+const crypto = require("crypto");
+const Watchlist = require("../models/Watchlist");
+const { appUrl } = require("./mailer");
+const { fetchPricesCached } = require("./dashboardService");
+const { getAssets, pricesByTicker } = require("./assetRegistry");
+const { getExchangeRates, convertPrices, fxMeta } = require("./fx");
+const { badRequest, conflict, notFound, fieldError } = require("./errors");
+
+// Lists per user (MAX_WATCHLISTS, default 20)
+const MAX_WATCHLISTS = Number(process.env.MAX_WATCHLISTS) || 20;
+
+// Read-only links open the frontend, which loads GET /watchlists/shared/:token
+function shareUrl(token) {
+  return appUrl(`/watchlists/shared/${token}`);
+}
+
+// Shape returned to the owner
+function toPublic(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    assets: doc.assets || [],
+    position: doc.position,
+    shareUrl: doc.shareToken ? shareUrl(doc.shareToken) : null,
+    sharedAt: doc.sharedAt || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+async function assertNameFree(userId, name, exceptId) {
+  const filter = { userId, name };
+  if (exceptId) filter._id = { $ne: exceptId };
+  if (await Watchlist.exists(filter)) {
+    throw conflict(
+      `A watchlist named "${name}" already exists`,
+      "WATCHLIST_EXISTS"
+    );
+  }
+}
+
+/**
+ * The user's watchlist `id`; throws NOT_FOUND for other users' lists.
+ */
+async function findWatchlist(userId, id) {
+  const watchlist = await Watchlist.findOne({ _id: id, userId });
+  if (!watchlist) {
+    throw notFound("Watchlist");
+  }
+  return watchlist;
+}
+
+/**
+ * The user's watchlists in their chosen order.
+ */
+async function listWatchlists(userId) {
+  const docs = await Watchlist.find({ userId })
+    .sort({ position: 1, createdAt: 1 })
+    .lean();
+  return docs.map(toPublic);
+}
+
+/**
+ * Creates a list at the end of the user's lists.
+ * `assets` must already be normalized tickers (resolveSymbols).
+ */
+async function createWatchlist(userId, { name, assets = [] }) {
+  const existing = await Watchlist.find({ userId }).select("position").lean();
+  if (existing.length >= MAX_WATCHLISTS) {
+    throw badRequest(
+      `You can have at most ${MAX_WATCHLISTS} watchlists`,
+      "WATCHLIST_LIMIT"
+    );
+  }
+  await assertNameFree(userId, name);
+
+  const position =
+    existing.reduce((max, w) => Math.max(max, w.position), -1) + 1;
+  const doc = await Watchlist.create({ userId, name, assets, position });
+  return toPublic(doc);
+}
+
+/**
+ * Renames a list and/or replaces its assets (the array order is the
+ * display order, so this is also how assets are reordered).
+ */
+async function updateWatchlist(userId, id, { name, assets }) {
+  const watchlist = await findWatchlist(userId, id);
+
+  if (name !== undefined && name !== watchlist.name) {
+    await assertNameFree(userId, name, watchlist._id);
+    watchlist.name = name;
+  }
+  if (assets !== undefined) watchlist.assets = assets;
+
+  await watchlist.save();
+  return toPublic(watchlist);
+}
+
+async function deleteWatchlist(userId, id) {
+  const result = await Watchlist.deleteOne({ _id: id, userId });
+  if (result.deletedCount === 0) {
+    throw notFound("Watchlist");
+  }
+}
+
+/**
+ * Reorders the user's lists; `ids` must name every list exactly once.
+ * Returns the lists in the new order.
+ */
+async function reorderWatchlists(userId, ids) {
+  const existing = await Watchlist.find({ userId }).select("_id").lean();
+  const known = new Set(existing.map((w) => String(w._id)));
+
+  if (ids.length !== known.size || new Set(ids).size !== ids.length) {
+    throw fieldError("body.ids", "must list each of your watchlists once");
+  }
+  const unknown = ids.filter((id) => !known.has(id));
+  if (unknown.length > 0) {
+    throw fieldError("body.ids", `contains unknown ids: ${unknown.join(", ")}`);
+  }
+
+  await Watchlist.bulkWrite(
+    ids.map((id, position) => ({
+      updateOne: { filter: { _id: id, userId }, update: { position } },
+    }))
+  );
+  return listWatchlists(userId);
+}
+
+/**
+ * Turns on the read-only link. Sharing again keeps the same link;
+ * unshare + share creates a new one (the old link stops working).
+ */
+async function shareWatchlist(userId, id) {
+  const watchlist = await findWatchlist(userId, id);
+  if (!watchlist.shareToken) {
+    watchlist.shareToken = crypto.randomBytes(24).toString("base64url");
+    watchlist.sharedAt = new Date();
+    await watchlist.save();
+  }
+  return toPublic(watchlist);
+}
+
+async function unshareWatchlist(userId, id) {
+  const watchlist = await findWatchlist(userId, id);
+  watchlist.shareToken = undefined;
+  watchlist.sharedAt = null;
+  await watchlist.save();
+  return toPublic(watchlist);
+}
+
+/**
+ * Read-only view of a shared list with current prices in `currency`
+ * (default USD), or null when the link is unknown or was revoked.
+ * The owner is not revealed.
+ */
+async function getSharedWatchlist(token, { currency = "USD" } = {}) {
+  const watchlist = await Watchlist.findOne({ shareToken: token }).lean();
+  if (!watchlist) return null;
+
+  const [pricesData, registry] = await Promise.all([
+    fetchPricesCached(),
+    getAssets(),
+  ]);
+  const fx = await getExchangeRates(pricesData);
+  const meta = fxMeta(currency, fx);
+  const byTicker = pricesByTicker(
+    convertPrices(pricesData.prices, meta.currency, fx),
+    registry
+  );
+
+  return {
+    name: watchlist.name,
+    updatedAt: watchlist.updatedAt,
+    assets: watchlist.assets.map((asset) => ({
+      asset,
+      price: byTicker[asset]?.price ?? null,
+      currency: meta.currency,
+      change24h: byTicker[asset]?.change24h ?? null,
+      marketCap: byTicker[asset]?.marketCap ?? null,
+    })),
+    pricesMeta: {
+      source: pricesData.source,
+      stale: pricesData.stale,
+      fetchedAt: pricesData.fetchedAt,
+      fx: meta,
+    },
+  };
+}
+
+module.exports = {
+  MAX_WATCHLISTS,
+  findWatchlist,
+  listWatchlists,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  reorderWatchlists,
+  shareWatchlist,
+  unshareWatchlist,
+  getSharedWatchlist,
+};
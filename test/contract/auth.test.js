@@ -0,0 +1,136 @@
+// server/test/contract/auth.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  stubModels,
+  stub,
+  testUser,
+  signIn,
+  contractClient,
+} = require("../helpers");
+const authRoutes = require("../../routes/authRoutes");
+const User = require("../../models/User");
+const RefreshToken = require("../../models/RefreshToken");
+const AccountToken = require("../../models/AccountToken");
+const { hashPassword } = require("../../services/accountService");
+
+const api = contractClient("/auth", authRoutes);
+before(api.start);
+after(api.stop);
+
+const PASSWORD = "correct horse 42";
+
+function refreshRecord(user, fields = {}) {
+  return new RefreshToken({
+    userId: user._id,
+    tokenHash: "stored-hash",
+    family: "family-1",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+  });
+}
+
+function accountToken(user, type) {
+  return new AccountToken({
+    userId: user._id,
+    type,
+    tokenHash: "stored-hash",
+    email: user.email,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  }).toObject();
+}
+
+test("POST /auth/signup", async (t) => {
+  stubModels(t);
+
+  const res = await api.request("POST", "/signup", {
+    body: { name: "New User", email: "New@Example.com", password: PASSWORD },
+  });
+  api.assertContract(res);
+  assert.equal(res.body.user.email, "new@example.com");
+});
+
+test("POST /auth/login", async (t) => {
+  stubModels(t);
+  const user = testUser({ password: await hashPassword(PASSWORD) });
+  stub(t, User, "findOne", user);
+
+  const res = await api.request("POST", "/login", {
+    body: { email: user.email, password: PASSWORD },
+  });
+  api.assertContract(res);
+});
+
+test("POST /auth/refresh", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  stub(t, User, "findById", user);
+  stub(t, RefreshToken, "findOneAndUpdate", refreshRecord(user));
+
+  const res = await api.request("POST", "/refresh", {
+    body: { refreshToken: "presented-token" },
+  });
+  api.assertContract(res);
+});
+
+test("POST /auth/logout", async (t) => {
+  stubModels(t);
+  stub(t, RefreshToken, "findOneAndUpdate", refreshRecord(testUser()));
+
+  const res = await api.request("POST", "/logout", {
+    body: { refreshToken: "presented-token", all: true },
+  });
+  api.assertContract(res);
+});
+
+test("POST /auth/verify-email", async (t) => {
+  stubModels(t);
+  const user = testUser({ emailVerified: false });
+  stub(t, AccountToken, "findOneAndUpdate", accountToken(user, "verify_email"));
+  stub(t, User, "findOneAndUpdate", () => {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    return user;
+  });
+
+  const res = await api.request("POST", "/verify-email", {
+    body: { token: "emailed-token" },
+  });
+  api.assertContract(res);
+});
+
+test("POST /auth/resend-verification", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser({ emailVerified: false }));
+
+  const res = await api.request("POST", "/resend-verification", { headers });
+  api.assertContract(res);
+});
+
+test("POST /auth/forgot-password", async (t) => {
+  stubModels(t);
+  stub(t, User, "findOne", testUser());
+
+  const res = await api.request("POST", "/forgot-password", {
+    body: { email: "test@example.com" },
+  });
+  api.assertContract(res);
+});
+
+test("POST /auth/reset-password", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  const record = accountToken(user, "reset_password");
+  stub(t, User, "findById", user);
+  stub(t, AccountToken, "findOne", record);
+  stub(t, AccountToken, "findOneAndUpdate", record);
+
+  const res = await api.request("POST", "/reset-password", {
+    body: { token: "emailed-token", password: "brand new 43" },
+  });
+  api.assertContract(res);
+});
+
+test("every documented /auth route is covered", () => {
+  assert.deepEqual(api.uncoveredRoutes(), []);
+});
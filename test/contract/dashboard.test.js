@@ -0,0 +1,83 @@
+// server/test/contract/dashboard.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  stubModels,
+  stub,
+  testUser,
+  signIn,
+  contractClient,
+} = require("../helpers");
+const dashboardRoutes = require("../../routes/dashboardRoutes");
+const NewsArticle = require("../../models/NewsArticle");
+const Meme = require("../../models/Meme");
+const Watchlist = require("../../models/Watchlist");
+
+const api = contractClient("/dashboard", dashboardRoutes);
+before(api.start);
+after(api.stop);
+
+// stored articles (an empty store shows the mock headlines)
+const ARTICLES = [
+  new NewsArticle({
+    url: "https://news.example/btc",
+    title: "Bitcoin (BTC) climbs past resistance",
+    source: "Example News",
+    provider: "rss",
+    publishedAt: new Date(),
+    assets: ["BTC"],
+  }),
+  new NewsArticle({
+    url: "https://news.example/eth",
+    title: "Ethereum developers schedule upgrade",
+    source: "Example News",
+    provider: "rss",
+    publishedAt: new Date(),
+    assets: ["ETH"],
+  }),
+];
+
+const MEME = new Meme({
+  title: "HODL",
+  url: "https://i.example/hodl.png",
+  urlKey: "https://i.example/hodl.png",
+  origin: "reddit",
+  subreddit: "cryptocurrencymemes",
+  status: "approved",
+});
+
+test("GET /dashboard", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser());
+  stub(t, NewsArticle, "find", ARTICLES);
+  stub(t, Meme, "find", [MEME]);
+
+  const res = await api.request("GET", "/?currency=EUR", { headers });
+  api.assertContract(res);
+  assert.equal(res.body.watchlist, null);
+  assert.equal(res.body.meme.id, String(MEME._id));
+});
+
+test("GET /dashboard scoped to a watchlist", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  const headers = signIn(t, user);
+  const watchlist = new Watchlist({
+    userId: user._id,
+    name: "Majors",
+    assets: ["ETH"],
+  });
+  stub(t, Watchlist, "findOne", watchlist);
+  stub(t, NewsArticle, "find", ARTICLES);
+
+  const res = await api.request("GET", `/?watchlist=${watchlist._id}`, {
+    headers,
+  });
+  api.assertContract(res);
+  assert.deepEqual(res.body.watchlist.assets, ["ETH"]);
+});
+
+test("every documented /dashboard route is covered", () => {
+  // GET /dashboard/stream answers text/event-stream, not a JSON body
+  assert.deepEqual(api.uncoveredRoutes(), []);
+});
@@ -0,0 +1,116 @@
+// server/test/contract/feedback.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  stubModels,
+  stub,
+  testUser,
+  signIn,
+  contractClient,
+} = require("../helpers");
+const feedbackRoutes = require("../../routes/feedbackRoutes");
+const Feedback = require("../../models/Feedback");
+
+const api = contractClient("/feedback", feedbackRoutes);
+before(api.start);
+after(api.stop);
+
+function vote(user, fields = {}) {
+  return new Feedback({
+    userId: user._id,
+    section: "meme",
+    itemId: "meme-1",
+    vote: 1,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...fields,
+  });
+}
+
+test("POST /feedback", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  const headers = signIn(t, user);
+  stub(t, Feedback, "findOneAndUpdate", vote(user, { vote: -1 }));
+
+  const res = await api.request("POST", "/", {
+    headers,
+    body: { section: "meme", itemId: "meme-1", vote: -1 },
+  });
+  api.assertContract(res);
+});
+
+test("DELETE /feedback", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser());
+  stub(t, Feedback, "deleteOne", { acknowledged: true, deletedCount: 1 });
+
+  const res = await api.request("DELETE", "/?section=meme&itemId=meme-1", {
+    headers,
+  });
+  api.assertContract(res);
+});
+
+test("GET /feedback/mine", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  const headers = signIn(t, user);
+  stub(t, Feedback, "find", [vote(user)]);
+  stub(t, Feedback, "countDocuments", 1);
+
+  const res = await api.request("GET", "/mine?limit=10", { headers });
+  api.assertContract(res);
+  assert.equal(res.body.pages, 1);
+});
+
+test("GET /feedback/stats/sections", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser({ role: "admin" }));
+  stub(t, Feedback, "aggregate", [
+    { _id: "meme", likes: 3, dislikes: 1 },
+    { _id: "news", likes: 0, dislikes: 0 },
+  ]);
+
+  const res = await api.request("GET", "/stats/sections", { headers });
+  api.assertContract(res);
+});
+
+test("GET /feedback/stats/items", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser({ role: "admin" }));
+  stub(t, Feedback, "aggregate", [
+    {
+      _id: { section: "news", itemId: "https://a.example/1" },
+      likes: 2,
+      dislikes: 0,
+      title: "Headline",
+    },
+    { _id: { section: "meme", itemId: "meme-1" }, likes: 1, dislikes: 1 },
+  ]);
+
+  const res = await api.request("GET", "/stats/items?section=news", {
+    headers,
+  });
+  api.assertContract(res);
+});
+
+test("GET /feedback/stats/timeline", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser({ role: "admin" }));
+  stub(t, Feedback, "aggregate", [
+    {
+      _id: { section: "meme", period: new Date("2024-05-06T00:00:00Z") },
+      likes: 4,
+      dislikes: 2,
+    },
+  ]);
+
+  const res = await api.request("GET", "/stats/timeline?bucket=week", {
+    headers,
+  });
+  api.assertContract(res);
+});
+
+test("every documented /feedback route is covered", () => {
+  assert.deepEqual(api.uncoveredRoutes(), []);
+});
@@ -0,0 +1,80 @@
+// server/test/contract/metrics.test.js
+const { withEnv } = require("../helpers");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const metricsRoutes = require("../../routes/metricsRoutes");
+const {
+  errorHandler,
+  notFoundHandler,
+} = require("../../middleware/errorHandler");
+const {
+  recordHttpRequest,
+  recordUpstreamCall,
+} = require("../../services/metrics");
+
+// mounted like index.js does; answers text, so no contractClient
+const app = express();
+app.use(metricsRoutes);
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+let server;
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function scrape(headers = {}) {
+  return fetch(`http://127.0.0.1:${server.address().port}/metrics`, {
+    headers,
+  });
+}
+
+test("GET /metrics renders requests and upstream calls", async (t) => {
+  withEnv(t, { METRICS_TOKEN: undefined, NODE_ENV: "development" });
+  recordHttpRequest({
+    method: "GET",
+    route: "/dashboard",
+    status: 200,
+    durationMs: 42,
+  });
+  recordUpstreamCall({
+    kind: "prices",
+    provider: "fixture",
+    ok: true,
+    durationMs: 5,
+  });
+
+  const res = await scrape();
+  assert.equal(res.status, 200);
+  assert.match(
+    res.headers.get("content-type"),
+    /^text\/plain;.*version=0\.0\.4/
+  );
+  const body = await res.text();
+  assert.match(
+    body,
+    /http_requests_total\{method="GET",route="\/dashboard",status="200"\} 1/
+  );
+  assert.match(body, /upstream_requests_total\{[^}]*provider="fixture"/);
+});
+
+test("GET /metrics checks METRICS_TOKEN", async (t) => {
+  withEnv(t, { METRICS_TOKEN: "scrape-secret" });
+
+  assert.equal((await scrape()).status, 401);
+  assert.equal((await scrape({ authorization: "Bearer wrong" })).status, 401);
+  const res = await scrape({ authorization: "Bearer scrape-secret" });
+  assert.equal(res.status, 200);
+});
+
+test("GET /metrics needs a token in production", async (t) => {
+  withEnv(t, { METRICS_TOKEN: undefined, NODE_ENV: "production" });
+  assert.equal((await scrape()).status, 404);
+
+  process.env.METRICS_TOKEN = "scrape-secret";
+  const res = await scrape({ authorization: "Bearer scrape-secret" });
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,115 @@
+// server/test/contract/onboarding.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  stubModels,
+  stub,
+  testUser,
+  signIn,
+  contractClient,
+} = require("../helpers");
+const onboardingRoutes = require("../../routes/onboardingRoutes");
+const User = require("../../models/User");
+const {
+  TIERS,
+  getQuestionnaire,
+  scoreAnswers,
+} = require("../../services/riskProfile");
+
+const api = contractClient("/onboarding", onboardingRoutes);
+before(api.start);
+after(api.stop);
+
+// the first option of every question
+function firstAnswers() {
+  const { version, questions } = getQuestionnaire();
+  const answers = {};
+  for (const q of questions) answers[q.id] = q.options[0].id;
+  return { version, answers };
+}
+
+function assessedUser() {
+  const { version, answers } = firstAnswers();
+  const { profile } = scoreAnswers(version, answers);
+  const riskProfile = { ...profile, assessedAt: new Date() };
+
+  return testUser({
+    riskProfile,
+    riskHistory: [riskProfile],
+    preferences: { investorType: profile.tier },
+  });
+}
+
+test("GET /onboarding/questionnaire", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser());
+
+  const res = await api.request("GET", "/questionnaire", { headers });
+  api.assertContract(res);
+});
+
+test("POST /onboarding/questionnaire", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser());
+  stub(t, User, "findByIdAndUpdate", assessedUser());
+
+  const res = await api.request("POST", "/questionnaire", {
+    headers,
+    body: firstAnswers(),
+  });
+  api.assertContract(res);
+});
+
+test("GET /onboarding/risk-profile", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, assessedUser());
+
+  const res = await api.request("GET", "/risk-profile", { headers });
+  api.assertContract(res);
+  assert.equal(res.body.history.length, 1);
+});
+
+test("PUT /onboarding/:userId", async (t) => {
+  stubModels(t);
+  const user = assessedUser();
+  const headers = signIn(t, user);
+  stub(t, User, "findByIdAndUpdate", (id, { $set }) => {
+    user.set($set);
+    return user;
+  });
+
+  const res = await api.request("PUT", `/${user._id}`, {
+    headers,
+    body: {
+      cryptoAssets: ["BTC", "ETH"],
+      investorType: user.riskProfile.tier,
+      contentTypes: ["news"],
+    },
+  });
+  api.assertContract(res);
+});
+
+test("PUT /onboarding/:userId cannot pick another tier", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  const headers = signIn(t, user);
+  const body = {
+    cryptoAssets: ["BTC"],
+    investorType: TIERS[TIERS.length - 1].id,
+    contentTypes: [],
+  };
+
+  // never assessed
+  let res = await api.request("PUT", `/${user._id}`, { headers, body });
+  assert.equal(res.status, 400);
+
+  // assessed, but to another tier
+  user.riskProfile = { tier: TIERS[0].id, score: 0 };
+  res = await api.request("PUT", `/${user._id}`, { headers, body });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.details[0].field, "body.investorType");
+});
+
+test("every documented /onboarding route is covered", () => {
+  assert.deepEqual(api.uncoveredRoutes(), []);
+});
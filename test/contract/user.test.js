@@ -0,0 +1,110 @@
+// server/test/contract/user.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  stubModels,
+  stub,
+  testUser,
+  signIn,
+  contractClient,
+} = require("../helpers");
+const userRoutes = require("../../routes/userRoutes");
+const User = require("../../models/User");
+const { hashPassword } = require("../../services/accountService");
+
+const api = contractClient("/user", userRoutes);
+before(api.start);
+after(api.stop);
+
+const PASSWORD = "correct horse 42";
+
+test("POST /user/preferences", async (t) => {
+  stubModels(t);
+  const user = testUser({ riskProfile: { tier: "conservative", score: 0 } });
+  const headers = signIn(t, user);
+  stub(t, User, "findByIdAndUpdate", (id, { $set }) => {
+    user.set($set);
+    return user;
+  });
+
+  const res = await api.request("POST", "/preferences", {
+    headers,
+    body: { cryptoAssets: ["ETH"], investorType: "Low", currency: "EUR" },
+  });
+  api.assertContract(res);
+  assert.deepEqual(res.body.user.preferences.cryptoAssets, ["ETH"]);
+});
+
+test("POST /user/preferences keeps the questionnaire's tier", async (t) => {
+  stubModels(t);
+  const user = testUser({ riskProfile: { tier: "conservative", score: 0 } });
+  const headers = signIn(t, user);
+  const update = stub(t, User, "findByIdAndUpdate", user);
+
+  const res = await api.request("POST", "/preferences", {
+    headers,
+    body: { cryptoAssets: ["ETH"], investorType: "aggressive" },
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.details[0].field, "body.investorType");
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test("GET /user/me", async (t) => {
+  stubModels(t);
+  const headers = signIn(t, testUser());
+
+  const res = await api.request("GET", "/me", { headers });
+  api.assertContract(res);
+});
+
+test("PATCH /user/me", async (t) => {
+  stubModels(t);
+  const headers = signIn(
+    t,
+    testUser({ password: await hashPassword(PASSWORD) })
+  );
+
+  const res = await api.request("PATCH", "/me", {
+    headers,
+    body: {
+      name: "Renamed",
+      email: "renamed@example.com",
+      currentPassword: PASSWORD,
+    },
+  });
+  api.assertContract(res);
+  assert.equal(res.body.user.password, undefined);
+});
+
+test("PUT /user/password", async (t) => {
+  stubModels(t);
+  const headers = signIn(
+    t,
+    testUser({ password: await hashPassword(PASSWORD) })
+  );
+
+  const res = await api.request("PUT", "/password", {
+    headers,
+    body: { currentPassword: PASSWORD, newPassword: "brand new 43" },
+  });
+  api.assertContract(res);
+});
+
+test("DELETE /user/me", async (t) => {
+  stubModels(t);
+  const headers = signIn(
+    t,
+    testUser({ password: await hashPassword(PASSWORD) })
+  );
+
+  const res = await api.request("DELETE", "/me", {
+    headers,
+    body: { password: PASSWORD },
+  });
+  api.assertContract(res);
+});
+
+test("every documented /user route is covered", () => {
+  assert.deepEqual(api.uncoveredRoutes(), []);
+});
@@ -0,0 +1,252 @@
+// server/test/helpers.js
+// Shared setup of the contract tests (node --test): an offline
+// configuration, an in-process app per router, Mongoose models stubbed
+// per test and a check of every answer against the route's documented
+// response schema.
+
+// offline providers, no limits, quiet logs; set before the app loads
+Object.assign(process.env, {
+  JWT_SECRET: "contract-test-secret",
+  RATE_LIMIT: "off",
+  LOG_LEVEL: "error",
+  MAIL_TRANSPORT: "console",
+  MARKET_DATA_PROVIDERS: "fixture",
+  FX_PROVIDERS: "fixture",
+  INSIGHT_PROVIDER: "mock",
+  CACHE_STORE: "memory",
+  RATE_LIMIT_STORE: "memory",
+});
+delete process.env.API_CONTRACT_CHECK;
+
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const { validateSchema } = require("../middleware/validate");
+const { errorHandler, notFoundHandler } = require("../middleware/errorHandler");
+const { routesOf } = require("../services/openapi");
+const { createAccessToken } = require("../services/tokenService");
+const User = require("../models/User");
+
+// a query nobody stubbed fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+/**
+ * Stand-in for a Mongoose query resolving to `result`: chainable,
+ * awaitable, and .lean() turns documents into plain objects.
+ */
+function query(result) {
+  let lean = false;
+  const resolve = () => {
+    const plain = (doc) => (lean && doc?.toObject ? doc.toObject() : doc);
+    return Array.isArray(result) ? result.map(plain) : plain(result);
+  };
+
+  const q = {
+    lean() {
+      lean = true;
+      return q;
+    },
+    distinct(field) {
+      return query(Array.isArray(result) ? result.map((d) => d[field]) : []);
+    },
+    exec: () => Promise.resolve(resolve()),
+    then: (onResolved, onRejected) =>
+      Promise.resolve(resolve()).then(onResolved, onRejected),
+    catch: (onRejected) => Promise.resolve(resolve()).catch(onRejected),
+  };
+  for (const method of ["select", "sort", "skip", "limit", "populate"]) {
+    q[method] = () => q;
+  }
+  return q;
+}
+
+const WRITE_RESULT = {
+  acknowledged: true,
+  matchedCount: 0,
+  modifiedCount: 0,
+  upsertedCount: 0,
+  deletedCount: 0,
+};
+
+/**
+ * Replaces the database calls of every model for the duration of test `t`
+ * with empty answers (nothing found, nothing changed); writes succeed.
+ * Tests override what a route needs with stub(t, Model, method, result).
+ */
+function stubModels(t) {
+  for (const Model of Object.values(mongoose.models)) {
+    const empty = {
+      find: () => query([]),
+      findOne: () => query(null),
+      findById: () => query(null),
+      findOneAndUpdate: () => query(null),
+      findByIdAndUpdate: () => query(null),
+      exists: () => query(null),
+      countDocuments: () => query(0),
+      estimatedDocumentCount: () => query(0),
+      updateOne: () => query(WRITE_RESULT),
+      updateMany: () => query(WRITE_RESULT),
+      deleteOne: () => query(WRITE_RESULT),
+      deleteMany: () => query(WRITE_RESULT),
+      aggregate: async () => [],
+      insertMany: async (docs) => docs.map((doc) => new Model(doc)),
+      create: async (doc) =>
+        Array.isArray(doc) ? doc.map((d) => new Model(d)) : new Model(doc),
+    };
+    for (const [method, implementation] of Object.entries(empty)) {
+      t.mock.method(Model, method, implementation);
+    }
+  }
+  t.mock.method(mongoose.Model.prototype, "save", async function () {
+    return this;
+  });
+}
+
+/**
+ * Makes Model[method] answer `result` (a value, or a function of the call
+ * arguments). Query methods get a chainable query, aggregate/create a promise.
+ */
+function stub(t, Model, method, result) {
+  const answer = (...args) =>
+    typeof result === "function" ? result(...args) : result;
+  const implementation = ["aggregate", "create"].includes(method)
+    ? async (...args) => answer(...args)
+    : (...args) => query(answer(...args));
+
+  return t.mock.method(Model, method, implementation);
+}
+
+// An unsaved user with the fields the routes read
+function testUser(fields = {}) {
+  return new User({
+    name: "Test User",
+    email: "test@example.com",
+    password: "not-a-real-hash",
+    emailVerified: true,
+    preferences: { cryptoAssets: ["BTC"], investorType: "", contentTypes: [] },
+    ...fields,
+  });
+}
+
+/**
+ * Lets `user` through the auth middleware (which loads the account, as do
+ * most routes) and returns the Authorization header to send.
+ */
+function signIn(t, user) {
+  stub(t, User, "findById", user);
+  return { authorization: `Bearer ${createAccessToken(user._id, user.role)}` };
+}
+
+// Sets env variables for the duration of test `t` (undefined unsets)
+function withEnv(t, values) {
+  const saved = {};
+  for (const [key, value] of Object.entries(values)) {
+    saved[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+}
+
+/**
+ * Serves one router under `prefix` (like index.js does) and checks the
+ * answers against the router's own documentation.
+ *   const api = contractClient("/auth", authRoutes);
+ *   before(api.start); after(api.stop);
+ *   const res = await api.request("POST", "/login", { body });
+ *   api.assertContract(res);
+ */
+function contractClient(prefix, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(prefix, router);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  let server;
+  let baseUrl;
+  const covered = new Set();
+
+  async function start() {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}${prefix}`;
+  }
+
+  function stop() {
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  // the route that serves `method path`, as express matches it
+  function findRoute(method, path) {
+    const layer = router.stack.find(
+      (l) =>
+        l.route?.methods[method.toLowerCase()] && l.match(path.split("?")[0])
+    );
+    assert.ok(layer, `no route for ${method} ${prefix}${path}`);
+    return layer.route;
+  }
+
+  async function request(method, path, { body, headers = {} } = {}) {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: body
+        ? { "content-type": "application/json", ...headers }
+        : headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return {
+      method,
+      path,
+      status: res.status,
+      body: await res.json(),
+    };
+  }
+
+  // documented status and response schema of the route that answered
+  function assertContract(res) {
+    const route = findRoute(res.method, res.path);
+    const docs = route.stack.find((l) => l.handle.schemas).handle.schemas;
+    const label = `${res.method} ${prefix}${route.path}`;
+
+    assert.equal(
+      res.status,
+      docs.status || 200,
+      `${label} answered ${res.status}: ${JSON.stringify(res.body)}`
+    );
+    const { errors } = validateSchema(docs.response, res.body, {
+      field: "response",
+    });
+    assert.deepEqual(errors, [], `${label} does not match its documentation`);
+
+    covered.add(`${res.method.toLowerCase()} ${route.path}`);
+  }
+
+  // documented JSON routes no test has checked yet
+  function uncoveredRoutes() {
+    return routesOf(router)
+      .filter(({ handlers }) => {
+        const docs = handlers.find((h) => h.schemas)?.schemas;
+        return docs?.response && !docs.contentType;
+      })
+      .map(({ method, path }) => `${method} ${path}`)
+      .filter((route) => !covered.has(route));
+  }
+
+  return { start, stop, request, assertContract, uncoveredRoutes };
+}
+
+module.exports = {
+  query,
+  stubModels,
+  stub,
+  testUser,
+  signIn,
+  withEnv,
+  contractClient,
+};
@@ -0,0 +1,42 @@
+// server/test/middleware/rateLimit.test.js
+require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const rateLimit = require("../../middleware/rateLimit");
+const { getRateLimitStore } = require("../../services/rateLimiter");
+
+// Runs `middleware` once; returns what it passed to next()
+function run(middleware) {
+  const req = { ip: "127.0.0.1" };
+  const res = { set() {} };
+  return new Promise((resolve) => middleware(req, res, resolve));
+}
+
+function enableLimits(t) {
+  const setting = process.env.RATE_LIMIT;
+  delete process.env.RATE_LIMIT;
+  t.after(() => {
+    process.env.RATE_LIMIT = setting;
+  });
+}
+
+test("requests past the limit get a 429", async (t) => {
+  enableLimits(t);
+  const limit = rateLimit({ name: "test", max: 2, windowMs: 60000 });
+
+  assert.equal(await run(limit), undefined);
+  assert.equal(await run(limit), undefined);
+  const err = await run(limit);
+  assert.equal(err.status, 429);
+});
+
+test("without its store the limit fails open", async (t) => {
+  enableLimits(t);
+  const limit = rateLimit({ name: "open", max: 1, windowMs: 60000 });
+  await run(limit);
+  t.mock.method(getRateLimitStore(), "increment", async () => {
+    throw new Error("store down");
+  });
+
+  assert.equal(await run(limit), undefined);
+});
@@ -0,0 +1,65 @@
+// server/test/middleware/requestContext.test.js
+require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { trackRequest } = require("../../middleware/requestContext");
+
+// Serves `app` once, calls `path` and returns the access log entry
+async function accessLogOf(t, app, path) {
+  const level = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = "info";
+  t.after(() => {
+    process.env.LOG_LEVEL = level;
+  });
+  const lines = [];
+  const write = process.stdout.write.bind(process.stdout);
+  t.mock.method(process.stdout, "write", (chunk, ...rest) => {
+    if (String(chunk).includes('"msg":"request"')) lines.push(String(chunk));
+    else write(chunk, ...rest);
+    return true;
+  });
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    // the line is written on "finish", which can trail the response
+    for (let i = 0; i < 50 && lines.length === 0; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  assert.equal(lines.length, 1);
+  return JSON.parse(lines[0]);
+}
+
+function app() {
+  const app = express();
+  app.use(trackRequest);
+  app.get("/dashboard/stream", (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+test("the access log leaves query tokens out", async (t) => {
+  const entry = await accessLogOf(
+    t,
+    app(),
+    "/dashboard/stream?access_token=secret.jwt.value&currency=EUR"
+  );
+
+  assert.equal(
+    entry.path,
+    "/dashboard/stream?access_token=redacted&currency=EUR"
+  );
+  assert.equal(entry.route, "/dashboard/stream");
+  assert.equal(entry.status, 200);
+});
+
+test("URLs without credentials are logged as they are", async (t) => {
+  const entry = await accessLogOf(t, app(), "/dashboard/stream?currency=EUR");
+
+  assert.equal(entry.path, "/dashboard/stream?currency=EUR");
+});
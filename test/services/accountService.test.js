@@ -0,0 +1,23 @@
+// server/test/services/accountService.test.js
+const { testUser } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const {
+  hashPassword,
+  checkPassword,
+} = require("../../services/accountService");
+
+test("checkPassword compares with the stored hash", async () => {
+  const user = testUser({ password: await hashPassword("correct horse 42") });
+
+  assert.equal(await checkPassword(user, "correct horse 42"), true);
+  assert.equal(await checkPassword(user, "wrong horse 42"), false);
+});
+
+test("an unknown email still costs a bcrypt comparison", async (t) => {
+  const compare = t.mock.method(bcrypt, "compare");
+
+  assert.equal(await checkPassword(null, "correct horse 42"), false);
+  assert.equal(compare.mock.callCount(), 1);
+});
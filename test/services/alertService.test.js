@@ -0,0 +1,108 @@
+// server/test/services/alertService.test.js
+const { stubModels, stub } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Alert = require("../../models/Alert");
+const Notification = require("../../models/Notification");
+const {
+  evaluateAlert,
+  evaluateAlerts,
+} = require("../../services/alertService");
+const { fetchPricesCached } = require("../../services/dashboardService");
+
+function alert(fields = {}) {
+  return new Alert({
+    userId: new mongoose.Types.ObjectId(),
+    asset: "BTC",
+    condition: "above",
+    threshold: 1000,
+    ...fields,
+  }).toObject();
+}
+
+test("an armed alert fires once per crossing", () => {
+  const first = evaluateAlert(alert(), 1500);
+  assert.equal(first.fire, true);
+  assert.equal(first.update.armed, false);
+
+  const again = evaluateAlert(alert({ armed: false }), 1600);
+  assert.equal(again.fire, false);
+
+  // back below the threshold: the next crossing fires again
+  const rearmed = evaluateAlert(alert({ armed: false }), 900);
+  assert.equal(rearmed.fire, false);
+  assert.equal(rearmed.update.armed, true);
+});
+
+test("the cooldown holds back a second firing", () => {
+  const now = new Date();
+  const result = evaluateAlert(
+    alert({
+      cooldownMinutes: 30,
+      lastTriggeredAt: new Date(now - 10 * 60 * 1000),
+    }),
+    1500,
+    now
+  );
+
+  assert.equal(result.fire, false);
+});
+
+test("a one-shot alert is switched off when it fires", () => {
+  const { fire, update } = evaluateAlert(alert({ rearm: "never" }), 1500);
+
+  assert.equal(fire, true);
+  assert.equal(update.active, false);
+});
+
+test("24h change alerts compare the move in both directions", () => {
+  const down = alert({ condition: "change_down", threshold: 5 });
+  assert.equal(evaluateAlert(down, -6).fire, true);
+  assert.equal(evaluateAlert(down, -4).fire, false);
+});
+
+function stubAlerts(t, alerts) {
+  stubModels(t);
+  stub(t, Alert, "find", alerts);
+  const created = stub(
+    t,
+    Notification,
+    "create",
+    (doc) => new Notification(doc)
+  );
+  const updated = stub(t, Alert, "updateOne", { acknowledged: true });
+  return { created, updated };
+}
+
+test("the worker notifies the owner of a crossed alert", async (t) => {
+  const { created, updated } = stubAlerts(t, [alert()]);
+
+  assert.equal(await evaluateAlerts(), 1);
+  assert.equal(created.mock.callCount(), 1);
+  assert.match(created.mock.calls[0].arguments[0].body, /BTC is above \$1000/);
+  assert.equal(updated.mock.calls[0].arguments[1].$set.armed, false);
+});
+
+test("prices served stale by the cache do not skip a run", async (t) => {
+  // fill the cache, then move past the prices TTL into the stale window
+  await fetchPricesCached();
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 2 * 60 * 1000);
+  assert.equal((await fetchPricesCached()).stale, true);
+
+  stubAlerts(t, [alert()]);
+  assert.equal(await evaluateAlerts(), 1);
+});
+
+test("without live prices nothing fires", async (t) => {
+  const providers = process.env.MARKET_DATA_PROVIDERS;
+  process.env.MARKET_DATA_PROVIDERS = "none";
+  t.after(() => {
+    process.env.MARKET_DATA_PROVIDERS = providers;
+  });
+  const { created } = stubAlerts(t, [alert()]);
+
+  assert.equal(await evaluateAlerts(), 0);
+  assert.equal(created.mock.callCount(), 0);
+});
@@ -0,0 +1,96 @@
+// server/test/services/allocationService.test.js
+require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  targetWeights,
+  planRebalance,
+} = require("../../services/allocationService");
+
+const STATS = {
+  volatility: { BTC: 0.6, ETH: 0.9 },
+  correlation: { BTC: { BTC: 1, ETH: 0.8 }, ETH: { BTC: 0.8, ETH: 1 } },
+};
+
+const tradeOf = (plan, asset) => plan.trades.find((t) => t.asset === asset);
+
+test("safer tiers hold more cash and prefer the calmer asset", () => {
+  const conservative = targetWeights(["BTC", "ETH"], STATS, "conservative");
+  const aggressive = targetWeights(["BTC", "ETH"], STATS, "aggressive");
+
+  assert.ok(conservative.cash > aggressive.cash);
+  assert.ok(conservative.weights.BTC > conservative.weights.ETH);
+  assert.equal(aggressive.weights.BTC, aggressive.weights.ETH);
+  for (const plan of [conservative, aggressive]) {
+    const crypto = plan.weights.BTC + plan.weights.ETH;
+    assert.ok(Math.abs(crypto + plan.cash - 1) < 1e-9);
+  }
+});
+
+test("sells fund the buys and drifting assets go back to target", () => {
+  const plan = planRebalance({
+    weights: { BTC: 0.6, ETH: 0.2 },
+    holdings: { BTC: 1, ETH: 0 },
+    cash: 20,
+    prices: { BTC: 80, ETH: 10 },
+    driftThreshold: 5,
+  });
+
+  assert.equal(plan.totalValue, 100);
+  assert.deepEqual(tradeOf(plan, "BTC"), {
+    asset: "BTC",
+    side: "sell",
+    quantity: 0.25,
+    value: 20,
+    price: 80,
+  });
+  assert.equal(tradeOf(plan, "ETH").side, "buy");
+  assert.equal(tradeOf(plan, "ETH").value, 20);
+  assert.deepEqual(plan.cash, { before: 20, after: 20 });
+  assert.equal(plan.cashLimited, false);
+});
+
+test("assets inside the band trade nothing", () => {
+  const plan = planRebalance({
+    weights: { BTC: 0.5, ETH: 0.5 },
+    holdings: { BTC: 1, ETH: 1 },
+    cash: 0,
+    prices: { BTC: 52, ETH: 48 },
+    driftThreshold: 5,
+  });
+
+  assert.deepEqual(plan.trades, []);
+  assert.equal(plan.rebalanceNeeded, false);
+});
+
+test("buys never spend more than the cash really available", () => {
+  // BTC is 4 points above target, inside the band: its extra $4 stays
+  // invested, so only $46 of the $50 ETH buy can be paid
+  const plan = planRebalance({
+    weights: { BTC: 0.5, ETH: 0.5 },
+    holdings: { BTC: 1 },
+    cash: 46,
+    prices: { BTC: 54, ETH: 10 },
+    driftThreshold: 5,
+  });
+
+  assert.equal(tradeOf(plan, "BTC"), undefined);
+  assert.equal(tradeOf(plan, "ETH").value, 46);
+  assert.equal(tradeOf(plan, "ETH").quantity, 4.6);
+  assert.deepEqual(plan.cash, { before: 46, after: 0 });
+  assert.equal(plan.cashLimited, true);
+});
+
+test("without any cash to spend no buy is planned", () => {
+  const plan = planRebalance({
+    weights: { BTC: 0.45, SOL: 0.45, ETH: 0.1 },
+    holdings: { BTC: 1, SOL: 1 },
+    cash: 0,
+    prices: { BTC: 50, SOL: 50, ETH: 10 },
+    driftThreshold: 6,
+  });
+
+  assert.deepEqual(plan.trades, []);
+  assert.equal(plan.cash.after, 0);
+  assert.equal(plan.cashLimited, true);
+});
@@ -0,0 +1,33 @@
+// server/test/services/assetRegistry.test.js
+const { stubModels } = require("../helpers");
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  checkSymbols,
+  findAsset,
+  invalidateAssets,
+  resolveSymbols,
+} = require("../../services/assetRegistry");
+
+// every test reads the built-in defaults (empty collection)
+beforeEach(invalidateAssets);
+
+test("user-supplied symbols are trimmed and uppercased", async (t) => {
+  stubModels(t);
+
+  assert.deepEqual(await checkSymbols([" btc", "Eth ", "BTC"]), {
+    symbols: ["BTC", "ETH"],
+    unknown: [],
+  });
+  assert.equal((await findAsset(" sol ")).symbol, "SOL");
+});
+
+test("resolveSymbols rejects unknown assets for the given field", async (t) => {
+  stubModels(t);
+
+  assert.deepEqual(await resolveSymbols([" btc"], "body.asset"), ["BTC"]);
+  await assert.rejects(resolveSymbols(["btc", "nope"], "body.asset"), {
+    code: "VALIDATION_ERROR",
+    message: /NOPE/,
+  });
+});
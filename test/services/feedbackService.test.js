@@ -0,0 +1,28 @@
+// server/test/services/feedbackService.test.js
+const { stubModels, stub } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Feedback = require("../../models/Feedback");
+const { statsByItem } = require("../../services/feedbackService");
+
+test("item titles come from the latest vote", async (t) => {
+  stubModels(t);
+  const aggregate = stub(t, Feedback, "aggregate", [
+    {
+      _id: { section: "news", itemId: "https://a.example/1" },
+      likes: 2,
+      dislikes: 1,
+      title: "Edited headline",
+    },
+  ]);
+
+  const [item] = await statsByItem({ section: "news" });
+  assert.equal(item.title, "Edited headline");
+  assert.equal(item.likes, 2);
+
+  const pipeline = aggregate.mock.calls[0].arguments[0];
+  const sort = pipeline.findIndex((stage) => stage.$sort?.updatedAt === 1);
+  const group = pipeline.findIndex((stage) => stage.$group);
+  assert.ok(sort >= 0 && sort < group, "votes are sorted before $group");
+  assert.deepEqual(pipeline[group].$group.title, { $last: "$context.title" });
+});
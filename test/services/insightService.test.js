@@ -0,0 +1,98 @@
+// server/test/services/insightService.test.js
+const { stubModels, stub, testUser } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Insight = require("../../models/Insight");
+const InsightUsage = require("../../models/InsightUsage");
+const {
+  getBudget,
+  getInsightForUser,
+} = require("../../services/insightService");
+
+const MINUTE_MS = 60 * 1000;
+
+function storedInsight(user, fields = {}) {
+  return new Insight({
+    userId: user._id,
+    text: "Stored insight",
+    sentiment: "neutral",
+    fromModel: true,
+    inputs: { assets: ["BTC"], investorType: "" },
+    createdAt: new Date(Date.now() - 3 * 60 * MINUTE_MS),
+    ...fields,
+  });
+}
+
+test("the budget counts today's model calls", async (t) => {
+  stubModels(t);
+  stub(t, InsightUsage, "findOne", { calls: 7 });
+
+  assert.deepEqual(await getBudget(testUser()._id), {
+    limit: 20,
+    used: 7,
+    remaining: 13,
+  });
+});
+
+test("a recent insight is reused without spending the budget", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  stub(
+    t,
+    Insight,
+    "findOne",
+    storedInsight(user, { createdAt: new Date(Date.now() - MINUTE_MS) })
+  );
+  const usage = stub(t, InsightUsage, "updateOne", { modifiedCount: 1 });
+
+  const insight = await getInsightForUser(user);
+  assert.equal(insight.reused, true);
+  assert.equal(insight.text, "Stored insight");
+  assert.equal(usage.mock.callCount(), 0);
+});
+
+test("every model call is reserved from today's budget", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  const usage = stub(t, InsightUsage, "updateOne", { modifiedCount: 1 });
+  const created = stub(t, Insight, "create", (doc) => new Insight(doc));
+
+  const insight = await getInsightForUser(user);
+  assert.equal(insight.reused, false);
+  assert.equal(created.mock.callCount(), 1);
+
+  const [filter, update] = usage.mock.calls[0].arguments;
+  assert.deepEqual(filter.calls, { $lt: 20 });
+  assert.deepEqual(update, { $inc: { calls: 1 } });
+});
+
+test("out of budget, the latest stored insight is shown", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  stub(t, InsightUsage, "findOne", { calls: 20 });
+  stub(t, Insight, "findOne", storedInsight(user));
+  const usage = stub(t, InsightUsage, "updateOne", { modifiedCount: 1 });
+
+  const insight = await getInsightForUser(user);
+  assert.equal(insight.budgetExhausted, true);
+  assert.equal(insight.text, "Stored insight");
+  assert.equal(usage.mock.callCount(), 0);
+});
+
+test("a budget used up meanwhile falls back without a model call", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  // the counter exists (upsert collides) and is already full
+  t.mock.method(InsightUsage, "updateOne", (filter, update, options) => {
+    if (options?.upsert) {
+      return Promise.reject(Object.assign(new Error("dup"), { code: 11000 }));
+    }
+    return Promise.resolve({ modifiedCount: 0 });
+  });
+  const created = stub(t, Insight, "create", (doc) => new Insight(doc));
+
+  const insight = await getInsightForUser(user);
+  assert.equal(insight.budgetExhausted, true);
+  assert.equal(insight.fromModel, false);
+  assert.equal(created.mock.callCount(), 0);
+});
@@ -0,0 +1,90 @@
+// server/test/services/liveHub.test.js
+const { stubModels, stub } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Setting = require("../../models/Setting");
+const { subscribe, publish } = require("../../services/liveHub");
+
+const HEADLINES = {
+  articles: [
+    { title: "Bitcoin rallies", url: "https://a.example/btc" },
+    { title: "Ethereum upgrade ships", url: "https://a.example/eth" },
+  ],
+};
+
+// An SSE response collecting the events written to it
+function stream() {
+  const events = [];
+  return {
+    events,
+    write(chunk) {
+      const [, id, type, data] =
+        chunk.match(/^id: (.+)\nevent: (.+)\ndata: (.+)\n\n$/) || [];
+      if (id) events.push({ id, type, data: JSON.parse(data) });
+    },
+    end() {},
+  };
+}
+
+function news(res) {
+  return res.events.filter((e) => e.type === "news");
+}
+
+test("users without assets follow the defaultAssets setting", async (t) => {
+  stubModels(t);
+  stub(t, Setting, "find", [{ key: "defaultAssets", value: ["ETH"] }]);
+  const res = stream();
+
+  const unsubscribe = await subscribe({ res, userId: "u1" });
+  t.after(unsubscribe);
+  await publish("news", HEADLINES);
+
+  const [event] = news(res);
+  assert.deepEqual(
+    event.data.articles.map((a) => a.title),
+    ["Ethereum upgrade ships"]
+  );
+});
+
+test("a reconnect replays what was missed, only from this process", async (t) => {
+  stubModels(t);
+  const first = stream();
+  const unsubscribe = await subscribe({
+    res: first,
+    userId: "u2",
+    assets: ["BTC"],
+  });
+  t.after(unsubscribe);
+
+  await publish("news", HEADLINES);
+  await publish("news", HEADLINES);
+  const [seen, missed] = news(first);
+  assert.match(seen.id, /^[a-z0-9]+-\d+$/);
+
+  const resumed = stream();
+  t.after(
+    await subscribe({
+      res: resumed,
+      userId: "u2",
+      assets: ["BTC"],
+      lastEventId: seen.id,
+    })
+  );
+  assert.deepEqual(
+    news(resumed).map((e) => e.id),
+    [missed.id]
+  );
+
+  // an id handed out before a restart replays nothing
+  const restarted = stream();
+  const [, seq] = seen.id.split("-");
+  t.after(
+    await subscribe({
+      res: restarted,
+      userId: "u2",
+      assets: ["BTC"],
+      lastEventId: `old-${seq}`,
+    })
+  );
+  assert.deepEqual(news(restarted), []);
+});
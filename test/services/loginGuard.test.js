@@ -0,0 +1,69 @@
+// server/test/services/loginGuard.test.js
+require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getRateLimitStore } = require("../../services/rateLimiter");
+const {
+  checkLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../../services/loginGuard");
+
+async function failTimes(email, times) {
+  let result;
+  for (let i = 0; i < times; i++) result = await recordLoginFailure(email);
+  return result;
+}
+
+test("the threshold of failures locks the email", async () => {
+  const email = "lock@example.com";
+
+  assert.deepEqual(await failTimes(email, 4), {
+    locked: false,
+    retryAfterSec: 0,
+  });
+  assert.deepEqual(await checkLoginLock(email), {
+    locked: false,
+    retryAfterSec: 0,
+  });
+
+  assert.deepEqual(await recordLoginFailure(email), {
+    locked: true,
+    retryAfterSec: 60,
+  });
+  assert.equal((await checkLoginLock(email)).locked, true);
+  // another email is not affected
+  assert.equal((await checkLoginLock("other@example.com")).locked, false);
+});
+
+test("every further failure doubles the lock, up to the maximum", async () => {
+  const email = "double@example.com";
+
+  assert.equal((await failTimes(email, 6)).retryAfterSec, 120);
+  assert.equal((await failTimes(email, 1)).retryAfterSec, 240);
+  assert.equal((await failTimes(email, 10)).retryAfterSec, 3600);
+});
+
+test("a successful login forgets the failures", async () => {
+  const email = "clear@example.com";
+  await failTimes(email, 5);
+
+  await clearLoginFailures(email);
+  assert.equal((await checkLoginLock(email)).locked, false);
+  assert.equal((await recordLoginFailure(email)).locked, false);
+});
+
+test("without its store the guard fails open", async (t) => {
+  const email = "open@example.com";
+  await failTimes(email, 5);
+  const store = getRateLimitStore();
+  for (const method of ["get", "increment", "set", "del"]) {
+    t.mock.method(store, method, async () => {
+      throw new Error("store down");
+    });
+  }
+
+  assert.equal((await checkLoginLock(email)).locked, false);
+  assert.equal((await recordLoginFailure(email)).locked, false);
+  await clearLoginFailures(email);
+});
@@ -0,0 +1,25 @@
+// server/test/services/mailer.test.js
+const { withEnv } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getTransport } = require("../../services/mailer");
+
+test("the console transport is the default outside production", (t) => {
+  withEnv(t, { MAIL_TRANSPORT: undefined, NODE_ENV: "development" });
+
+  assert.equal(getTransport().name, "console");
+});
+
+test("production needs MAIL_TRANSPORT", (t) => {
+  withEnv(t, { MAIL_TRANSPORT: undefined, NODE_ENV: "production" });
+  assert.throws(() => getTransport(), /MAIL_TRANSPORT is required/);
+
+  process.env.MAIL_TRANSPORT = "file";
+  assert.equal(getTransport().name, "file");
+});
+
+test("an unknown transport is refused", (t) => {
+  withEnv(t, { MAIL_TRANSPORT: "pigeon" });
+
+  assert.throws(() => getTransport(), /Unknown MAIL_TRANSPORT "pigeon"/);
+});
@@ -0,0 +1,37 @@
+// server/test/services/marketData.test.js
+require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchPrices } = require("../../services/marketData");
+
+const BTC = { symbol: "BTC", coingeckoId: "bitcoin" };
+const ETH = { symbol: "ETH", coingeckoId: "ethereum" };
+const SOL = { symbol: "SOL", coingeckoId: "solana" };
+
+// no provider answers for the rest of test `t`
+function providersDown(t) {
+  const providers = process.env.MARKET_DATA_PROVIDERS;
+  process.env.MARKET_DATA_PROVIDERS = "none";
+  t.after(() => {
+    process.env.MARKET_DATA_PROVIDERS = providers;
+  });
+}
+
+test("the last good prices are kept per coin set", async (t) => {
+  const live = await fetchPrices([BTC, ETH]);
+  assert.equal(live.source, "fixture");
+  providersDown(t);
+
+  const again = await fetchPrices([ETH, BTC]);
+  assert.equal(again.stale, true);
+  assert.equal(again.source, "fixture");
+  assert.deepEqual(again.prices, live.prices);
+
+  // another set never gets those prices
+  const other = await fetchPrices([SOL]);
+  assert.equal(other.source, "mock");
+  assert.deepEqual(
+    other.prices.map((p) => p.symbol),
+    ["solana"]
+  );
+});
@@ -0,0 +1,112 @@
+// server/test/services/memes.test.js
+const { stubModels, stub } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Meme = require("../../models/Meme");
+const memeApi = require("../../services/memes/sources/memeApi");
+const { rejectReason, urlKey } = require("../../services/memes/safety");
+const { ingestMemes, submitMeme } = require("../../services/memes");
+
+function post(fields = {}) {
+  return {
+    title: "When BTC dips",
+    url: "https://i.redd.it/dip.png",
+    postLink: "https://redd.it/dip",
+    subreddit: "cryptocurrencymemes",
+    author: "someone",
+    nsfw: false,
+    spoiler: false,
+    ...fields,
+  };
+}
+
+test("the safety filter refuses unsafe memes", () => {
+  assert.equal(rejectReason(post()), null);
+  assert.equal(rejectReason(post({ nsfw: true })), "marked NSFW");
+  assert.equal(
+    rejectReason(post({ url: "https://example.com/page" })),
+    "not a direct image link"
+  );
+  assert.equal(
+    rejectReason(post({ title: "NSFW hodl" })),
+    "title contains a blocked word"
+  );
+  assert.equal(
+    rejectReason(post({ subreddit: "pics" }), { fromReddit: true }),
+    "subreddit r/pics is not allowed"
+  );
+  // only ingestion is limited to the allowed subreddits
+  assert.equal(rejectReason(post({ subreddit: "pics" })), null);
+});
+
+test("urlKey ignores query strings and fragments", () => {
+  assert.equal(
+    urlKey("https://I.redd.it/dip.png?width=640#top"),
+    urlKey("https://i.redd.it/dip.png")
+  );
+  assert.equal(urlKey("not a url"), null);
+});
+
+test("ingestion keeps safe, new images only", async (t) => {
+  stubModels(t);
+  t.mock.method(memeApi, "getMemes", async (subreddit) =>
+    subreddit === "cryptocurrencymemes"
+      ? [
+          post(),
+          post({ postLink: "https://redd.it/x", url: post().url + "?s=1" }),
+          post({ title: "nsfw", url: "https://i.redd.it/a.png" }),
+          post({ url: "https://i.redd.it/known.png" }),
+        ]
+      : []
+  );
+  stub(t, Meme, "find", [{ urlKey: "i.redd.it/known.png" }]);
+  const created = stub(t, Meme, "create", (doc) => new Meme(doc));
+
+  const result = await ingestMemes();
+
+  assert.deepEqual(result, {
+    fetched: 4,
+    added: 1,
+    rejected: 1,
+    duplicates: 2,
+  });
+  const [stored] = created.mock.calls[0].arguments;
+  assert.equal(stored.urlKey, "i.redd.it/dip.png");
+  assert.equal(stored.status, "approved");
+});
+
+test("submissions go through the safety filter", async (t) => {
+  stubModels(t);
+
+  await assert.rejects(
+    submitMeme(new mongoose.Types.ObjectId(), post({ title: "porn" })),
+    { status: 400, code: "MEME_REFUSED" }
+  );
+});
+
+test("an image already stored cannot be submitted again", async (t) => {
+  stubModels(t);
+  const userId = new mongoose.Types.ObjectId();
+
+  stub(t, Meme, "findOne", { status: "approved" });
+  await assert.rejects(submitMeme(userId, post()), {
+    status: 409,
+    code: "MEME_EXISTS",
+  });
+
+  // a rejected image stays refused
+  stub(t, Meme, "findOne", { status: "rejected" });
+  await assert.rejects(submitMeme(userId, post()), {
+    status: 400,
+    code: "MEME_REFUSED",
+  });
+});
+
+test("a new image is queued for review", async (t) => {
+  stubModels(t);
+
+  const meme = await submitMeme(new mongoose.Types.ObjectId(), post());
+  assert.equal(meme.status, "pending");
+  assert.equal(meme.origin, "user");
+});
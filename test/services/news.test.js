@@ -0,0 +1,98 @@
+// server/test/services/news.test.js
+const { stubModels, stub } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const NewsArticle = require("../../models/NewsArticle");
+const cryptocompare = require("../../services/news/sources/cryptocompare");
+const rss = require("../../services/news/sources/rss");
+const { scoreSentiment } = require("../../services/news/sentiment");
+const { titleTokens, findDuplicate } = require("../../services/news/dedupe");
+const { ingestNews, getLatestArticles } = require("../../services/news");
+
+function article(fields = {}) {
+  return {
+    title: "Bitcoin price surges past $70k",
+    url: "https://a.example/btc",
+    source: "Outlet A",
+    snippet: "",
+    publishedAt: new Date("2024-05-06T10:00:00Z"),
+    ...fields,
+  };
+}
+
+test("headlines are labelled from the market lexicon", () => {
+  assert.equal(scoreSentiment("Bitcoin surges to a record").label, "bullish");
+  assert.equal(scoreSentiment("Exchange hack sparks selloff").label, "bearish");
+  assert.equal(scoreSentiment("Ethereum developers meet").label, "neutral");
+  // a negation flips the next hit
+  assert.equal(scoreSentiment("SEC has not approved the ETF").label, "bearish");
+  // the snippet counts half: one hit scores 0.33 instead of 0.5
+  assert.equal(scoreSentiment("Prices surge").score, 0.5);
+  assert.equal(scoreSentiment("Markets open", "Prices surge").score, 0.33);
+});
+
+test("the same story from two outlets is a duplicate", () => {
+  assert.deepEqual(titleTokens("Bitcoin's price surges!"), [
+    "bitcoin",
+    "pric",
+    "surg",
+  ]);
+
+  const stored = [
+    { id: 1, titleTokens: titleTokens("Bitcoin price surges past $70k") },
+    { id: 2, titleTokens: titleTokens("Ethereum upgrade is delayed") },
+  ];
+  assert.equal(
+    findDuplicate(titleTokens("Bitcoin price surged past $70k"), stored).id,
+    1
+  );
+  assert.equal(findDuplicate(titleTokens("Solana outage"), stored), null);
+});
+
+test("ingestion folds other outlets' copies into the first story", async (t) => {
+  stubModels(t);
+  t.mock.method(cryptocompare, "getArticles", async () => [
+    article(),
+    article({
+      title: "Ethereum upgrade is delayed",
+      url: "https://a.example/eth",
+    }),
+  ]);
+  t.mock.method(rss, "getArticles", async () => [
+    // same link in both feeds
+    article(),
+    article({
+      title: "Bitcoin price surged past $70k",
+      url: "https://b.example/btc",
+      source: "Outlet B",
+      publishedAt: new Date("2024-05-06T11:00:00Z"),
+    }),
+  ]);
+  let nextId = 0;
+  const writes = stub(t, NewsArticle, "updateOne", (filter, update) =>
+    update.$setOnInsert ? { upsertedId: `id-${(nextId += 1)}` } : {}
+  );
+
+  const result = await ingestNews(Date.parse("2024-05-06T12:00:00Z"));
+
+  assert.deepEqual(result, { fetched: 4, added: 2, merged: 1 });
+  const stored = writes.mock.calls
+    .map((c) => c.arguments[1].$setOnInsert)
+    .filter(Boolean);
+  const btc = stored.find((doc) => doc.url === "https://a.example/btc");
+  assert.deepEqual(btc.assets, ["BTC"]);
+  assert.equal(btc.sentiment.label, "bullish");
+  const merge = writes.mock.calls.find((c) => c.arguments[1].$push);
+  assert.deepEqual(merge.arguments[1].$push.alsoReportedBy, {
+    source: "Outlet B",
+    url: "https://b.example/btc",
+  });
+});
+
+test("an empty store does not ingest during a request", async (t) => {
+  stubModels(t);
+  const fetched = t.mock.method(cryptocompare, "getArticles", async () => []);
+
+  assert.deepEqual(await getLatestArticles(), []);
+  assert.equal(fetched.mock.callCount(), 0);
+});
@@ -0,0 +1,108 @@
+// server/test/services/tokenService.test.js
+const { stubModels, stub, testUser } = require("../helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const RefreshToken = require("../../models/RefreshToken");
+const User = require("../../models/User");
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+} = require("../../services/tokenService");
+
+/**
+ * Refresh tokens kept in memory: create, the claim (findOneAndUpdate
+ * on an unrevoked token), findOne and the family revoke (updateMany).
+ */
+function tokenStore(t) {
+  const records = [];
+  const matches = (record, filter) =>
+    Object.entries(filter).every(([field, value]) =>
+      value?.$gt ? record[field] > value.$gt : record[field] === value
+    );
+
+  stub(t, RefreshToken, "create", (doc) => {
+    const record = new RefreshToken(doc);
+    records.push(record);
+    return record;
+  });
+  stub(t, RefreshToken, "findOne", (filter) =>
+    records.find((r) => matches(r, filter))
+  );
+  stub(t, RefreshToken, "findOneAndUpdate", (filter, { $set }) => {
+    const record = records.find((r) => matches(r, filter));
+    if (!record) return null;
+    const before = new RefreshToken(record.toObject());
+    record.set($set);
+    return before;
+  });
+  stub(t, RefreshToken, "updateMany", (filter, { $set }) => {
+    for (const record of records.filter((r) => matches(r, filter))) {
+      record.set($set);
+    }
+  });
+
+  return records;
+}
+
+test("a refresh token rotates once, even when presented twice at once", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  stub(t, User, "findById", user);
+  const records = tokenStore(t);
+  const { refreshToken } = await issueTokens(user);
+
+  const results = await Promise.all([
+    rotateRefreshToken(refreshToken),
+    rotateRefreshToken(refreshToken),
+  ]);
+
+  const rotated = results.filter(Boolean);
+  assert.equal(rotated.length, 1);
+  const [old, next] = records;
+  assert.equal(old.replacedByHash, hashToken(rotated[0].refreshToken));
+  // the losing request saw a rotated token: the family is revoked
+  assert.ok(next.revokedAt);
+  assert.equal(records.length, 2);
+});
+
+test("reusing a rotated token revokes the whole family", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  stub(t, User, "findById", user);
+  const records = tokenStore(t);
+  const { refreshToken } = await issueTokens(user);
+
+  const rotated = await rotateRefreshToken(refreshToken);
+  assert.ok(rotated);
+  assert.equal(records[1].revokedAt, null);
+
+  assert.equal(await rotateRefreshToken(refreshToken), null);
+  assert.ok(records.every((r) => r.revokedAt));
+  assert.equal(await rotateRefreshToken(rotated.refreshToken), null);
+});
+
+test("disabled users cannot refresh", async (t) => {
+  stubModels(t);
+  const user = testUser({ disabled: true });
+  stub(t, User, "findById", user);
+  const records = tokenStore(t);
+  const { refreshToken } = await issueTokens(user);
+
+  assert.equal(await rotateRefreshToken(refreshToken), null);
+  assert.equal(records.length, 1);
+  assert.ok(records[0].revokedAt);
+});
+
+test("unknown and expired tokens are refused", async (t) => {
+  stubModels(t);
+  const user = testUser();
+  stub(t, User, "findById", user);
+  const records = tokenStore(t);
+  const { refreshToken } = await issueTokens(user);
+  records[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.equal(await rotateRefreshToken("not-a-token"), null);
+  assert.equal(await rotateRefreshToken(refreshToken), null);
+  assert.equal(records.length, 1);
+});